@@ -2,16 +2,24 @@ import { BrowserRouter as Router, Routes, Route, Navigate } from 'react-router-d
 import { AuthProvider, useAuth } from './contexts/AuthContext';
 import Login from './pages/Login';
 import Register from './pages/Register';
+import ForgotPassword from './pages/ForgotPassword';
+import ResetPassword from './pages/ResetPassword';
 import Dashboard from './pages/Dashboard';
 import Accounts from './pages/Accounts';
+import AccountDetails from './pages/AccountDetails';
 import Transactions from './pages/Transactions';
+import Insights from './pages/Insights';
+import Budgets from './pages/Budgets';
+import SavingsGoals from './pages/SavingsGoals';
 import Transfer from './pages/Transfer';
+import ScheduledTransfers from './pages/ScheduledTransfers';
 import Beneficiaries from './pages/Beneficiaries';
 import Cards from './pages/Cards';
 import Profile from './pages/Profile';
 import Layout from './components/Layout';
 import LoadingSpinner from './components/LoadingSpinner';
 import ErrorBoundary from './components/ErrorBoundary';
+import OtpChallengeModal from './components/OtpChallengeModal';
 
 // Protected Route Component
 const ProtectedRoute = ({ children }) => {
@@ -56,6 +64,22 @@ function AppRoutes() {
             </PublicRoute>
           } 
         />
+        <Route 
+          path="/forgot-password" 
+          element={
+            <PublicRoute>
+              <ForgotPassword />
+            </PublicRoute>
+          } 
+        />
+        <Route 
+          path="/reset-password/:token" 
+          element={
+            <PublicRoute>
+              <ResetPassword />
+            </PublicRoute>
+          } 
+        />
         
         {/* Protected Routes */}
         <Route 
@@ -69,8 +93,13 @@ function AppRoutes() {
           <Route index element={<Navigate to="/dashboard" />} />
           <Route path="dashboard" element={<Dashboard />} />
           <Route path="accounts" element={<Accounts />} />
-          <Route path="transactions" element={<Transactions />} />
+          <Route path="accounts/:id" element={<AccountDetails />} />
+          <Route path="transactions/:id?" element={<Transactions />} />
+          <Route path="insights" element={<Insights />} />
+          <Route path="budgets" element={<Budgets />} />
+          <Route path="goals" element={<SavingsGoals />} />
           <Route path="transfer" element={<Transfer />} />
+          <Route path="transfers/scheduled" element={<ScheduledTransfers />} />
           <Route path="beneficiaries" element={<Beneficiaries />} />
           <Route path="cards" element={<Cards />} />
           <Route path="profile" element={<Profile />} />
@@ -88,6 +117,7 @@ function App() {
     <ErrorBoundary showDetails={import.meta.env.DEV}>
       <AuthProvider>
         <AppRoutes />
+        <OtpChallengeModal />
       </AuthProvider>
     </ErrorBoundary>
   );
@@ -0,0 +1,225 @@
+import { useState } from 'react';
+import { beneficiaryAPI } from '../services/api';
+import { useBanks } from '../hooks/useBanks';
+import { useAccountNameLookup } from '../hooks/useAccountNameLookup';
+
+const BeneficiaryFormModal = ({ show, beneficiary, onSaved, onClose }) => {
+  const isEditing = Boolean(beneficiary?.id);
+  const [formData, setFormData] = useState({
+    bank_code: beneficiary?.bank_code || '',
+    account_number: beneficiary?.account_number || '',
+    nickname: beneficiary?.nickname || '',
+    is_favorite: beneficiary?.is_favorite || false,
+  });
+  const [saving, setSaving] = useState(false);
+  const [errors, setErrors] = useState({});
+
+  const { banks, loading: banksLoading, error: banksError } = useBanks();
+
+  // Editing a beneficiary without touching the account keeps the stored name
+  const accountUnchanged = isEditing &&
+    formData.account_number === beneficiary.account_number &&
+    formData.bank_code === beneficiary.bank_code;
+  const lookup = useAccountNameLookup(formData.account_number, formData.bank_code, {
+    enabled: !accountUnchanged,
+  });
+  const accountName = accountUnchanged ? beneficiary.account_name : lookup.accountName;
+
+  const handleChange = (e) => {
+    const { name, value, type, checked } = e.target;
+    setFormData({
+      ...formData,
+      [name]: type === 'checkbox' ? checked : name === 'account_number' ? value.replace(/\D/g, '') : value
+    });
+    // Clear error for this field when user starts typing
+    if (errors[name]) {
+      setErrors({
+        ...errors,
+        [name]: null
+      });
+    }
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!accountName) {
+      setErrors({ account_number: ['Enter a valid account number and wait for the account name to load.'] });
+      return;
+    }
+
+    setSaving(true);
+    setErrors({});
+
+    try {
+      const payload = {
+        ...formData,
+        bank_name: banks.find(bank => bank.code === formData.bank_code)?.name || beneficiary?.bank_name || '',
+        account_name: accountName,
+      };
+      const response = isEditing
+        ? await beneficiaryAPI.updateBeneficiary(beneficiary.id, payload)
+        : await beneficiaryAPI.addBeneficiary(payload);
+      onSaved(response.data);
+    } catch (error) {
+      console.error('Error saving beneficiary:', error);
+      setErrors(error.response?.data || { non_field_errors: ['Failed to save beneficiary. Please try again.'] });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (!show) return null;
+
+  return (
+    <>
+      {/* Modal backdrop */}
+      <div className="modal-backdrop fade show"></div>
+
+      {/* Modal */}
+      <div className="modal fade show d-block" tabIndex="-1" role="dialog">
+        <div className="modal-dialog modal-dialog-centered" role="document">
+          <form className="modal-content" onSubmit={handleSubmit}>
+            <div className="modal-header">
+              <h5 className="modal-title">{isEditing ? 'Edit Beneficiary' : 'Add Beneficiary'}</h5>
+              <button
+                type="button"
+                className="btn-close"
+                onClick={onClose}
+                disabled={saving}
+              ></button>
+            </div>
+            <div className="modal-body">
+              {(errors.non_field_errors || banksError) && (
+                <div className="alert alert-danger" role="alert">
+                  <i className="bi bi-exclamation-triangle me-2"></i>
+                  {errors.non_field_errors?.[0] || banksError}
+                </div>
+              )}
+
+              <div className="mb-3">
+                <label htmlFor="bank_code" className="form-label fw-medium">
+                  Bank <span className="text-danger">*</span>
+                </label>
+                <select
+                  id="bank_code"
+                  name="bank_code"
+                  className={`form-select ${errors.bank_code ? 'is-invalid' : ''}`}
+                  value={formData.bank_code}
+                  onChange={handleChange}
+                  disabled={banksLoading}
+                  required
+                >
+                  <option value="">{banksLoading ? 'Loading banks...' : 'Select bank'}</option>
+                  {banks.map((bank) => (
+                    <option key={bank.code} value={bank.code}>{bank.name}</option>
+                  ))}
+                </select>
+                {errors.bank_code && (
+                  <div className="invalid-feedback">{errors.bank_code[0]}</div>
+                )}
+              </div>
+
+              <div className="mb-3">
+                <label htmlFor="account_number" className="form-label fw-medium">
+                  Account Number <span className="text-danger">*</span>
+                </label>
+                <input
+                  id="account_number"
+                  name="account_number"
+                  type="text"
+                  inputMode="numeric"
+                  maxLength={10}
+                  className={`form-control font-monospace ${errors.account_number || lookup.status === 'failed' ? 'is-invalid' : ''}`}
+                  placeholder="10-digit account number"
+                  value={formData.account_number}
+                  onChange={handleChange}
+                  required
+                />
+                {errors.account_number && (
+                  <div className="invalid-feedback">{errors.account_number[0]}</div>
+                )}
+                {!errors.account_number && lookup.status === 'failed' && (
+                  <div className="invalid-feedback">{lookup.error}</div>
+                )}
+                {lookup.status === 'loading' && (
+                  <small className="text-muted">
+                    <span className="spinner-border spinner-border-sm me-2" role="status" aria-hidden="true"></span>
+                    Verifying account...
+                  </small>
+                )}
+                {accountName && (
+                  <div className="alert alert-success py-2 small mt-2 mb-0">
+                    <i className="bi bi-person-check me-2"></i>
+                    {accountName}
+                  </div>
+                )}
+              </div>
+
+              <div className="mb-3">
+                <label htmlFor="nickname" className="form-label fw-medium">
+                  Nickname
+                </label>
+                <input
+                  id="nickname"
+                  name="nickname"
+                  type="text"
+                  maxLength={50}
+                  className={`form-control ${errors.nickname ? 'is-invalid' : ''}`}
+                  placeholder="e.g. Mum, Landlord"
+                  value={formData.nickname}
+                  onChange={handleChange}
+                />
+                {errors.nickname && (
+                  <div className="invalid-feedback">{errors.nickname[0]}</div>
+                )}
+              </div>
+
+              <div className="form-check">
+                <input
+                  id="is_favorite"
+                  name="is_favorite"
+                  type="checkbox"
+                  className="form-check-input"
+                  checked={formData.is_favorite}
+                  onChange={handleChange}
+                />
+                <label htmlFor="is_favorite" className="form-check-label">
+                  Add to favourites
+                </label>
+              </div>
+            </div>
+            <div className="modal-footer">
+              <button
+                type="button"
+                className="btn btn-outline-secondary"
+                onClick={onClose}
+                disabled={saving}
+              >
+                Cancel
+              </button>
+              <button
+                type="submit"
+                className="btn btn-banking"
+                disabled={saving || !accountName}
+              >
+                {saving ? (
+                  <>
+                    <span className="spinner-border spinner-border-sm me-2" role="status" aria-hidden="true"></span>
+                    Saving...
+                  </>
+                ) : (
+                  <>
+                    <i className="bi bi-check2 me-2"></i>
+                    {isEditing ? 'Save Changes' : 'Add Beneficiary'}
+                  </>
+                )}
+              </button>
+            </div>
+          </form>
+        </div>
+      </div>
+    </>
+  );
+};
+
+export default BeneficiaryFormModal;
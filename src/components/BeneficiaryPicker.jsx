@@ -0,0 +1,128 @@
+import { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { beneficiaryAPI } from '../services/api';
+
+const BeneficiaryPicker = ({ selected, onSelect }) => {
+  const [beneficiaries, setBeneficiaries] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [searchTerm, setSearchTerm] = useState('');
+
+  useEffect(() => {
+    fetchBeneficiaries();
+  }, []);
+
+  const fetchBeneficiaries = async () => {
+    try {
+      setLoading(true);
+      setError('');
+      const response = await beneficiaryAPI.getBeneficiaries();
+      setBeneficiaries(response.data.results || response.data);
+    } catch (error) {
+      console.error('Error fetching beneficiaries:', error);
+      setError('Failed to load beneficiaries.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  if (selected) {
+    return (
+      <div className="border rounded-3 p-3 d-flex align-items-center justify-content-between">
+        <div>
+          <div className="fw-medium">
+            {selected.nickname || selected.account_name}
+            {selected.is_favorite && <i className="bi bi-star-fill text-warning ms-2 small"></i>}
+          </div>
+          {selected.nickname && (
+            <small className="text-muted d-block">{selected.account_name}</small>
+          )}
+          <small className="text-muted">
+            {selected.bank_name} · <span className="font-monospace">{selected.account_number}</span>
+          </small>
+        </div>
+        <button type="button" className="btn btn-outline-secondary btn-sm" onClick={() => onSelect(null)}>
+          Change
+        </button>
+      </div>
+    );
+  }
+
+  if (loading) {
+    return (
+      <div className="text-muted small py-2">
+        <span className="spinner-border spinner-border-sm me-2" role="status" aria-hidden="true"></span>
+        Loading beneficiaries...
+      </div>
+    );
+  }
+
+  if (error) {
+    return (
+      <div className="alert alert-danger py-2 small mb-0" role="alert">
+        {error}
+        <button type="button" className="btn btn-link btn-sm p-0 ms-2" onClick={fetchBeneficiaries}>
+          Retry
+        </button>
+      </div>
+    );
+  }
+
+  if (beneficiaries.length === 0) {
+    return (
+      <div className="border rounded-3 p-3 text-muted small">
+        You have no saved beneficiaries yet.{' '}
+        <Link to="/beneficiaries">Add one</Link>
+      </div>
+    );
+  }
+
+  const term = searchTerm.trim().toLowerCase();
+  const matches = beneficiaries
+    .filter(beneficiary => !term || [
+      beneficiary.account_name,
+      beneficiary.nickname,
+      beneficiary.account_number,
+      beneficiary.bank_name,
+    ].some(value => value?.toLowerCase().includes(term)))
+    .sort((a, b) => Number(b.is_favorite) - Number(a.is_favorite));
+
+  return (
+    <div className="border rounded-3">
+      <div className="p-2 border-bottom">
+        <input
+          type="search"
+          className="form-control form-control-sm"
+          placeholder="Search beneficiaries..."
+          value={searchTerm}
+          onChange={(e) => setSearchTerm(e.target.value)}
+        />
+      </div>
+      <div className="list-group list-group-flush overflow-auto" style={{ maxHeight: '14rem' }}>
+        {matches.length === 0 ? (
+          <div className="list-group-item text-muted small">No beneficiaries match your search.</div>
+        ) : (
+          matches.map((beneficiary) => (
+            <button
+              key={beneficiary.id}
+              type="button"
+              className="list-group-item list-group-item-action"
+              onClick={() => onSelect(beneficiary)}
+            >
+              <div className="d-flex justify-content-between align-items-center">
+                <span className="fw-medium">
+                  {beneficiary.nickname || beneficiary.account_name}
+                  {beneficiary.is_favorite && <i className="bi bi-star-fill text-warning ms-2 small"></i>}
+                </span>
+                <small className="text-muted font-monospace">****{beneficiary.account_number.slice(-4)}</small>
+              </div>
+              <small className="text-muted">{beneficiary.bank_name}</small>
+            </button>
+          ))
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default BeneficiaryPicker;
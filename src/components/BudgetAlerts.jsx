@@ -0,0 +1,37 @@
+import { formatCurrency } from '../utils/helpers';
+
+const BudgetAlerts = ({ alerts, onDismiss }) => {
+  if (alerts.length === 0) return null;
+
+  return (
+    <div className="mb-4">
+      {alerts.map(({ id, budget, threshold }) => {
+        const over = threshold >= 1;
+        return (
+          <div key={id} className={`alert ${over ? 'alert-danger' : 'alert-warning'} alert-dismissible`} role="alert">
+            <i className={`bi ${over ? 'bi-exclamation-octagon' : 'bi-exclamation-triangle'} me-2`}></i>
+            {over ? (
+              <>
+                You've gone over your <strong>{budget.category_name}</strong> budget by{' '}
+                {formatCurrency(budget.spent - parseFloat(budget.amount))} this month.
+              </>
+            ) : (
+              <>
+                You've used {Math.round(budget.ratio * 100)}% of your <strong>{budget.category_name}</strong> budget,
+                with {formatCurrency(budget.remaining)} left this month.
+              </>
+            )}
+            <button
+              type="button"
+              className="btn-close"
+              onClick={() => onDismiss(id)}
+              aria-label="Dismiss"
+            ></button>
+          </div>
+        );
+      })}
+    </div>
+  );
+};
+
+export default BudgetAlerts;
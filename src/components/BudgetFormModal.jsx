@@ -0,0 +1,170 @@
+import { useState } from 'react';
+import { budgetAPI } from '../services/api';
+import { CURRENCY_CONFIG } from '../config/environment';
+
+const BudgetFormModal = ({ show, budget, categories, budgetedCategories, onSaved, onClose }) => {
+  const isEditing = Boolean(budget?.id);
+  const [formData, setFormData] = useState({
+    category: budget?.category ? String(budget.category) : '',
+    amount: budget?.amount || '',
+  });
+  const [saving, setSaving] = useState(false);
+  const [errors, setErrors] = useState({});
+
+  // One budget per category; the category of an existing budget can't change
+  const availableCategories = categories.filter(category => (
+    isEditing ? String(category.id) === String(budget.category) : !budgetedCategories.includes(String(category.id))
+  ));
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData({
+      ...formData,
+      [name]: value
+    });
+    // Clear error for this field when user starts typing
+    if (errors[name]) {
+      setErrors({
+        ...errors,
+        [name]: null
+      });
+    }
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!(parseFloat(formData.amount) > 0)) {
+      setErrors({ amount: ['Enter a budget greater than zero.'] });
+      return;
+    }
+
+    setSaving(true);
+    setErrors({});
+
+    try {
+      const response = isEditing
+        ? await budgetAPI.updateBudget(budget.id, { amount: formData.amount })
+        : await budgetAPI.createBudget(formData);
+      onSaved(response.data);
+    } catch (error) {
+      console.error('Error saving budget:', error);
+      setErrors(error.response?.data || { non_field_errors: ['Failed to save budget. Please try again.'] });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (!show) return null;
+
+  return (
+    <>
+      {/* Modal backdrop */}
+      <div className="modal-backdrop fade show"></div>
+
+      {/* Modal */}
+      <div className="modal fade show d-block" tabIndex="-1" role="dialog">
+        <div className="modal-dialog modal-dialog-centered" role="document">
+          <form className="modal-content" onSubmit={handleSubmit}>
+            <div className="modal-header">
+              <h5 className="modal-title">{isEditing ? 'Edit Budget' : 'New Budget'}</h5>
+              <button
+                type="button"
+                className="btn-close"
+                onClick={onClose}
+                disabled={saving}
+              ></button>
+            </div>
+            <div className="modal-body">
+              {errors.non_field_errors && (
+                <div className="alert alert-danger" role="alert">
+                  <i className="bi bi-exclamation-triangle me-2"></i>
+                  {errors.non_field_errors[0]}
+                </div>
+              )}
+
+              <div className="mb-3">
+                <label htmlFor="category" className="form-label fw-medium">
+                  Category <span className="text-danger">*</span>
+                </label>
+                <select
+                  id="category"
+                  name="category"
+                  className={`form-select ${errors.category ? 'is-invalid' : ''}`}
+                  value={formData.category}
+                  onChange={handleChange}
+                  disabled={isEditing}
+                  required
+                >
+                  <option value="">Select category</option>
+                  {availableCategories.map((category) => (
+                    <option key={category.id} value={category.id}>{category.name}</option>
+                  ))}
+                </select>
+                {errors.category && (
+                  <div className="invalid-feedback">{errors.category[0]}</div>
+                )}
+                {!isEditing && availableCategories.length === 0 && (
+                  <small className="text-muted">Every category already has a budget.</small>
+                )}
+              </div>
+
+              <div className="mb-3">
+                <label htmlFor="amount" className="form-label fw-medium">
+                  Monthly Budget <span className="text-danger">*</span>
+                </label>
+                <div className="input-group">
+                  <span className="input-group-text">{CURRENCY_CONFIG.symbol}</span>
+                  <input
+                    id="amount"
+                    name="amount"
+                    type="number"
+                    min="1"
+                    step="0.01"
+                    className={`form-control ${errors.amount ? 'is-invalid' : ''}`}
+                    placeholder="0.00"
+                    value={formData.amount}
+                    onChange={handleChange}
+                    required
+                  />
+                  {errors.amount && (
+                    <div className="invalid-feedback">{errors.amount[0]}</div>
+                  )}
+                </div>
+                <small className="text-muted">We'll alert you at 80% and 100% of this amount.</small>
+              </div>
+            </div>
+            <div className="modal-footer">
+              <button
+                type="button"
+                className="btn btn-outline-secondary"
+                onClick={onClose}
+                disabled={saving}
+              >
+                Cancel
+              </button>
+              <button
+                type="submit"
+                className="btn btn-banking"
+                disabled={saving || !formData.category}
+              >
+                {saving ? (
+                  <>
+                    <span className="spinner-border spinner-border-sm me-2" role="status" aria-hidden="true"></span>
+                    Saving...
+                  </>
+                ) : (
+                  <>
+                    <i className="bi bi-check2 me-2"></i>
+                    {isEditing ? 'Save Changes' : 'Create Budget'}
+                  </>
+                )}
+              </button>
+            </div>
+          </form>
+        </div>
+      </div>
+    </>
+  );
+};
+
+export default BudgetFormModal;
@@ -0,0 +1,69 @@
+import { Link } from 'react-router-dom';
+import { formatCurrency } from '../utils/helpers';
+import { BUDGET_STATUS_CLASSES } from '../utils/budgets';
+
+// Only the budgets closest to their limit fit on the Dashboard
+const MAX_BUDGETS = 4;
+
+const BudgetProgressCard = ({ budgets, loading, error }) => (
+  <div className="card card-banking">
+    <div className="card-body">
+      <div className="d-flex justify-content-between align-items-center mb-3">
+        <h5 className="card-title mb-0">
+          <i className="bi bi-wallet2 me-2"></i>
+          This Month's Budgets
+        </h5>
+        <Link to="/budgets" className="btn btn-link btn-sm p-0">
+          Manage
+        </Link>
+      </div>
+
+      {loading ? (
+        <p className="small text-muted mb-0">Loading budgets...</p>
+      ) : error ? (
+        <p className="small text-muted mb-0">{error}</p>
+      ) : budgets.length === 0 ? (
+        <div className="text-center py-3">
+          <p className="text-muted small mb-3">Set a monthly budget for a category to track your spending.</p>
+          <Link to="/budgets" className="btn btn-outline-primary btn-sm">
+            <i className="bi bi-plus-circle me-2"></i>
+            Create a Budget
+          </Link>
+        </div>
+      ) : (
+        budgets.slice(0, MAX_BUDGETS).map((budget) => {
+          const limit = parseFloat(budget.amount);
+          return (
+            <div key={budget.id} className="mb-3">
+              <div className="d-flex justify-content-between small mb-1">
+                <span className="fw-medium">{budget.category_name}</span>
+                <span className="text-muted">
+                  {formatCurrency(budget.spent)} of {formatCurrency(limit)}
+                </span>
+              </div>
+              <div
+                className="progress mb-1"
+                style={{ height: '0.5rem' }}
+                role="progressbar"
+                aria-label={`${budget.category_name} budget used`}
+                aria-valuenow={Math.round(budget.ratio * 100)}
+                aria-valuemin="0"
+                aria-valuemax="100"
+              >
+                <div
+                  className={`progress-bar ${BUDGET_STATUS_CLASSES[budget.status]}`}
+                  style={{ width: `${Math.min(100, budget.ratio * 100)}%` }}
+                ></div>
+              </div>
+              <small className={budget.projected > limit ? 'text-danger' : 'text-muted'}>
+                On pace for {formatCurrency(budget.projected)} by month end
+              </small>
+            </div>
+          );
+        })
+      )}
+    </div>
+  </div>
+);
+
+export default BudgetProgressCard;
@@ -0,0 +1,458 @@
+import { useState, useEffect } from 'react';
+import { transactionAPI, createIdempotencyKey, isUncertainFailure } from '../services/api';
+import { useBanks } from '../hooks/useBanks';
+import { formatCurrency, downloadFile } from '../utils/helpers';
+import {
+  BATCH_TEMPLATE_CSV,
+  MAX_BATCH_ROWS,
+  readBatchFile,
+  mapBatchRows,
+  validateBatchItems,
+} from '../utils/bulkTransfer';
+
+const POLL_INTERVAL = 3000;
+const PENDING_STATUSES = ['pending', 'processing'];
+
+const getResultBadgeClass = (status) => {
+  switch (status) {
+    case 'completed':
+      return 'bg-success';
+    case 'failed':
+      return 'bg-danger';
+    default:
+      return 'bg-warning';
+  }
+};
+
+const downloadTemplate = () => downloadFile(BATCH_TEMPLATE_CSV, 'bulk-transfer-template.csv', 'text/csv');
+
+const BulkTransfer = ({ accounts, accountsLoading, onCompleted }) => {
+  const { banks, loading: banksLoading } = useBanks();
+  const [fromAccount, setFromAccount] = useState('');
+  const [fileName, setFileName] = useState('');
+  const [rows, setRows] = useState([]);
+  const [parsing, setParsing] = useState(false);
+  const [phase, setPhase] = useState('edit');
+  const [pin, setPin] = useState('');
+  // Kept across submit attempts of the same batch so a retry can't pay everyone twice
+  const [idempotencyKey, setIdempotencyKey] = useState('');
+  // The batch contents the key was issued for; only a changed batch gets a new key
+  const [keySignature, setKeySignature] = useState('');
+  // Set when a submit got no response, until the server tells us whether the batch arrived
+  const [unconfirmed, setUnconfirmed] = useState(false);
+  const [submitting, setSubmitting] = useState(false);
+  const [batch, setBatch] = useState(null);
+  const [error, setError] = useState('');
+
+  // Validation runs on every render so removing a row clears its duplicate's error too
+  const items = validateBatchItems(rows, banks);
+  const invalidCount = items.filter(item => item.errors.length > 0).length;
+  const total = items.reduce((sum, item) => sum + (parseFloat(item.amount) || 0), 0);
+  const selectedAccount = accounts.find(acc => acc.id.toString() === fromAccount);
+  const available = parseFloat(selectedAccount?.available_balance ?? selectedAccount?.balance ?? 0);
+  const exceedsBalance = Boolean(selectedAccount) && total > available;
+  const canSubmit = items.length > 0 && invalidCount === 0 && selectedAccount && !exceedsBalance && !banksLoading;
+  const batchItems = items.map(({ row, name, account_number, bank_code, amount, description }) => ({
+    row,
+    name,
+    account_number,
+    bank_code,
+    amount: parseFloat(amount),
+    description,
+  }));
+  const batchSignature = JSON.stringify([fromAccount, batchItems]);
+
+  const results = Object.fromEntries((batch?.items || []).map(result => [result.row, result]));
+  const pendingCount = (batch?.items || []).filter(result => PENDING_STATUSES.includes(result.status)).length;
+
+  // Keep checking the batch until every payment has settled
+  useEffect(() => {
+    if (!batch?.id || pendingCount === 0) return undefined;
+
+    const timer = setTimeout(async () => {
+      try {
+        const response = await transactionAPI.getBulkTransfer(batch.id);
+        setBatch(response.data);
+        if (!response.data.items.some(result => PENDING_STATUSES.includes(result.status))) {
+          onCompleted?.();
+        }
+      } catch (error) {
+        console.error('Error refreshing bulk transfer:', error);
+      }
+    }, POLL_INTERVAL);
+
+    return () => clearTimeout(timer);
+  }, [batch, pendingCount, onCompleted]);
+
+  const handleFile = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    try {
+      setParsing(true);
+      setError('');
+      setFileName(file.name);
+      setRows(mapBatchRows(await readBatchFile(file)));
+    } catch (error) {
+      console.error('Error reading bulk transfer file:', error);
+      setRows([]);
+      setError(error.message || 'Could not read this file.');
+    } finally {
+      setParsing(false);
+    }
+  };
+
+  const removeRow = (rowNumber) => {
+    setRows(prev => prev.filter(item => item.row !== rowNumber));
+  };
+
+  const removeInvalidRows = () => {
+    const invalid = new Set(items.filter(item => item.errors.length > 0).map(item => item.row));
+    setRows(prev => prev.filter(item => !invalid.has(item.row)));
+  };
+
+  const reviewBatch = () => {
+    setError('');
+    if (batchSignature !== keySignature) {
+      setIdempotencyKey(createIdempotencyKey());
+      setKeySignature(batchSignature);
+    }
+    setPhase('confirm');
+  };
+
+  // Ask the server whether a batch that got no response was received, before anything is sent again
+  const checkBatchStatus = async () => {
+    setSubmitting(true);
+    setError('');
+
+    try {
+      const response = await transactionAPI.getBulkTransferStatus(idempotencyKey);
+      setUnconfirmed(false);
+      setBatch(response.data);
+      setPhase('submitted');
+      onCompleted?.();
+    } catch (error) {
+      if (error.response?.status === 404) {
+        setUnconfirmed(false);
+        setError('The connection dropped before your batch reached us. Nothing was sent, so it is safe to submit it again.');
+      } else {
+        console.error('Error checking bulk transfer status:', error);
+        setError("We couldn't confirm whether this batch was received. Check its status again before sending anything new.");
+      }
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSubmitting(true);
+    setError('');
+
+    try {
+      const response = await transactionAPI.bulkTransfer({
+        from_account: fromAccount,
+        transaction_pin: pin,
+        items: batchItems,
+      }, { idempotencyKey });
+      setBatch(response.data);
+      setPhase('submitted');
+      onCompleted?.();
+    } catch (error) {
+      console.error('Bulk transfer error:', error);
+      setPin('');
+
+      if (isUncertainFailure(error)) {
+        setUnconfirmed(true);
+        await checkBatchStatus();
+        return;
+      }
+
+      setError(
+        (error.challengeCancelled && 'Bulk transfer cancelled: verification was not completed.') ||
+        error.response?.data?.transaction_pin?.[0] ||
+        error.response?.data?.detail ||
+        error.response?.data?.non_field_errors?.[0] ||
+        'Bulk transfer failed. Please try again.'
+      );
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const startOver = () => {
+    setRows([]);
+    setFileName('');
+    setIdempotencyKey('');
+    setKeySignature('');
+    setBatch(null);
+    setPin('');
+    setError('');
+    setPhase('edit');
+  };
+
+  const bankName = (code) => banks.find(bank => bank.code === code)?.name || code;
+
+  return (
+    <div className="card card-banking">
+      <div className="card-body">
+        {error && (
+          <div className="alert alert-danger" role="alert">
+            <i className="bi bi-exclamation-triangle me-2"></i>
+            {error}
+          </div>
+        )}
+
+        {phase === 'edit' && (
+          <div className="row g-4 mb-4">
+            <div className="col-md-6">
+              <label htmlFor="bulk_from_account" className="form-label fw-medium">
+                From Account
+              </label>
+              <select
+                id="bulk_from_account"
+                className="form-select"
+                value={fromAccount}
+                onChange={(e) => setFromAccount(e.target.value)}
+                disabled={accountsLoading}
+              >
+                <option value="">{accountsLoading ? 'Loading accounts...' : 'Select source account'}</option>
+                {accounts.map((account) => (
+                  <option key={account.id} value={account.id}>
+                    {account.account_type_name} - ****{account.account_number.slice(-4)} ({formatCurrency(account.available_balance)})
+                  </option>
+                ))}
+              </select>
+            </div>
+            <div className="col-md-6">
+              <label htmlFor="bulk_file" className="form-label fw-medium">
+                Payment File
+              </label>
+              <input
+                type="file"
+                id="bulk_file"
+                className="form-control"
+                accept=".csv,.xlsx"
+                onChange={handleFile}
+                disabled={parsing}
+              />
+              <small className="text-muted">
+                CSV or Excel (.xlsx), up to {MAX_BATCH_ROWS} rows.{' '}
+                <button type="button" className="btn btn-link btn-sm p-0 align-baseline" onClick={downloadTemplate}>
+                  Download template
+                </button>
+              </small>
+            </div>
+          </div>
+        )}
+
+        {parsing && (
+          <div className="text-muted small mb-3">
+            <span className="spinner-border spinner-border-sm me-2" role="status" aria-hidden="true"></span>
+            Reading {fileName}...
+          </div>
+        )}
+
+        {items.length > 0 && (
+          <>
+            <div className="d-flex flex-wrap gap-3 align-items-center mb-3 small">
+              <span className="fw-medium">{fileName}</span>
+              <span className="badge bg-secondary">{items.length} payments</span>
+              {invalidCount > 0 && phase === 'edit' && (
+                <>
+                  <span className="badge bg-danger">{invalidCount} with errors</span>
+                  <button type="button" className="btn btn-link btn-sm p-0" onClick={removeInvalidRows}>
+                    Remove rows with errors
+                  </button>
+                </>
+              )}
+              {batch && (
+                <span className="text-muted">
+                  Batch <span className="font-monospace">{batch.reference_number || batch.id}</span>
+                  {pendingCount > 0 && ` · ${pendingCount} still processing`}
+                </span>
+              )}
+            </div>
+
+            <div className="table-responsive mb-3" style={{ maxHeight: '28rem' }}>
+              <table className="table table-sm table-hover align-middle">
+                <thead className="table-light sticky-top">
+                  <tr>
+                    <th>Row</th>
+                    <th>Recipient</th>
+                    <th>Bank</th>
+                    <th className="text-end">Amount</th>
+                    <th>Status</th>
+                    {phase === 'edit' && <th></th>}
+                  </tr>
+                </thead>
+                <tbody>
+                  {items.map((item) => {
+                    const result = results[item.row];
+                    return (
+                      <tr key={item.row} className={item.errors.length && phase === 'edit' ? 'table-danger' : ''}>
+                        <td className="text-muted">{item.row}</td>
+                        <td>
+                          <div className="fw-medium">{item.name || '—'}</div>
+                          <small className="text-muted font-monospace">{item.account_number}</small>
+                          {item.description && <small className="text-muted d-block">{item.description}</small>}
+                        </td>
+                        <td><small>{bankName(item.bank_code)}</small></td>
+                        <td className="text-end fw-medium">{formatCurrency(item.amount)}</td>
+                        <td>
+                          {result ? (
+                            <>
+                              <span className={`badge ${getResultBadgeClass(result.status)} text-capitalize`}>
+                                {result.status}
+                              </span>
+                              {(result.reference_number || result.error) && (
+                                <small className={`d-block ${result.error ? 'text-danger' : 'text-muted font-monospace'}`}>
+                                  {result.error || result.reference_number}
+                                </small>
+                              )}
+                            </>
+                          ) : item.errors.length > 0 ? (
+                            <small className="text-danger">{item.errors.join('; ')}</small>
+                          ) : (
+                            <small className="text-success">
+                              <i className="bi bi-check-circle me-1"></i>
+                              Ready
+                            </small>
+                          )}
+                        </td>
+                        {phase === 'edit' && (
+                          <td className="text-end">
+                            <button
+                              type="button"
+                              className="btn btn-link btn-sm text-muted p-0"
+                              onClick={() => removeRow(item.row)}
+                              title="Remove row"
+                            >
+                              <i className="bi bi-trash"></i>
+                            </button>
+                          </td>
+                        )}
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </div>
+
+            <div className="d-flex justify-content-between align-items-center border-top pt-3">
+              <div className="small">
+                {selectedAccount && (
+                  <span className={exceedsBalance ? 'text-danger' : 'text-muted'}>
+                    Available: {formatCurrency(available)}
+                    {exceedsBalance && ' — not enough to cover this batch'}
+                  </span>
+                )}
+              </div>
+              <div className="text-end">
+                <div className="fw-bold fs-4 text-primary">{formatCurrency(total)}</div>
+                <small className="text-muted">Batch Total</small>
+              </div>
+            </div>
+
+            {phase === 'edit' && (
+              <div className="d-grid gap-2 d-md-flex justify-content-md-end mt-4">
+                <button type="button" className="btn btn-outline-secondary" onClick={startOver}>
+                  Clear
+                </button>
+                <button
+                  type="button"
+                  className="btn btn-banking"
+                  onClick={reviewBatch}
+                  disabled={!canSubmit}
+                >
+                  Review {items.length} Payments
+                  <i className="bi bi-arrow-right ms-2"></i>
+                </button>
+              </div>
+            )}
+
+            {phase === 'confirm' && (
+              <form className="mt-4" onSubmit={handleSubmit}>
+                <div className="alert alert-info small">
+                  <i className="bi bi-info-circle me-2"></i>
+                  You are about to send {items.length} payments totalling {formatCurrency(total)} from{' '}
+                  {selectedAccount?.account_type_name} - ****{selectedAccount?.account_number.slice(-4)}.
+                </div>
+                <label htmlFor="bulk_pin" className="form-label fw-medium">
+                  Transaction PIN
+                </label>
+                <input
+                  type="password"
+                  id="bulk_pin"
+                  inputMode="numeric"
+                  autoComplete="off"
+                  maxLength={4}
+                  className="form-control font-monospace mb-4"
+                  style={{ maxWidth: '10rem' }}
+                  placeholder="••••"
+                  value={pin}
+                  onChange={(e) => setPin(e.target.value.replace(/\D/g, ''))}
+                  disabled={unconfirmed}
+                  autoFocus
+                  required
+                />
+                <div className="d-grid gap-2 d-md-flex justify-content-md-end">
+                  <button
+                    type="button"
+                    className="btn btn-outline-secondary"
+                    onClick={() => { setPin(''); setPhase('edit'); }}
+                    disabled={submitting || unconfirmed}
+                  >
+                    <i className="bi bi-arrow-left me-2"></i>
+                    Back
+                  </button>
+                  {unconfirmed ? (
+                    <button type="button" className="btn btn-banking" onClick={checkBatchStatus} disabled={submitting}>
+                      {submitting ? (
+                        <>
+                          <span className="spinner-border spinner-border-sm me-2" role="status" aria-hidden="true"></span>
+                          Checking...
+                        </>
+                      ) : (
+                        <>
+                          <i className="bi bi-arrow-clockwise me-2"></i>
+                          Check Status
+                        </>
+                      )}
+                    </button>
+                  ) : (
+                    <button type="submit" className="btn btn-banking" disabled={submitting || pin.length !== 4}>
+                      {submitting ? (
+                        <>
+                          <span className="spinner-border spinner-border-sm me-2" role="status" aria-hidden="true"></span>
+                          Submitting...
+                        </>
+                      ) : (
+                        <>
+                          <i className="bi bi-send me-2"></i>
+                          Send {formatCurrency(total)}
+                        </>
+                      )}
+                    </button>
+                  )}
+                </div>
+              </form>
+            )}
+
+            {phase === 'submitted' && pendingCount === 0 && (
+              <div className="d-flex justify-content-end mt-4">
+                <button type="button" className="btn btn-banking" onClick={startOver}>
+                  <i className="bi bi-plus-lg me-2"></i>
+                  New Batch
+                </button>
+              </div>
+            )}
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default BulkTransfer;
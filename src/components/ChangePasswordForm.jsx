@@ -0,0 +1,145 @@
+import { useState } from 'react';
+import { userAPI } from '../services/api';
+import { useAuth } from '../contexts/AuthContext';
+import PasswordStrengthMeter from './PasswordStrengthMeter';
+
+const EMPTY_FORM = {
+  current_password: '',
+  new_password: '',
+  new_password_confirm: ''
+};
+
+const ChangePasswordForm = () => {
+  const [formData, setFormData] = useState(EMPTY_FORM);
+  const [showPasswords, setShowPasswords] = useState(false);
+  const [loading, setLoading] = useState(false);
+  const [errors, setErrors] = useState({});
+  const [success, setSuccess] = useState('');
+  const { replaceSessionTokens } = useAuth();
+
+  const handleChange = (e) => {
+    setFormData({
+      ...formData,
+      [e.target.name]: e.target.value
+    });
+    setSuccess('');
+    // Clear error for this field when user starts typing
+    if (errors[e.target.name]) {
+      setErrors({
+        ...errors,
+        [e.target.name]: null
+      });
+    }
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (formData.new_password !== formData.new_password_confirm) {
+      setErrors({ new_password_confirm: ['Passwords do not match.'] });
+      return;
+    }
+    if (formData.new_password === formData.current_password) {
+      setErrors({ new_password: ['Your new password must be different from your current password.'] });
+      return;
+    }
+
+    setLoading(true);
+    setErrors({});
+    setSuccess('');
+
+    try {
+      const response = await userAPI.changePassword(formData);
+
+      // Backends that revoke old sessions on password change return a fresh token
+      const { token, access, refresh } = response.data || {};
+      if (token || access) {
+        replaceSessionTokens({ access: access || token, refresh });
+      }
+
+      setFormData(EMPTY_FORM);
+      setSuccess('Your password has been changed.');
+    } catch (error) {
+      console.error('Error changing password:', error);
+      setErrors(error.response?.data || { non_field_errors: ['Failed to change password. Please try again.'] });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const renderPasswordField = (name, label, autoComplete) => (
+    <div className="mb-3">
+      <label htmlFor={name} className="form-label fw-medium">{label}</label>
+      <input
+        id={name}
+        name={name}
+        type={showPasswords ? 'text' : 'password'}
+        required
+        autoComplete={autoComplete}
+        className={`form-control ${errors[name] ? 'is-invalid' : ''}`}
+        value={formData[name]}
+        onChange={handleChange}
+      />
+      {errors[name] && (
+        <div className="invalid-feedback">{errors[name][0]}</div>
+      )}
+    </div>
+  );
+
+  return (
+    <form onSubmit={handleSubmit}>
+      <h5 className="mb-3">
+        <i className="bi bi-key me-2"></i>
+        Change Password
+      </h5>
+
+      {errors.non_field_errors && (
+        <div className="alert alert-danger d-flex align-items-center" role="alert">
+          <i className="bi bi-exclamation-triangle-fill me-2"></i>
+          <div>{errors.non_field_errors[0]}</div>
+        </div>
+      )}
+
+      {success && (
+        <div className="alert alert-success" role="alert">
+          <i className="bi bi-check-circle me-2"></i>
+          {success}
+        </div>
+      )}
+
+      {renderPasswordField('current_password', 'Current Password', 'current-password')}
+      {renderPasswordField('new_password', 'New Password', 'new-password')}
+      <div className="mt-n2 mb-3">
+        <PasswordStrengthMeter password={formData.new_password} />
+      </div>
+      {renderPasswordField('new_password_confirm', 'Confirm New Password', 'new-password')}
+
+      <div className="d-flex justify-content-between align-items-center">
+        <div className="form-check">
+          <input
+            id="show_passwords"
+            type="checkbox"
+            className="form-check-input"
+            checked={showPasswords}
+            onChange={(e) => setShowPasswords(e.target.checked)}
+          />
+          <label htmlFor="show_passwords" className="form-check-label small">
+            Show passwords
+          </label>
+        </div>
+        <button type="submit" className="btn btn-banking" disabled={loading}>
+          {loading ? (
+            <>
+              <span className="spinner-border spinner-border-sm me-2" role="status" aria-hidden="true"></span>
+              Updating...
+            </>
+          ) : (
+            'Update Password'
+          )}
+        </button>
+      </div>
+    </form>
+  );
+};
+
+export default ChangePasswordForm;
@@ -0,0 +1,89 @@
+import { useState } from 'react';
+
+const ConfirmModal = ({
+  show,
+  title = 'Are you sure?',
+  message,
+  detail,
+  icon = 'bi-exclamation-triangle',
+  confirmLabel = 'Confirm',
+  confirmIcon,
+  variant = 'danger',
+  onConfirm,
+  onCancel,
+}) => {
+  const [isConfirming, setIsConfirming] = useState(false);
+
+  const handleConfirm = async () => {
+    setIsConfirming(true);
+    await onConfirm();
+    setIsConfirming(false);
+  };
+
+  if (!show) return null;
+
+  return (
+    <>
+      {/* Modal backdrop */}
+      <div className="modal-backdrop fade show"></div>
+
+      {/* Modal */}
+      <div className="modal fade show d-block" tabIndex="-1" role="dialog">
+        <div className="modal-dialog modal-sm modal-dialog-centered" role="document">
+          <div className="modal-content">
+            <div className="modal-header border-0 pb-0">
+              <h5 className="modal-title">{title}</h5>
+              <button
+                type="button"
+                className="btn-close"
+                onClick={onCancel}
+                disabled={isConfirming}
+              ></button>
+            </div>
+            <div className="modal-body pt-2">
+              <div className="text-center">
+                <div className="mb-3">
+                  <i className={`bi ${icon} text-${variant} fs-1`}></i>
+                </div>
+                <p className="mb-2">{message}</p>
+                {detail && (
+                  <small className="text-muted">{detail}</small>
+                )}
+              </div>
+            </div>
+            <div className="modal-footer border-0 pt-0">
+              <button
+                type="button"
+                className="btn btn-outline-secondary"
+                onClick={onCancel}
+                disabled={isConfirming}
+              >
+                Cancel
+              </button>
+              <button
+                type="button"
+                className={`btn btn-${variant}`}
+                onClick={handleConfirm}
+                disabled={isConfirming}
+              >
+                {isConfirming ? (
+                  <>
+                    <span className="spinner-border spinner-border-sm me-2" role="status"></span>
+                    Please wait...
+                  </>
+                ) : (
+                  <>
+                    {confirmIcon && <i className={`bi ${confirmIcon} me-2`}></i>}
+                    {confirmLabel}
+                  </>
+                )}
+              </button>
+            </div>
+          </div>
+        </div>
+      </div>
+    </>
+  );
+};
+
+export default ConfirmModal;
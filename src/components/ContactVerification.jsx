@@ -0,0 +1,160 @@
+import { useState } from 'react';
+import { userAPI } from '../services/api';
+import { useCountdown } from '../hooks/useCountdown';
+import { getRetryAfterSeconds } from '../utils/helpers';
+
+const RESEND_COOLDOWN = 60;
+
+const VerificationRow = ({ channel, icon, label, value, verified, onVerified }) => {
+  const [codeSent, setCodeSent] = useState(false);
+  const [code, setCode] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const { seconds: cooldown, start: startCooldown } = useCountdown();
+
+  const getErrorMessage = (error, fallback) => {
+    const retryAfter = getRetryAfterSeconds(error);
+    if (retryAfter) {
+      startCooldown(retryAfter);
+      return `Too many attempts. Please wait ${retryAfter} seconds.`;
+    }
+    return error.response?.data?.detail || error.response?.data?.code?.[0] || fallback;
+  };
+
+  const handleSend = async () => {
+    try {
+      setLoading(true);
+      setError('');
+      await userAPI.sendContactVerification(channel);
+      setCodeSent(true);
+      startCooldown(RESEND_COOLDOWN);
+    } catch (error) {
+      console.error(`Error sending ${channel} verification:`, error);
+      setError(getErrorMessage(error, 'Failed to send verification code. Please try again.'));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleVerify = async (e) => {
+    e.preventDefault();
+    try {
+      setLoading(true);
+      setError('');
+      const response = await userAPI.verifyContact(channel, code);
+      setCodeSent(false);
+      setCode('');
+      onVerified(channel, response.data);
+    } catch (error) {
+      console.error(`Error verifying ${channel}:`, error);
+      setError(getErrorMessage(error, 'Invalid or expired code. Please try again.'));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <li className="list-group-item px-0 py-3">
+      <div className="d-flex align-items-center justify-content-between">
+        <div className="d-flex align-items-center">
+          <div className="bg-primary bg-opacity-10 p-2 rounded-3 me-3">
+            <i className={`bi ${icon} text-primary fs-5`}></i>
+          </div>
+          <div>
+            <div className="fw-medium">{label}</div>
+            <small className="text-muted">{value || 'Not provided'}</small>
+          </div>
+        </div>
+        {verified ? (
+          <span className="badge bg-success">
+            <i className="bi bi-patch-check me-1"></i>
+            Verified
+          </span>
+        ) : (
+          <div className="d-flex align-items-center gap-2">
+            <span className="badge bg-warning">Unverified</span>
+            {value && !codeSent && (
+              <button
+                className="btn btn-outline-primary btn-sm"
+                onClick={handleSend}
+                disabled={loading || cooldown > 0}
+              >
+                {cooldown > 0 ? `Wait ${cooldown}s` : 'Verify'}
+              </button>
+            )}
+          </div>
+        )}
+      </div>
+
+      {error && (
+        <div className="alert alert-danger py-2 small mt-3 mb-0" role="alert">
+          {error}
+        </div>
+      )}
+
+      {codeSent && !verified && (
+        <form className="mt-3" onSubmit={handleVerify}>
+          <small className="text-muted d-block mb-2">
+            Enter the 6-digit code we sent to {value}.
+          </small>
+          <div className="input-group" style={{ maxWidth: '22rem' }}>
+            <input
+              type="text"
+              inputMode="numeric"
+              autoComplete="one-time-code"
+              maxLength={6}
+              className="form-control font-monospace"
+              placeholder="000000"
+              value={code}
+              onChange={(e) => setCode(e.target.value.replace(/\D/g, ''))}
+              required
+            />
+            <button type="submit" className="btn btn-banking" disabled={loading || code.length !== 6}>
+              Confirm
+            </button>
+            <button
+              type="button"
+              className="btn btn-outline-secondary"
+              onClick={handleSend}
+              disabled={loading || cooldown > 0}
+            >
+              {cooldown > 0 ? `${cooldown}s` : 'Resend'}
+            </button>
+          </div>
+        </form>
+      )}
+    </li>
+  );
+};
+
+const ContactVerification = ({ profile, onVerified }) => (
+  <>
+    <h5 className="mb-1">
+      <i className="bi bi-envelope-check me-2"></i>
+      Contact Information
+    </h5>
+    <p className="text-muted small">
+      Verified contact details are used for security codes and account alerts.
+    </p>
+    <ul className="list-group list-group-flush">
+      <VerificationRow
+        channel="email"
+        icon="bi-envelope"
+        label="Email Address"
+        value={profile.email}
+        verified={profile.email_verified}
+        onVerified={onVerified}
+      />
+      <VerificationRow
+        channel="phone"
+        icon="bi-phone"
+        label="Phone Number"
+        value={profile.phone_number}
+        verified={profile.phone_verified}
+        onVerified={onVerified}
+      />
+    </ul>
+  </>
+);
+
+export default ContactVerification;
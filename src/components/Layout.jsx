@@ -1,11 +1,14 @@
 import { Outlet, Link, useLocation, useNavigate } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthContext';
-import { useState } from 'react';
+import { useState, useCallback } from 'react';
 import ConnectionStatus from './ConnectionStatus';
 import LogoutConfirmModal from './LogoutConfirmModal';
+import SessionTimeoutModal from './SessionTimeoutModal';
+import { useIdleTimeout } from '../hooks/useIdleTimeout';
+import { SESSION_IDLE_TIMEOUT, SESSION_WARNING_TIME } from '../config/environment';
 
 const Layout = () => {
-  const { user, logout } = useAuth();
+  const { user, logout, extendSession } = useAuth();
   const location = useLocation();
   const navigate = useNavigate();
   const [sidebarOpen, setSidebarOpen] = useState(false);
@@ -15,7 +18,11 @@ const Layout = () => {
     { name: 'Dashboard', href: '/dashboard', icon: 'bi-house' },
     { name: 'Accounts', href: '/accounts', icon: 'bi-credit-card' },
     { name: 'Transactions', href: '/transactions', icon: 'bi-arrow-left-right' },
+    { name: 'Insights', href: '/insights', icon: 'bi-graph-up' },
+    { name: 'Budgets', href: '/budgets', icon: 'bi-wallet2' },
+    { name: 'Goals', href: '/goals', icon: 'bi-bullseye' },
     { name: 'Transfer', href: '/transfer', icon: 'bi-send' },
+    { name: 'Scheduled', href: '/transfers/scheduled', icon: 'bi-calendar-check' },
     { name: 'Beneficiaries', href: '/beneficiaries', icon: 'bi-people' },
     { name: 'Cards', href: '/cards', icon: 'bi-credit-card-2-front' },
     { name: 'Profile', href: '/profile', icon: 'bi-person' },
@@ -30,6 +37,25 @@ const Layout = () => {
     setShowLogoutModal(true);
   };
 
+  const handleIdle = useCallback(() => {
+    logout(navigate, 'idle');
+  }, [logout, navigate]);
+
+  const { isWarning, remainingSeconds, reset: resetIdleTimer } = useIdleTimeout({
+    timeout: SESSION_IDLE_TIMEOUT * 60 * 1000,
+    warningTime: SESSION_WARNING_TIME * 1000,
+    onIdle: handleIdle,
+  });
+
+  const handleStaySignedIn = async () => {
+    const extended = await extendSession();
+    if (extended) {
+      resetIdleTimer();
+    } else {
+      await logout(navigate, 'expired');
+    }
+  };
+
   return (
     <div className="min-vh-100 bg-light">
       {/* Mobile sidebar backdrop */}
@@ -58,7 +84,8 @@ const Layout = () => {
         <nav className="flex-grow-1 p-3">
           <div className="d-flex flex-column gap-2">
             {navigation.map((item) => {
-              const isActive = location.pathname === item.href;
+              // Detail pages such as /transactions/:id keep their section highlighted
+              const isActive = location.pathname === item.href || location.pathname.startsWith(`${item.href}/`);
               return (
                 <Link
                   key={item.name}
@@ -171,6 +198,14 @@ const Layout = () => {
         onCancel={() => setShowLogoutModal(false)}
         user={user}
       />
+
+      {/* Idle Session Warning */}
+      <SessionTimeoutModal
+        show={isWarning}
+        remainingSeconds={remainingSeconds}
+        onStay={handleStaySignedIn}
+        onLogout={() => logout(navigate)}
+      />
     </div>
   );
 };
@@ -0,0 +1,156 @@
+import { useState, useEffect, useRef } from 'react';
+import { authAPI, setChallengeHandler } from '../services/api';
+
+const METHOD_LABELS = {
+  totp: 'Enter the 6-digit code from your authenticator app.',
+  sms: 'Enter the 6-digit code we sent by SMS',
+  email: 'Enter the 6-digit code we sent by email',
+};
+
+const OtpChallengeModal = () => {
+  const [challenge, setChallenge] = useState(null);
+  const [code, setCode] = useState('');
+  const [resending, setResending] = useState(false);
+  const [resent, setResent] = useState(false);
+  const [error, setError] = useState('');
+  const pendingRef = useRef(null);
+
+  // Register with the API layer so challenged requests can ask for a code
+  useEffect(() => {
+    return setChallengeHandler((nextChallenge) => new Promise((resolve, reject) => {
+      pendingRef.current = { resolve, reject };
+      setCode('');
+      setResent(false);
+      setError(nextChallenge.invalid ? 'The code you entered is incorrect. Please try again.' : '');
+      setChallenge(nextChallenge);
+    }));
+  }, []);
+
+  const close = () => {
+    pendingRef.current = null;
+    setChallenge(null);
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (!/^\d{6}$/.test(code)) {
+      setError('Please enter a valid 6-digit code');
+      return;
+    }
+    pendingRef.current?.resolve(code);
+    close();
+  };
+
+  const handleCancel = () => {
+    pendingRef.current?.reject(new Error('Verification cancelled'));
+    close();
+  };
+
+  const handleResend = async () => {
+    try {
+      setResending(true);
+      setError('');
+      await authAPI.resendChallenge(challenge.challengeId);
+      setResent(true);
+    } catch (error) {
+      console.error('Error resending code:', error);
+      setError(error.response?.data?.detail || 'Failed to resend code. Please try again.');
+    } finally {
+      setResending(false);
+    }
+  };
+
+  if (!challenge) return null;
+
+  const instructions = challenge.method === 'totp'
+    ? METHOD_LABELS.totp
+    : `${METHOD_LABELS[challenge.method] || 'Enter the 6-digit verification code we sent'}${
+        challenge.destination ? ` to ${challenge.destination}` : ''
+      }.`;
+
+  return (
+    <>
+      {/* Modal backdrop */}
+      <div className="modal-backdrop fade show" style={{ zIndex: 1060 }}></div>
+
+      {/* Modal */}
+      <div className="modal fade show d-block" tabIndex="-1" role="dialog" style={{ zIndex: 1065 }}>
+        <div className="modal-dialog modal-sm modal-dialog-centered" role="document">
+          <form className="modal-content" onSubmit={handleSubmit}>
+            <div className="modal-header border-0 pb-0">
+              <h5 className="modal-title">Verify It's You</h5>
+              <button
+                type="button"
+                className="btn-close"
+                onClick={handleCancel}
+              ></button>
+            </div>
+            <div className="modal-body pt-2">
+              <div className="text-center mb-3">
+                <div className="mb-3">
+                  <i className="bi bi-shield-lock text-primary fs-1"></i>
+                </div>
+                {challenge.message && (
+                  <p className="mb-2">{challenge.message}</p>
+                )}
+                <small className="text-muted">{instructions}</small>
+              </div>
+
+              {error && (
+                <div className="alert alert-danger py-2 small" role="alert">
+                  {error}
+                </div>
+              )}
+
+              {resent && !error && (
+                <div className="alert alert-success py-2 small" role="alert">
+                  A new code has been sent.
+                </div>
+              )}
+
+              <input
+                type="text"
+                inputMode="numeric"
+                autoComplete="one-time-code"
+                className="form-control form-control-lg text-center font-monospace"
+                placeholder="000000"
+                maxLength={6}
+                value={code}
+                onChange={(e) => setCode(e.target.value.replace(/\D/g, ''))}
+                autoFocus
+              />
+
+              {challenge.method !== 'totp' && (
+                <div className="text-center mt-2">
+                  <button
+                    type="button"
+                    className="btn btn-link btn-sm text-decoration-none"
+                    onClick={handleResend}
+                    disabled={resending}
+                  >
+                    {resending ? 'Sending...' : 'Resend code'}
+                  </button>
+                </div>
+              )}
+            </div>
+            <div className="modal-footer border-0 pt-0">
+              <button
+                type="button"
+                className="btn btn-outline-secondary"
+                onClick={handleCancel}
+              >
+                Cancel
+              </button>
+              <button type="submit" className="btn btn-banking">
+                <i className="bi bi-check-circle me-2"></i>
+                Verify
+              </button>
+            </div>
+          </form>
+        </div>
+      </div>
+    </>
+  );
+};
+
+export default OtpChallengeModal;
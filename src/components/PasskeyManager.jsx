@@ -0,0 +1,228 @@
+import { useState, useEffect } from 'react';
+import { passkeyAPI } from '../services/api';
+import { formatDate } from '../utils/helpers';
+import {
+  isWebAuthnSupported,
+  toCreationOptions,
+  serializeCredential,
+  getWebAuthnErrorMessage,
+} from '../utils/webauthn';
+import LoadingSpinner, { ErrorMessage } from './LoadingSpinner';
+
+const PasskeyManager = () => {
+  const [passkeys, setPasskeys] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [registering, setRegistering] = useState(false);
+  const [actionLoading, setActionLoading] = useState({});
+  const [editing, setEditing] = useState({ id: null, name: '' });
+  const [error, setError] = useState('');
+  const [success, setSuccess] = useState('');
+
+  const supported = isWebAuthnSupported();
+
+  useEffect(() => {
+    fetchPasskeys();
+  }, []);
+
+  const fetchPasskeys = async () => {
+    try {
+      setLoading(true);
+      setError('');
+      const response = await passkeyAPI.getPasskeys();
+      setPasskeys(response.data.results || response.data);
+    } catch (error) {
+      console.error('Error fetching passkeys:', error);
+      setError('Failed to load your passkeys. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleRegister = async () => {
+    try {
+      setRegistering(true);
+      setError('');
+      setSuccess('');
+
+      const optionsResponse = await passkeyAPI.beginRegistration();
+      const publicKey = toCreationOptions(optionsResponse.data.publicKey || optionsResponse.data);
+      const credential = await navigator.credentials.create({ publicKey });
+
+      const response = await passkeyAPI.completeRegistration(
+        serializeCredential(credential),
+        `Passkey ${passkeys.length + 1}`
+      );
+      setPasskeys(prev => [...prev, response.data]);
+      setSuccess('Passkey added. You can now sign in without a password.');
+    } catch (error) {
+      console.error('Error registering passkey:', error);
+      const message = getWebAuthnErrorMessage(error, 'Failed to add passkey. Please try again.');
+      if (message) {
+        setError(message);
+      }
+    } finally {
+      setRegistering(false);
+    }
+  };
+
+  const handleRename = async (e) => {
+    e.preventDefault();
+    const { id, name } = editing;
+    if (!name.trim()) return;
+
+    try {
+      setActionLoading(prev => ({ ...prev, [id]: 'rename' }));
+      setError('');
+      await passkeyAPI.renamePasskey(id, name.trim());
+      setPasskeys(prev => prev.map(passkey => (
+        passkey.id === id ? { ...passkey, name: name.trim() } : passkey
+      )));
+      setEditing({ id: null, name: '' });
+    } catch (error) {
+      console.error('Error renaming passkey:', error);
+      setError(error.response?.data?.detail || 'Failed to rename passkey. Please try again.');
+    } finally {
+      setActionLoading(prev => ({ ...prev, [id]: false }));
+    }
+  };
+
+  const handleDelete = async (passkey) => {
+    if (!window.confirm(`Remove "${passkey.name}"? You won't be able to sign in with it anymore.`)) {
+      return;
+    }
+
+    try {
+      setActionLoading(prev => ({ ...prev, [passkey.id]: 'delete' }));
+      setError('');
+      await passkeyAPI.deletePasskey(passkey.id);
+      setPasskeys(prev => prev.filter(item => item.id !== passkey.id));
+    } catch (error) {
+      console.error('Error deleting passkey:', error);
+      setError(error.response?.data?.detail || 'Failed to remove passkey. Please try again.');
+    } finally {
+      setActionLoading(prev => ({ ...prev, [passkey.id]: false }));
+    }
+  };
+
+  return (
+    <div className="card card-banking">
+      <div className="card-body">
+        <div className="d-flex justify-content-between align-items-center mb-3">
+          <div>
+            <h5 className="card-title mb-1">
+              <i className="bi bi-fingerprint me-2"></i>
+              Passkeys
+            </h5>
+            <small className="text-muted">
+              Sign in with your fingerprint, face or device PIN instead of a password.
+            </small>
+          </div>
+          <button
+            className="btn btn-banking btn-sm"
+            onClick={handleRegister}
+            disabled={!supported || registering}
+          >
+            {registering ? (
+              <>
+                <span className="spinner-border spinner-border-sm me-2" role="status" aria-hidden="true"></span>
+                Adding...
+              </>
+            ) : (
+              <>
+                <i className="bi bi-plus-circle me-2"></i>
+                Add Passkey
+              </>
+            )}
+          </button>
+        </div>
+
+        {!supported && (
+          <div className="alert alert-warning small" role="alert">
+            <i className="bi bi-info-circle me-2"></i>
+            This browser doesn't support passkeys.
+          </div>
+        )}
+
+        {error && (
+          <ErrorMessage message={error} dismissible onDismiss={() => setError('')} />
+        )}
+
+        {success && (
+          <div className="alert alert-success" role="alert">
+            <i className="bi bi-check-circle me-2"></i>
+            {success}
+          </div>
+        )}
+
+        {loading ? (
+          <LoadingSpinner fullScreen={false} text="Loading passkeys..." />
+        ) : passkeys.length === 0 ? (
+          <p className="text-muted small mb-0">You haven't added any passkeys yet.</p>
+        ) : (
+          <ul className="list-group list-group-flush">
+            {passkeys.map((passkey) => (
+              <li key={passkey.id} className="list-group-item px-0 d-flex align-items-center justify-content-between">
+                {editing.id === passkey.id ? (
+                  <form className="d-flex gap-2 flex-grow-1 me-2" onSubmit={handleRename}>
+                    <input
+                      type="text"
+                      className="form-control form-control-sm"
+                      value={editing.name}
+                      onChange={(e) => setEditing({ id: passkey.id, name: e.target.value })}
+                      maxLength={64}
+                      autoFocus
+                    />
+                    <button type="submit" className="btn btn-sm btn-banking" disabled={actionLoading[passkey.id]}>
+                      Save
+                    </button>
+                    <button
+                      type="button"
+                      className="btn btn-sm btn-outline-secondary"
+                      onClick={() => setEditing({ id: null, name: '' })}
+                    >
+                      Cancel
+                    </button>
+                  </form>
+                ) : (
+                  <div>
+                    <div className="fw-medium">{passkey.name}</div>
+                    <small className="text-muted">
+                      Added {formatDate(passkey.created_at)}
+                      {passkey.last_used_at && ` • Last used ${formatDate(passkey.last_used_at)}`}
+                    </small>
+                  </div>
+                )}
+                {editing.id !== passkey.id && (
+                  <div className="btn-group" role="group">
+                    <button
+                      className="btn btn-outline-primary btn-sm"
+                      onClick={() => setEditing({ id: passkey.id, name: passkey.name })}
+                      disabled={actionLoading[passkey.id]}
+                      title="Rename"
+                    >
+                      <i className="bi bi-pencil"></i>
+                    </button>
+                    <button
+                      className="btn btn-outline-danger btn-sm"
+                      onClick={() => handleDelete(passkey)}
+                      disabled={actionLoading[passkey.id]}
+                      title="Remove"
+                    >
+                      {actionLoading[passkey.id] === 'delete' ? (
+                        <span className="spinner-border spinner-border-sm" role="status" aria-hidden="true"></span>
+                      ) : (
+                        <i className="bi bi-trash"></i>
+                      )}
+                    </button>
+                  </div>
+                )}
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default PasskeyManager;
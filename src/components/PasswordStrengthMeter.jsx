@@ -0,0 +1,48 @@
+import { PASSWORD_RULES, checkPasswordStrength } from '../utils/helpers';
+
+const STRENGTH_LEVELS = [
+  { label: 'Very weak', variant: 'danger' },
+  { label: 'Very weak', variant: 'danger' },
+  { label: 'Weak', variant: 'danger' },
+  { label: 'Fair', variant: 'warning' },
+  { label: 'Good', variant: 'info' },
+  { label: 'Strong', variant: 'success' },
+];
+
+const PasswordStrengthMeter = ({ password }) => {
+  if (!password) return null;
+
+  const { score } = checkPasswordStrength(password);
+  const level = STRENGTH_LEVELS[score];
+
+  return (
+    <div className="mt-2">
+      <div className="d-flex justify-content-between align-items-center mb-1">
+        <small className="text-muted">Password strength</small>
+        <small className={`fw-medium text-${level.variant}`}>{level.label}</small>
+      </div>
+      <div className="progress" style={{ height: '6px' }}>
+        <div
+          className={`progress-bar bg-${level.variant}`}
+          style={{ width: `${(score / PASSWORD_RULES.length) * 100}%` }}
+        ></div>
+      </div>
+      <ul className="list-unstyled small mt-2 mb-0">
+        {PASSWORD_RULES.map((rule) => {
+          const passed = rule.test(password);
+          return (
+            <li key={rule.id} className={passed ? 'text-success' : 'text-muted'}>
+              <i className={`bi ${passed ? 'bi-check-circle-fill' : 'bi-circle'} me-2`}></i>
+              {rule.label}
+            </li>
+          );
+        })}
+      </ul>
+      <small className="text-muted d-block mt-1">
+        Suggestions only. Our password policy is checked when you submit.
+      </small>
+    </div>
+  );
+};
+
+export default PasswordStrengthMeter;
@@ -0,0 +1,134 @@
+import { useState } from 'react';
+import { userAPI } from '../services/api';
+
+const EDITABLE_FIELDS = ['first_name', 'last_name', 'email', 'phone_number', 'address', 'date_of_birth'];
+
+const ProfileDetailsForm = ({ profile, onSaved }) => {
+  const [formData, setFormData] = useState(() =>
+    EDITABLE_FIELDS.reduce((data, field) => ({ ...data, [field]: profile[field] || '' }), {})
+  );
+  const [loading, setLoading] = useState(false);
+  const [errors, setErrors] = useState({});
+  const [success, setSuccess] = useState('');
+
+  const handleChange = (e) => {
+    setFormData({
+      ...formData,
+      [e.target.name]: e.target.value
+    });
+    setSuccess('');
+    // Clear error for this field when user starts typing
+    if (errors[e.target.name]) {
+      setErrors({
+        ...errors,
+        [e.target.name]: null
+      });
+    }
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    setErrors({});
+    setSuccess('');
+
+    try {
+      const response = await userAPI.updateProfile({
+        ...formData,
+        date_of_birth: formData.date_of_birth || null,
+      });
+      onSaved(response.data);
+      setSuccess('Your profile has been updated.');
+    } catch (error) {
+      console.error('Error updating profile:', error);
+      setErrors(error.response?.data || { non_field_errors: ['Failed to update profile. Please try again.'] });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const renderField = (name, label, type = 'text', placeholder = '') => (
+    <>
+      <label htmlFor={name} className="form-label fw-medium">{label}</label>
+      <input
+        id={name}
+        name={name}
+        type={type}
+        className={`form-control ${errors[name] ? 'is-invalid' : ''}`}
+        placeholder={placeholder}
+        value={formData[name]}
+        onChange={handleChange}
+      />
+      {errors[name] && (
+        <div className="invalid-feedback">{errors[name][0]}</div>
+      )}
+    </>
+  );
+
+  return (
+    <form onSubmit={handleSubmit}>
+      {errors.non_field_errors && (
+        <div className="alert alert-danger d-flex align-items-center" role="alert">
+          <i className="bi bi-exclamation-triangle-fill me-2"></i>
+          <div>{errors.non_field_errors[0]}</div>
+        </div>
+      )}
+
+      {success && (
+        <div className="alert alert-success" role="alert">
+          <i className="bi bi-check-circle me-2"></i>
+          {success}
+        </div>
+      )}
+
+      <div className="row g-3">
+        <div className="col-md-6">
+          {renderField('first_name', 'First Name', 'text', 'Enter first name')}
+        </div>
+        <div className="col-md-6">
+          {renderField('last_name', 'Last Name', 'text', 'Enter last name')}
+        </div>
+        <div className="col-md-6">
+          {renderField('email', 'Email Address', 'email', 'Enter your email')}
+          {formData.email !== (profile.email || '') && (
+            <small className="text-muted">You'll need to verify your new email address.</small>
+          )}
+        </div>
+        <div className="col-md-6">
+          {renderField('phone_number', 'Phone Number', 'tel', '+234 800 000 0000')}
+          {formData.phone_number !== (profile.phone_number || '') && (
+            <small className="text-muted">You'll need to verify your new phone number.</small>
+          )}
+        </div>
+        <div className="col-md-6">
+          {renderField('date_of_birth', 'Date of Birth', 'date')}
+        </div>
+        <div className="col-12">
+          {renderField('address', 'Address', 'text', 'Enter your residential address')}
+        </div>
+        <div className="col-md-6">
+          <label className="form-label fw-medium">Username</label>
+          <input type="text" className="form-control" value={profile.username || ''} disabled />
+        </div>
+      </div>
+
+      <div className="d-flex justify-content-end mt-4">
+        <button type="submit" className="btn btn-banking" disabled={loading}>
+          {loading ? (
+            <>
+              <span className="spinner-border spinner-border-sm me-2" role="status" aria-hidden="true"></span>
+              Saving...
+            </>
+          ) : (
+            <>
+              <i className="bi bi-check2 me-2"></i>
+              Save Changes
+            </>
+          )}
+        </button>
+      </div>
+    </form>
+  );
+};
+
+export default ProfileDetailsForm;
@@ -0,0 +1,167 @@
+import { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { transactionAPI, transferTemplateAPI } from '../services/api';
+import { formatCurrency, getUrlParams } from '../utils/helpers';
+
+// A debit only records account numbers and the bank's name, so match them back to form values
+const toRepeatTemplate = (transaction, accounts, banks) => {
+  const fromAccount = accounts.find(acc => acc.account_number === transaction.account_number);
+  const ownAccount = accounts.find(acc => acc.account_number === transaction.counterparty_account);
+  const bank = banks.find(item => item.name === transaction.counterparty_bank || item.code === transaction.counterparty_bank);
+
+  return {
+    from_account: fromAccount?.id,
+    to_account: ownAccount ? ownAccount.id : transaction.counterparty_account,
+    bank_code: ownAccount ? '' : bank?.code,
+    amount: transaction.amount,
+    description: transaction.description,
+    transfer_type: ownAccount ? 'internal' : 'external',
+  };
+};
+
+const REPEAT_SEARCH_PAGE_SIZE = 20;
+
+// Card payments and fees are debits too, but have no recipient account; failed transfers shouldn't be repeated
+const isRepeatableTransfer = (transaction) => (
+  transaction.status === 'COMPLETED' && Boolean(transaction.counterparty_account)
+);
+
+const QuickTransfers = ({ accounts, banks, onApply, onBeneficiary, onSchedule }) => {
+  const [templates, setTemplates] = useState([]);
+  const [repeating, setRepeating] = useState(false);
+  const [deletingId, setDeletingId] = useState(null);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    fetchTemplates();
+  }, []);
+
+  const fetchTemplates = async () => {
+    try {
+      const response = await transferTemplateAPI.getTemplates();
+      setTemplates(response.data.results || response.data);
+    } catch (error) {
+      console.error('Error fetching transfer templates:', error);
+    }
+  };
+
+  const handleRepeatLast = async () => {
+    try {
+      setRepeating(true);
+      setError('');
+      // Newest first, page by page, until a completed transfer to another account turns up
+      let params = {
+        transaction_type: 'DEBIT',
+        status: 'COMPLETED',
+        ordering: '-created_at',
+        page_size: REPEAT_SEARCH_PAGE_SIZE,
+      };
+      let lastTransfer = null;
+      while (params && !lastTransfer) {
+        const response = await transactionAPI.getTransactions(params);
+        const page = response.data.results || response.data;
+        lastTransfer = page.find(isRepeatableTransfer) || null;
+        params = response.data.next ? getUrlParams(response.data.next) : null;
+      }
+
+      if (!lastTransfer) {
+        setError("You haven't made any transfers yet.");
+        return;
+      }
+      onApply(toRepeatTemplate(lastTransfer, accounts, banks));
+    } catch (error) {
+      console.error('Error fetching last transfer:', error);
+      setError('Could not load your last transfer. Please try again.');
+    } finally {
+      setRepeating(false);
+    }
+  };
+
+  const handleDelete = async (template) => {
+    try {
+      setDeletingId(template.id);
+      setError('');
+      await transferTemplateAPI.deleteTemplate(template.id);
+      setTemplates(prev => prev.filter(item => item.id !== template.id));
+    } catch (error) {
+      console.error('Error deleting transfer template:', error);
+      setError('Failed to delete the template. Please try again.');
+    } finally {
+      setDeletingId(null);
+    }
+  };
+
+  return (
+    <div className="card card-banking mb-4">
+      <div className="card-body">
+        <h5 className="card-title">
+          <i className="bi bi-lightning me-2"></i>
+          Quick Transfers
+        </h5>
+
+        {error && (
+          <div className="alert alert-warning py-2 small" role="alert">
+            {error}
+          </div>
+        )}
+
+        <div className="d-grid gap-2">
+          <button className="btn btn-outline-primary btn-sm" onClick={handleRepeatLast} disabled={repeating}>
+            {repeating ? (
+              <span className="spinner-border spinner-border-sm me-2" role="status" aria-hidden="true"></span>
+            ) : (
+              <i className="bi bi-arrow-repeat me-2"></i>
+            )}
+            Repeat Last Transfer
+          </button>
+          <button className="btn btn-outline-primary btn-sm" onClick={onBeneficiary}>
+            <i className="bi bi-people me-2"></i>
+            Transfer to Beneficiary
+          </button>
+          <button className="btn btn-outline-primary btn-sm" onClick={onSchedule}>
+            <i className="bi bi-calendar-check me-2"></i>
+            Schedule Transfer
+          </button>
+          <Link to="/transfers/scheduled" className="btn btn-link btn-sm">
+            View scheduled transfers
+          </Link>
+        </div>
+
+        <h6 className="mt-3 mb-2 small text-muted text-uppercase">Templates</h6>
+        {templates.length === 0 ? (
+          <p className="small text-muted mb-0">
+            Save a completed transfer as a template from <Link to="/transactions">Transactions</Link>.
+          </p>
+        ) : (
+          <ul className="list-group list-group-flush">
+            {templates.map((template) => (
+              <li key={template.id} className="list-group-item px-0 d-flex align-items-center">
+                <button
+                  type="button"
+                  className="btn btn-link text-start text-decoration-none p-0 flex-grow-1"
+                  onClick={() => onApply(template)}
+                >
+                  <div className="fw-medium text-dark small">{template.name}</div>
+                  <small className="text-muted">
+                    {formatCurrency(template.amount)} to {template.recipient_name || template.to_account}
+                  </small>
+                </button>
+                <button
+                  type="button"
+                  className="btn btn-link btn-sm text-muted"
+                  onClick={() => handleDelete(template)}
+                  disabled={deletingId === template.id}
+                  title="Delete template"
+                >
+                  <i className="bi bi-x-lg"></i>
+                </button>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default QuickTransfers;
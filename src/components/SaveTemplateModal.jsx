@@ -0,0 +1,111 @@
+import { useState } from 'react';
+import { transferTemplateAPI } from '../services/api';
+import { formatCurrency } from '../utils/helpers';
+
+const SaveTemplateModal = ({ transaction, onSaved, onClose }) => {
+  const [name, setName] = useState(transaction.description || '');
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    setError('');
+
+    try {
+      const response = await transferTemplateAPI.createFromTransaction(transaction.id, name.trim());
+      onSaved(response.data);
+    } catch (error) {
+      console.error('Error saving transfer template:', error);
+      setError(
+        error.response?.data?.detail ||
+        error.response?.data?.name?.[0] ||
+        error.response?.data?.transaction?.[0] ||
+        'Failed to save the template. Please try again.'
+      );
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <>
+      {/* Modal backdrop */}
+      <div className="modal-backdrop fade show"></div>
+
+      {/* Modal */}
+      <div className="modal fade show d-block" tabIndex="-1" role="dialog">
+        <div className="modal-dialog modal-dialog-centered" role="document">
+          <form className="modal-content" onSubmit={handleSubmit}>
+            <div className="modal-header">
+              <h5 className="modal-title">Save as Template</h5>
+              <button
+                type="button"
+                className="btn-close"
+                onClick={onClose}
+                disabled={saving}
+              ></button>
+            </div>
+            <div className="modal-body">
+              {error && (
+                <div className="alert alert-danger" role="alert">
+                  <i className="bi bi-exclamation-triangle me-2"></i>
+                  {error}
+                </div>
+              )}
+
+              <p className="text-muted small">
+                {formatCurrency(transaction.amount)} · {transaction.description}
+                <span className="d-block font-monospace">{transaction.reference_number}</span>
+              </p>
+
+              <label htmlFor="template_name" className="form-label fw-medium">
+                Template Name
+              </label>
+              <input
+                type="text"
+                id="template_name"
+                className="form-control"
+                maxLength={50}
+                placeholder="e.g. Monthly rent"
+                value={name}
+                onChange={(e) => setName(e.target.value)}
+                disabled={saving}
+                autoFocus
+                required
+              />
+              <small className="text-muted">
+                The recipient, amount, description and source account are saved with the template.
+              </small>
+            </div>
+            <div className="modal-footer">
+              <button
+                type="button"
+                className="btn btn-outline-secondary"
+                onClick={onClose}
+                disabled={saving}
+              >
+                Cancel
+              </button>
+              <button type="submit" className="btn btn-banking" disabled={saving || !name.trim()}>
+                {saving ? (
+                  <>
+                    <span className="spinner-border spinner-border-sm me-2" role="status" aria-hidden="true"></span>
+                    Saving...
+                  </>
+                ) : (
+                  <>
+                    <i className="bi bi-bookmark-plus me-2"></i>
+                    Save Template
+                  </>
+                )}
+              </button>
+            </div>
+          </form>
+        </div>
+      </div>
+    </>
+  );
+};
+
+export default SaveTemplateModal;
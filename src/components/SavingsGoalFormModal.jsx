@@ -0,0 +1,217 @@
+import { useState } from 'react';
+import { savingsGoalAPI } from '../services/api';
+import { CURRENCY_CONFIG } from '../config/environment';
+import { formatCurrency } from '../utils/helpers';
+import { toISODate } from '../utils/schedule';
+import { isSavingsAccount } from '../utils/savingsGoals';
+
+const SavingsGoalFormModal = ({ show, goal, accounts, onSaved, onClose }) => {
+  const isEditing = Boolean(goal?.id);
+  const savingsAccounts = accounts.filter(isSavingsAccount);
+  const [formData, setFormData] = useState({
+    name: goal?.name || '',
+    target_amount: goal?.target_amount || '',
+    deadline: goal?.deadline || '',
+    savings_account: goal?.savings_account
+      ? String(goal.savings_account)
+      : savingsAccounts.length === 1 ? String(savingsAccounts[0].id) : '',
+  });
+  const [saving, setSaving] = useState(false);
+  const [errors, setErrors] = useState({});
+
+  const tomorrow = new Date();
+  tomorrow.setDate(tomorrow.getDate() + 1);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData({
+      ...formData,
+      [name]: value
+    });
+    // Clear error for this field when user starts typing
+    if (errors[name]) {
+      setErrors({
+        ...errors,
+        [name]: null
+      });
+    }
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!(parseFloat(formData.target_amount) > 0)) {
+      setErrors({ target_amount: ['Enter a target greater than zero.'] });
+      return;
+    }
+
+    setSaving(true);
+    setErrors({});
+
+    try {
+      const payload = { ...formData, name: formData.name.trim() };
+      const response = isEditing
+        ? await savingsGoalAPI.updateGoal(goal.id, payload)
+        : await savingsGoalAPI.createGoal(payload);
+      onSaved(response.data);
+    } catch (error) {
+      console.error('Error saving savings goal:', error);
+      setErrors(error.response?.data || { non_field_errors: ['Failed to save goal. Please try again.'] });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (!show) return null;
+
+  return (
+    <>
+      {/* Modal backdrop */}
+      <div className="modal-backdrop fade show"></div>
+
+      {/* Modal */}
+      <div className="modal fade show d-block" tabIndex="-1" role="dialog">
+        <div className="modal-dialog modal-dialog-centered" role="document">
+          <form className="modal-content" onSubmit={handleSubmit}>
+            <div className="modal-header">
+              <h5 className="modal-title">{isEditing ? 'Edit Goal' : 'New Savings Goal'}</h5>
+              <button
+                type="button"
+                className="btn-close"
+                onClick={onClose}
+                disabled={saving}
+              ></button>
+            </div>
+            <div className="modal-body">
+              {errors.non_field_errors && (
+                <div className="alert alert-danger" role="alert">
+                  <i className="bi bi-exclamation-triangle me-2"></i>
+                  {errors.non_field_errors[0]}
+                </div>
+              )}
+
+              <div className="mb-3">
+                <label htmlFor="name" className="form-label fw-medium">
+                  Goal Name <span className="text-danger">*</span>
+                </label>
+                <input
+                  id="name"
+                  name="name"
+                  type="text"
+                  maxLength={60}
+                  className={`form-control ${errors.name ? 'is-invalid' : ''}`}
+                  placeholder="e.g. Emergency fund, New laptop"
+                  value={formData.name}
+                  onChange={handleChange}
+                  required
+                />
+                {errors.name && (
+                  <div className="invalid-feedback">{errors.name[0]}</div>
+                )}
+              </div>
+
+              <div className="row g-3 mb-3">
+                <div className="col-sm-6">
+                  <label htmlFor="target_amount" className="form-label fw-medium">
+                    Target <span className="text-danger">*</span>
+                  </label>
+                  <div className="input-group">
+                    <span className="input-group-text">{CURRENCY_CONFIG.symbol}</span>
+                    <input
+                      id="target_amount"
+                      name="target_amount"
+                      type="number"
+                      min="1"
+                      step="0.01"
+                      className={`form-control ${errors.target_amount ? 'is-invalid' : ''}`}
+                      placeholder="0.00"
+                      value={formData.target_amount}
+                      onChange={handleChange}
+                      required
+                    />
+                    {errors.target_amount && (
+                      <div className="invalid-feedback">{errors.target_amount[0]}</div>
+                    )}
+                  </div>
+                </div>
+                <div className="col-sm-6">
+                  <label htmlFor="deadline" className="form-label fw-medium">
+                    Deadline <span className="text-danger">*</span>
+                  </label>
+                  <input
+                    id="deadline"
+                    name="deadline"
+                    type="date"
+                    min={toISODate(tomorrow)}
+                    className={`form-control ${errors.deadline ? 'is-invalid' : ''}`}
+                    value={formData.deadline}
+                    onChange={handleChange}
+                    required
+                  />
+                  {errors.deadline && (
+                    <div className="invalid-feedback">{errors.deadline[0]}</div>
+                  )}
+                </div>
+              </div>
+
+              <div className="mb-3">
+                <label htmlFor="savings_account" className="form-label fw-medium">
+                  Savings Account <span className="text-danger">*</span>
+                </label>
+                <select
+                  id="savings_account"
+                  name="savings_account"
+                  className={`form-select ${errors.savings_account ? 'is-invalid' : ''}`}
+                  value={formData.savings_account}
+                  onChange={handleChange}
+                  required
+                >
+                  <option value="">Select account</option>
+                  {savingsAccounts.map((account) => (
+                    <option key={account.id} value={account.id}>
+                      {account.account_type_name} - ****{account.account_number.slice(-4)} ({formatCurrency(account.balance)})
+                    </option>
+                  ))}
+                </select>
+                {errors.savings_account && (
+                  <div className="invalid-feedback">{errors.savings_account[0]}</div>
+                )}
+                {savingsAccounts.length === 0 && (
+                  <small className="text-muted">You need a savings account to hold your goal. Contact your branch to open one.</small>
+                )}
+              </div>
+            </div>
+            <div className="modal-footer">
+              <button
+                type="button"
+                className="btn btn-outline-secondary"
+                onClick={onClose}
+                disabled={saving}
+              >
+                Cancel
+              </button>
+              <button
+                type="submit"
+                className="btn btn-banking"
+                disabled={saving || savingsAccounts.length === 0}
+              >
+                {saving ? (
+                  <>
+                    <span className="spinner-border spinner-border-sm me-2" role="status" aria-hidden="true"></span>
+                    Saving...
+                  </>
+                ) : (
+                  <>
+                    <i className="bi bi-check2 me-2"></i>
+                    {isEditing ? 'Save Changes' : 'Create Goal'}
+                  </>
+                )}
+              </button>
+            </div>
+          </form>
+        </div>
+      </div>
+    </>
+  );
+};
+
+export default SavingsGoalFormModal;
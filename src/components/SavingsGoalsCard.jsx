@@ -0,0 +1,72 @@
+import { Link } from 'react-router-dom';
+import { formatCurrency } from '../utils/helpers';
+import { getGoalProgress, GOAL_STATUS_LABELS } from '../utils/savingsGoals';
+
+const SavingsGoalsCard = ({ goals, loading, error, accountId }) => {
+  // On an account's page, only the goals held in that account
+  const shown = accountId ? goals.filter(goal => String(goal.savings_account) === String(accountId)) : goals;
+
+  return (
+    <div className="card card-banking">
+      <div className="card-body">
+        <div className="d-flex justify-content-between align-items-center mb-3">
+          <h5 className="card-title mb-0">
+            <i className="bi bi-bullseye me-2"></i>
+            Savings Goals
+          </h5>
+          <Link to="/goals" className="btn btn-link btn-sm p-0">
+            Manage
+          </Link>
+        </div>
+
+        {loading ? (
+          <p className="small text-muted mb-0">Loading goals...</p>
+        ) : error ? (
+          <p className="small text-muted mb-0">{error}</p>
+        ) : shown.length === 0 ? (
+          <div className="text-center py-3">
+            <p className="text-muted small mb-3">Save towards something specific and let sweeps do the work.</p>
+            <Link to="/goals" className="btn btn-outline-primary btn-sm">
+              <i className="bi bi-plus-circle me-2"></i>
+              Create a Goal
+            </Link>
+          </div>
+        ) : (
+          <div className="row g-4">
+            {shown.map((goal) => {
+              const progress = getGoalProgress(goal);
+              const status = GOAL_STATUS_LABELS[progress.status];
+              return (
+                <div key={goal.id} className="col-12 col-md-6">
+                  <div className="d-flex justify-content-between align-items-center mb-1">
+                    <span className="fw-medium text-truncate me-2">{goal.name}</span>
+                    <span className={`badge ${status.className}`}>{status.label}</span>
+                  </div>
+                  <div
+                    className="progress mb-1"
+                    style={{ height: '0.5rem' }}
+                    role="progressbar"
+                    aria-label={`${goal.name} progress`}
+                    aria-valuenow={Math.round(progress.ratio * 100)}
+                    aria-valuemin="0"
+                    aria-valuemax="100"
+                  >
+                    <div className="progress-bar bg-success" style={{ width: `${progress.ratio * 100}%` }}></div>
+                  </div>
+                  <div className="d-flex justify-content-between small">
+                    <span>{formatCurrency(progress.saved)} of {formatCurrency(progress.target)}</span>
+                    {progress.status !== 'achieved' && (
+                      <span className="text-muted">{formatCurrency(progress.monthlyRequired)}/month needed</span>
+                    )}
+                  </div>
+                </div>
+              );
+            })}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default SavingsGoalsCard;
@@ -0,0 +1,117 @@
+import { FREQUENCIES, toISODate } from '../utils/schedule';
+
+const END_OPTIONS = [
+  { value: 'never', label: 'Until I cancel' },
+  { value: 'date', label: 'On a date' },
+  { value: 'count', label: 'After a number of payments' },
+];
+
+const ScheduleFields = ({ schedule, onChange, originalStart, disabled = false }) => {
+  const tomorrow = new Date();
+  tomorrow.setDate(tomorrow.getDate() + 1);
+  // An order that has already started may keep its original start date
+  const minDate = originalStart && originalStart < toISODate(tomorrow) ? originalStart : toISODate(tomorrow);
+  const recurring = schedule.frequency !== 'once';
+
+  return (
+    <div className="row g-3">
+      <div className="col-md-6">
+        <label htmlFor="start_date" className="form-label fw-medium">
+          {recurring ? 'First Payment' : 'Payment Date'}
+        </label>
+        <input
+          type="date"
+          id="start_date"
+          name="start_date"
+          className="form-control"
+          min={minDate}
+          value={schedule.start_date}
+          onChange={onChange}
+          disabled={disabled}
+          required
+        />
+      </div>
+
+      <div className="col-md-6">
+        <label htmlFor="frequency" className="form-label fw-medium">
+          Repeat
+        </label>
+        <select
+          id="frequency"
+          name="frequency"
+          className="form-select"
+          value={schedule.frequency}
+          onChange={onChange}
+          disabled={disabled}
+        >
+          {FREQUENCIES.map((frequency) => (
+            <option key={frequency.value} value={frequency.value}>{frequency.label}</option>
+          ))}
+        </select>
+      </div>
+
+      {recurring && (
+        <>
+          <div className="col-md-6">
+            <label htmlFor="end_type" className="form-label fw-medium">
+              Ends
+            </label>
+            <select
+              id="end_type"
+              name="end_type"
+              className="form-select"
+              value={schedule.end_type}
+              onChange={onChange}
+              disabled={disabled}
+            >
+              {END_OPTIONS.map((option) => (
+                <option key={option.value} value={option.value}>{option.label}</option>
+              ))}
+            </select>
+          </div>
+
+          {schedule.end_type === 'date' && (
+            <div className="col-md-6">
+              <label htmlFor="end_date" className="form-label fw-medium">
+                End Date
+              </label>
+              <input
+                type="date"
+                id="end_date"
+                name="end_date"
+                className="form-control"
+                min={schedule.start_date || minDate}
+                value={schedule.end_date}
+                onChange={onChange}
+                disabled={disabled}
+                required
+              />
+            </div>
+          )}
+
+          {schedule.end_type === 'count' && (
+            <div className="col-md-6">
+              <label htmlFor="occurrences" className="form-label fw-medium">
+                Number of Payments
+              </label>
+              <input
+                type="number"
+                id="occurrences"
+                name="occurrences"
+                className="form-control"
+                min="1"
+                step="1"
+                value={schedule.occurrences}
+                onChange={onChange}
+                disabled={disabled}
+                required
+              />
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default ScheduleFields;
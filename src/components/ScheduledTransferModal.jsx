@@ -0,0 +1,176 @@
+import { useState } from 'react';
+import { transactionAPI } from '../services/api';
+import { validateSchedule, toSchedulePayload } from '../utils/schedule';
+import { CURRENCY_CONFIG } from '../config/environment';
+import ScheduleFields from './ScheduleFields';
+
+const ScheduledTransferModal = ({ scheduledTransfer, onSaved, onClose }) => {
+  const [formData, setFormData] = useState({
+    amount: scheduledTransfer.amount,
+    description: scheduledTransfer.description || '',
+  });
+  const [schedule, setSchedule] = useState({
+    start_date: scheduledTransfer.start_date,
+    frequency: scheduledTransfer.frequency,
+    end_type: scheduledTransfer.end_type || 'never',
+    end_date: scheduledTransfer.end_date || '',
+    occurrences: scheduledTransfer.occurrences || '',
+  });
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  const handleChange = (e) => {
+    setFormData({
+      ...formData,
+      [e.target.name]: e.target.value
+    });
+  };
+
+  const handleScheduleChange = (e) => {
+    setSchedule({
+      ...schedule,
+      [e.target.name]: e.target.value
+    });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    const validationError = parseFloat(formData.amount) > 0
+      ? validateSchedule(schedule, { originalStart: scheduledTransfer.start_date })
+      : 'Transfer amount must be greater than 0';
+    if (validationError) {
+      setError(validationError);
+      return;
+    }
+
+    setSaving(true);
+    setError('');
+
+    try {
+      const response = await transactionAPI.updateScheduledTransfer(scheduledTransfer.id, {
+        amount: parseFloat(formData.amount),
+        description: formData.description,
+        ...toSchedulePayload(schedule),
+      });
+      onSaved(response.data);
+    } catch (error) {
+      console.error('Error updating scheduled transfer:', error);
+      setError(
+        error.response?.data?.detail ||
+        error.response?.data?.non_field_errors?.[0] ||
+        error.response?.data?.amount?.[0] ||
+        'Failed to update the scheduled transfer. Please try again.'
+      );
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <>
+      {/* Modal backdrop */}
+      <div className="modal-backdrop fade show"></div>
+
+      {/* Modal */}
+      <div className="modal fade show d-block" tabIndex="-1" role="dialog">
+        <div className="modal-dialog modal-lg modal-dialog-centered" role="document">
+          <form className="modal-content" onSubmit={handleSubmit}>
+            <div className="modal-header">
+              <h5 className="modal-title">Edit Scheduled Transfer</h5>
+              <button
+                type="button"
+                className="btn-close"
+                onClick={onClose}
+                disabled={saving}
+              ></button>
+            </div>
+            <div className="modal-body">
+              {error && (
+                <div className="alert alert-danger" role="alert">
+                  <i className="bi bi-exclamation-triangle me-2"></i>
+                  {error}
+                </div>
+              )}
+
+              <p className="text-muted small">
+                To {scheduledTransfer.recipient_name || scheduledTransfer.to_account}
+                {scheduledTransfer.bank_name && ` · ${scheduledTransfer.bank_name}`}
+              </p>
+
+              <div className="row g-3 mb-3">
+                <div className="col-md-6">
+                  <label htmlFor="amount" className="form-label fw-medium">
+                    Amount ({CURRENCY_CONFIG.symbol})
+                  </label>
+                  <div className="input-group">
+                    <span className="input-group-text">{CURRENCY_CONFIG.symbol}</span>
+                    <input
+                      type="number"
+                      id="amount"
+                      name="amount"
+                      className="form-control"
+                      step="0.01"
+                      min="0.01"
+                      value={formData.amount}
+                      onChange={handleChange}
+                      disabled={saving}
+                      required
+                    />
+                  </div>
+                </div>
+                <div className="col-md-6">
+                  <label htmlFor="description" className="form-label fw-medium">
+                    Description
+                  </label>
+                  <input
+                    type="text"
+                    id="description"
+                    name="description"
+                    className="form-control"
+                    value={formData.description}
+                    onChange={handleChange}
+                    disabled={saving}
+                    required
+                  />
+                </div>
+              </div>
+
+              <ScheduleFields
+                schedule={schedule}
+                onChange={handleScheduleChange}
+                originalStart={scheduledTransfer.start_date}
+                disabled={saving}
+              />
+            </div>
+            <div className="modal-footer">
+              <button
+                type="button"
+                className="btn btn-outline-secondary"
+                onClick={onClose}
+                disabled={saving}
+              >
+                Cancel
+              </button>
+              <button type="submit" className="btn btn-banking" disabled={saving}>
+                {saving ? (
+                  <>
+                    <span className="spinner-border spinner-border-sm me-2" role="status" aria-hidden="true"></span>
+                    Saving...
+                  </>
+                ) : (
+                  <>
+                    <i className="bi bi-check2 me-2"></i>
+                    Save Changes
+                  </>
+                )}
+              </button>
+            </div>
+          </form>
+        </div>
+      </div>
+    </>
+  );
+};
+
+export default ScheduledTransferModal;
@@ -0,0 +1,74 @@
+import { useState } from 'react';
+
+const SessionTimeoutModal = ({ show, remainingSeconds, onStay, onLogout }) => {
+  const [isExtending, setIsExtending] = useState(false);
+
+  const handleStay = async () => {
+    setIsExtending(true);
+    await onStay();
+    setIsExtending(false);
+  };
+
+  if (!show) return null;
+
+  return (
+    <>
+      {/* Modal backdrop */}
+      <div className="modal-backdrop fade show"></div>
+      
+      {/* Modal */}
+      <div className="modal fade show d-block" tabIndex="-1" role="dialog">
+        <div className="modal-dialog modal-sm modal-dialog-centered" role="document">
+          <div className="modal-content">
+            <div className="modal-header border-0 pb-0">
+              <h5 className="modal-title">Session Timeout</h5>
+            </div>
+            <div className="modal-body pt-2">
+              <div className="text-center">
+                <div className="mb-3">
+                  <i className="bi bi-hourglass-split text-warning fs-1"></i>
+                </div>
+                <p className="mb-2">
+                  You'll be signed out in <strong>{remainingSeconds}s</strong> due to inactivity.
+                </p>
+                <small className="text-muted">
+                  Any unsaved changes will be kept if you stay signed in.
+                </small>
+              </div>
+            </div>
+            <div className="modal-footer border-0 pt-0">
+              <button
+                type="button"
+                className="btn btn-outline-secondary"
+                onClick={onLogout}
+                disabled={isExtending}
+              >
+                Logout
+              </button>
+              <button
+                type="button"
+                className="btn btn-banking"
+                onClick={handleStay}
+                disabled={isExtending}
+              >
+                {isExtending ? (
+                  <>
+                    <span className="spinner-border spinner-border-sm me-2" role="status"></span>
+                    Extending...
+                  </>
+                ) : (
+                  <>
+                    <i className="bi bi-arrow-clockwise me-2"></i>
+                    Stay Signed In
+                  </>
+                )}
+              </button>
+            </div>
+          </div>
+        </div>
+      </div>
+    </>
+  );
+};
+
+export default SessionTimeoutModal;
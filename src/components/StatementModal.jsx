@@ -0,0 +1,186 @@
+import { useState } from 'react';
+import { useAccountStatement } from '../hooks/useAccountStatement';
+import { toISODate, formatScheduleDate } from '../utils/schedule';
+import {
+  getDefaultStatementMonth,
+  getStatementRange,
+  validateStatementRange,
+} from '../utils/accountStatement';
+
+const StatementModal = ({ show, account, holderName, onClose }) => {
+  const today = toISODate(new Date());
+  const [request, setRequest] = useState({
+    type: 'month',
+    month: getDefaultStatementMonth(),
+    date_from: '',
+    date_to: today,
+  });
+  const [validationError, setValidationError] = useState('');
+  const { generating, error, issued, generateStatement } = useAccountStatement(account, holderName);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setRequest({
+      ...request,
+      [name]: value
+    });
+    setValidationError('');
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const range = getStatementRange(request);
+    const message = validateStatementRange(range);
+    if (message) {
+      setValidationError(message);
+      return;
+    }
+    await generateStatement(range);
+  };
+
+  if (!show) return null;
+
+  return (
+    <>
+      {/* Modal backdrop */}
+      <div className="modal-backdrop fade show"></div>
+
+      {/* Modal */}
+      <div className="modal fade show d-block" tabIndex="-1" role="dialog">
+        <div className="modal-dialog modal-dialog-centered" role="document">
+          <form className="modal-content" onSubmit={handleSubmit}>
+            <div className="modal-header">
+              <h5 className="modal-title">Official Statement</h5>
+              <button
+                type="button"
+                className="btn-close"
+                onClick={onClose}
+                disabled={generating}
+              ></button>
+            </div>
+            <div className="modal-body">
+              <p className="small text-muted">
+                A PDF statement for ****{account.account_number.slice(-4)} on bank letterhead, with opening and closing
+                balances and every completed transaction. Each statement carries a reference that landlords, embassies
+                and others can use to confirm it's genuine.
+              </p>
+
+              {(validationError || error) && (
+                <div className="alert alert-danger" role="alert">
+                  <i className="bi bi-exclamation-triangle me-2"></i>
+                  {validationError || error}
+                </div>
+              )}
+
+              {issued && (
+                <div className="alert alert-success" role="alert">
+                  <i className="bi bi-check-circle me-2"></i>
+                  Statement for {formatScheduleDate(issued.range.date_from)} - {formatScheduleDate(issued.range.date_to)} downloaded.
+                  <div className="small mt-1">
+                    Reference <span className="font-monospace fw-semibold">{issued.reference}</span>
+                  </div>
+                </div>
+              )}
+
+              <div className="btn-group w-100 mb-3" role="group" aria-label="Statement period">
+                {[
+                  { value: 'month', label: 'Monthly' },
+                  { value: 'custom', label: 'Custom period' },
+                ].map((option) => (
+                  <button
+                    key={option.value}
+                    type="button"
+                    className={`btn ${request.type === option.value ? 'btn-primary' : 'btn-outline-primary'}`}
+                    onClick={() => handleChange({ target: { name: 'type', value: option.value } })}
+                    disabled={generating}
+                  >
+                    {option.label}
+                  </button>
+                ))}
+              </div>
+
+              {request.type === 'month' ? (
+                <div className="mb-3">
+                  <label htmlFor="month" className="form-label fw-medium">Month</label>
+                  <input
+                    id="month"
+                    name="month"
+                    type="month"
+                    className="form-control"
+                    max={today.slice(0, 7)}
+                    value={request.month}
+                    onChange={handleChange}
+                    required
+                  />
+                  <small className="text-muted">The current month runs up to today.</small>
+                </div>
+              ) : (
+                <div className="row g-3 mb-3">
+                  <div className="col-sm-6">
+                    <label htmlFor="date_from" className="form-label fw-medium">From</label>
+                    <input
+                      id="date_from"
+                      name="date_from"
+                      type="date"
+                      className="form-control"
+                      max={request.date_to || today}
+                      value={request.date_from}
+                      onChange={handleChange}
+                      required
+                    />
+                  </div>
+                  <div className="col-sm-6">
+                    <label htmlFor="date_to" className="form-label fw-medium">To</label>
+                    <input
+                      id="date_to"
+                      name="date_to"
+                      type="date"
+                      className="form-control"
+                      min={request.date_from}
+                      max={today}
+                      value={request.date_to}
+                      onChange={handleChange}
+                      required
+                    />
+                  </div>
+                  <div className="col-12">
+                    <small className="text-muted">Up to one year per statement.</small>
+                  </div>
+                </div>
+              )}
+            </div>
+            <div className="modal-footer">
+              <button
+                type="button"
+                className="btn btn-outline-secondary"
+                onClick={onClose}
+                disabled={generating}
+              >
+                Close
+              </button>
+              <button
+                type="submit"
+                className="btn btn-banking"
+                disabled={generating}
+              >
+                {generating ? (
+                  <>
+                    <span className="spinner-border spinner-border-sm me-2" role="status" aria-hidden="true"></span>
+                    Generating...
+                  </>
+                ) : (
+                  <>
+                    <i className="bi bi-file-earmark-pdf me-2"></i>
+                    Download Statement
+                  </>
+                )}
+              </button>
+            </div>
+          </form>
+        </div>
+      </div>
+    </>
+  );
+};
+
+export default StatementModal;
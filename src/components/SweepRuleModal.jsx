@@ -0,0 +1,225 @@
+import { useState } from 'react';
+import { savingsGoalAPI } from '../services/api';
+import { formatCurrency } from '../utils/helpers';
+import { SWEEP_RULE_TYPES, ROUND_UP_OPTIONS } from '../utils/savingsGoals';
+
+const MIN_SALARY_PERCENTAGE = 1;
+const MAX_SALARY_PERCENTAGE = 50;
+
+const SweepRuleModal = ({ show, goal, accounts, onSaved, onClose }) => {
+  // Money is swept from another of the user's accounts into the goal's savings account
+  const sourceAccounts = accounts.filter(account => String(account.id) !== String(goal.savings_account));
+  const [formData, setFormData] = useState({
+    rule_type: SWEEP_RULE_TYPES[0].id,
+    round_to: String(ROUND_UP_OPTIONS[0]),
+    percentage: '10',
+    source_account: sourceAccounts.length === 1 ? String(sourceAccounts[0].id) : '',
+  });
+  const [saving, setSaving] = useState(false);
+  const [errors, setErrors] = useState({});
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData({
+      ...formData,
+      [name]: value
+    });
+    // Clear error for this field when user starts typing
+    if (errors[name]) {
+      setErrors({
+        ...errors,
+        [name]: null
+      });
+    }
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const percentage = parseFloat(formData.percentage);
+    if (formData.rule_type === 'salary_percentage' && !(percentage >= MIN_SALARY_PERCENTAGE && percentage <= MAX_SALARY_PERCENTAGE)) {
+      setErrors({ percentage: [`Choose between ${MIN_SALARY_PERCENTAGE}% and ${MAX_SALARY_PERCENTAGE}%.`] });
+      return;
+    }
+
+    setSaving(true);
+    setErrors({});
+
+    try {
+      const response = await savingsGoalAPI.addRule(goal.id, {
+        rule_type: formData.rule_type,
+        source_account: formData.source_account,
+        ...(formData.rule_type === 'round_up'
+          ? { round_to: formData.round_to }
+          : { percentage: formData.percentage }),
+      });
+      onSaved(response.data);
+    } catch (error) {
+      console.error('Error saving sweep rule:', error);
+      setErrors(error.response?.data || { non_field_errors: ['Failed to save rule. Please try again.'] });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (!show) return null;
+
+  return (
+    <>
+      {/* Modal backdrop */}
+      <div className="modal-backdrop fade show"></div>
+
+      {/* Modal */}
+      <div className="modal fade show d-block" tabIndex="-1" role="dialog">
+        <div className="modal-dialog modal-dialog-centered" role="document">
+          <form className="modal-content" onSubmit={handleSubmit}>
+            <div className="modal-header">
+              <h5 className="modal-title">Automate Savings for {goal.name}</h5>
+              <button
+                type="button"
+                className="btn-close"
+                onClick={onClose}
+                disabled={saving}
+              ></button>
+            </div>
+            <div className="modal-body">
+              {errors.non_field_errors && (
+                <div className="alert alert-danger" role="alert">
+                  <i className="bi bi-exclamation-triangle me-2"></i>
+                  {errors.non_field_errors[0]}
+                </div>
+              )}
+
+              <div className="mb-3">
+                {SWEEP_RULE_TYPES.map((type) => (
+                  <div key={type.id} className="form-check border rounded-3 p-3 ps-5 mb-2">
+                    <input
+                      id={`rule_type_${type.id}`}
+                      name="rule_type"
+                      type="radio"
+                      className="form-check-input"
+                      value={type.id}
+                      checked={formData.rule_type === type.id}
+                      onChange={handleChange}
+                    />
+                    <label htmlFor={`rule_type_${type.id}`} className="form-check-label w-100">
+                      <i className={`bi ${type.icon} text-primary me-2`}></i>
+                      <span className="fw-medium">{type.label}</span>
+                      <small className="text-muted d-block">{type.hint}</small>
+                    </label>
+                  </div>
+                ))}
+              </div>
+
+              {formData.rule_type === 'round_up' ? (
+                <div className="mb-3">
+                  <label htmlFor="round_to" className="form-label fw-medium">
+                    Round Up To The Nearest
+                  </label>
+                  <select
+                    id="round_to"
+                    name="round_to"
+                    className={`form-select ${errors.round_to ? 'is-invalid' : ''}`}
+                    value={formData.round_to}
+                    onChange={handleChange}
+                  >
+                    {ROUND_UP_OPTIONS.map((option) => (
+                      <option key={option} value={option}>{formatCurrency(option)}</option>
+                    ))}
+                  </select>
+                  {errors.round_to && (
+                    <div className="invalid-feedback">{errors.round_to[0]}</div>
+                  )}
+                  <small className="text-muted">
+                    A {formatCurrency(2350)} purchase saves {formatCurrency(Math.ceil(2350 / formData.round_to) * formData.round_to - 2350)}.
+                  </small>
+                </div>
+              ) : (
+                <div className="mb-3">
+                  <label htmlFor="percentage" className="form-label fw-medium">
+                    Share Of Each Salary Credit
+                  </label>
+                  <div className="input-group">
+                    <input
+                      id="percentage"
+                      name="percentage"
+                      type="number"
+                      min={MIN_SALARY_PERCENTAGE}
+                      max={MAX_SALARY_PERCENTAGE}
+                      step="0.5"
+                      className={`form-control ${errors.percentage ? 'is-invalid' : ''}`}
+                      value={formData.percentage}
+                      onChange={handleChange}
+                      required
+                    />
+                    <span className="input-group-text">%</span>
+                    {errors.percentage && (
+                      <div className="invalid-feedback">{errors.percentage[0]}</div>
+                    )}
+                  </div>
+                </div>
+              )}
+
+              <div className="mb-3">
+                <label htmlFor="source_account" className="form-label fw-medium">
+                  Move Money From <span className="text-danger">*</span>
+                </label>
+                <select
+                  id="source_account"
+                  name="source_account"
+                  className={`form-select ${errors.source_account ? 'is-invalid' : ''}`}
+                  value={formData.source_account}
+                  onChange={handleChange}
+                  required
+                >
+                  <option value="">Select account</option>
+                  {sourceAccounts.map((account) => (
+                    <option key={account.id} value={account.id}>
+                      {account.account_type_name} - ****{account.account_number.slice(-4)}
+                    </option>
+                  ))}
+                </select>
+                {errors.source_account && (
+                  <div className="invalid-feedback">{errors.source_account[0]}</div>
+                )}
+              </div>
+
+              <div className="alert alert-info small mb-0">
+                <i className="bi bi-info-circle me-2"></i>
+                Sweeps are made as internal transfers and appear in your transaction history.
+              </div>
+            </div>
+            <div className="modal-footer">
+              <button
+                type="button"
+                className="btn btn-outline-secondary"
+                onClick={onClose}
+                disabled={saving}
+              >
+                Cancel
+              </button>
+              <button
+                type="submit"
+                className="btn btn-banking"
+                disabled={saving || !formData.source_account}
+              >
+                {saving ? (
+                  <>
+                    <span className="spinner-border spinner-border-sm me-2" role="status" aria-hidden="true"></span>
+                    Saving...
+                  </>
+                ) : (
+                  <>
+                    <i className="bi bi-check2 me-2"></i>
+                    Add Rule
+                  </>
+                )}
+              </button>
+            </div>
+          </form>
+        </div>
+      </div>
+    </>
+  );
+};
+
+export default SweepRuleModal;
@@ -0,0 +1,356 @@
+import { useState, useEffect, useCallback } from 'react';
+import { transactionAPI } from '../services/api';
+import { formatCurrency, formatDateTime } from '../utils/helpers';
+import LoadingSpinner, { ErrorMessage } from './LoadingSpinner';
+
+const MAX_TAGS = 10;
+const MAX_TAG_LENGTH = 24;
+const MAX_ATTACHMENT_SIZE = 5 * 1024 * 1024;
+const ATTACHMENT_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'application/pdf'];
+
+const STATUS_BADGES = {
+  COMPLETED: 'bg-success',
+  PENDING: 'bg-warning',
+  FAILED: 'bg-danger',
+  REVERSED: 'bg-secondary',
+};
+
+const normalizeTag = (value) => value.trim().toLowerCase().replace(/\s+/g, '-').slice(0, MAX_TAG_LENGTH);
+
+const formatFileSize = (bytes) => (
+  bytes >= 1024 * 1024 ? `${(bytes / (1024 * 1024)).toFixed(1)} MB` : `${Math.max(1, Math.round(bytes / 1024))} KB`
+);
+
+const TransactionDetailDrawer = ({ transactionId, onClose, onUpdated }) => {
+  const [transaction, setTransaction] = useState(null);
+  const [notes, setNotes] = useState('');
+  const [tagInput, setTagInput] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [uploading, setUploading] = useState(false);
+  const [deletingId, setDeletingId] = useState(null);
+  const [loadError, setLoadError] = useState('');
+  const [error, setError] = useState('');
+  const [notesSaved, setNotesSaved] = useState(false);
+
+  // Close on Escape, like the other dialogs
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') onClose();
+    };
+    document.addEventListener('keydown', handleKeyDown);
+    return () => document.removeEventListener('keydown', handleKeyDown);
+  }, [onClose]);
+
+  const fetchTransaction = useCallback(async () => {
+    try {
+      setLoading(true);
+      setLoadError('');
+      const response = await transactionAPI.getTransaction(transactionId);
+      setTransaction(response.data);
+      setNotes(response.data.notes || '');
+    } catch (error) {
+      console.error('Error fetching transaction:', error);
+      setLoadError(error.response?.status === 404
+        ? 'This transaction could not be found.'
+        : 'Failed to load this transaction. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  }, [transactionId]);
+
+  useEffect(() => {
+    fetchTransaction();
+  }, [fetchTransaction]);
+
+  const applyUpdate = (updated) => {
+    setTransaction(updated);
+    onUpdated?.(updated);
+  };
+
+  const saveChanges = async (changes) => {
+    try {
+      setSaving(true);
+      setError('');
+      const response = await transactionAPI.updateTransaction(transaction.id, changes);
+      applyUpdate({ ...transaction, ...response.data });
+      return true;
+    } catch (error) {
+      console.error('Error updating transaction:', error);
+      setError(
+        error.response?.data?.notes?.[0] ||
+        error.response?.data?.tags?.[0] ||
+        'Failed to save your changes. Please try again.'
+      );
+      return false;
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleNotesSubmit = async (e) => {
+    e.preventDefault();
+    setNotesSaved(await saveChanges({ notes: notes.trim() }));
+  };
+
+  const tags = transaction?.tags || [];
+
+  const handleAddTag = async (e) => {
+    e.preventDefault();
+    const tag = normalizeTag(tagInput);
+    if (!tag) return;
+    if (tags.includes(tag)) {
+      setTagInput('');
+      return;
+    }
+    if (tags.length >= MAX_TAGS) {
+      setError(`A transaction can have at most ${MAX_TAGS} tags.`);
+      return;
+    }
+    if (await saveChanges({ tags: [...tags, tag] })) {
+      setTagInput('');
+    }
+  };
+
+  const handleRemoveTag = (tag) => saveChanges({ tags: tags.filter(item => item !== tag) });
+
+  const handleUpload = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    if (!ATTACHMENT_TYPES.includes(file.type)) {
+      setError('Attach a JPG, PNG or WebP image, or a PDF.');
+      return;
+    }
+    if (file.size > MAX_ATTACHMENT_SIZE) {
+      setError(`Attachments can be at most ${formatFileSize(MAX_ATTACHMENT_SIZE)}.`);
+      return;
+    }
+
+    try {
+      setUploading(true);
+      setError('');
+      const response = await transactionAPI.uploadAttachment(transaction.id, file);
+      applyUpdate({ ...transaction, attachments: [...(transaction.attachments || []), response.data] });
+    } catch (error) {
+      console.error('Error uploading attachment:', error);
+      setError(error.response?.data?.file?.[0] || 'Failed to upload the attachment. Please try again.');
+    } finally {
+      setUploading(false);
+    }
+  };
+
+  const handleDeleteAttachment = async (attachment) => {
+    try {
+      setDeletingId(attachment.id);
+      setError('');
+      await transactionAPI.deleteAttachment(transaction.id, attachment.id);
+      applyUpdate({
+        ...transaction,
+        attachments: transaction.attachments.filter(item => item.id !== attachment.id),
+      });
+    } catch (error) {
+      console.error('Error deleting attachment:', error);
+      setError('Failed to remove the attachment. Please try again.');
+    } finally {
+      setDeletingId(null);
+    }
+  };
+
+  const isCredit = transaction?.transaction_type === 'CREDIT';
+  const counterparty = transaction && [
+    transaction.counterparty_name,
+    transaction.counterparty_account && `****${transaction.counterparty_account.slice(-4)}`,
+    transaction.counterparty_bank,
+  ].filter(Boolean).join(' · ');
+
+  return (
+    <>
+      <div className="offcanvas-backdrop fade show" onClick={onClose}></div>
+
+      <div
+        className="offcanvas offcanvas-end show"
+        tabIndex="-1"
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="transaction-detail-title"
+        style={{ width: '28rem', maxWidth: '100%' }}
+      >
+        <div className="offcanvas-header border-bottom">
+          <h5 className="offcanvas-title" id="transaction-detail-title">Transaction Details</h5>
+          <button type="button" className="btn-close" onClick={onClose} aria-label="Close"></button>
+        </div>
+
+        <div className="offcanvas-body">
+          {loading ? (
+            <LoadingSpinner fullScreen={false} text="Loading transaction..." />
+          ) : loadError ? (
+            <ErrorMessage message={loadError} onRetry={fetchTransaction} />
+          ) : (
+            <>
+              <div className="text-center mb-4">
+                <div className={`fs-3 fw-bold ${isCredit ? 'text-success' : 'text-danger'}`}>
+                  {isCredit ? '+' : '-'}{formatCurrency(transaction.amount)}
+                </div>
+                <div className="fw-medium">{transaction.description}</div>
+                <span className={`badge ${STATUS_BADGES[transaction.status] || 'bg-secondary'} mt-2`}>
+                  {transaction.status}
+                </span>
+              </div>
+
+              {error && (
+                <div className="alert alert-danger py-2 small" role="alert">
+                  <i className="bi bi-exclamation-triangle me-2"></i>
+                  {error}
+                </div>
+              )}
+
+              <dl className="small mb-4">
+                {[
+                  ['Date', formatDateTime(transaction.created_at)],
+                  ['Reference', transaction.reference_number],
+                  ['Counterparty', counterparty],
+                  ['Account', transaction.account_number && `****${transaction.account_number.slice(-4)}`],
+                  ['Channel', transaction.channel],
+                  ['Category', transaction.category_name],
+                  ['Fee', transaction.fee ? formatCurrency(transaction.fee) : ''],
+                  ['Balance After', transaction.balance_after !== undefined && transaction.balance_after !== null
+                    ? formatCurrency(transaction.balance_after)
+                    : ''],
+                ].filter(([, value]) => value).map(([label, value]) => (
+                  <div key={label} className="d-flex justify-content-between border-bottom py-2">
+                    <dt className="text-muted fw-normal">{label}</dt>
+                    <dd className={`mb-0 text-end ms-3 ${label === 'Reference' ? 'font-monospace' : ''}`}>{value}</dd>
+                  </div>
+                ))}
+              </dl>
+
+              {transaction.status_history?.length > 0 && (
+                <>
+                  <h6 className="small text-muted text-uppercase mb-2">Status History</h6>
+                  <ul className="list-unstyled small mb-4">
+                    {transaction.status_history.map((entry, index) => (
+                      <li key={`${entry.status}-${entry.timestamp}`} className="d-flex mb-2">
+                        <i className={`bi ${index === transaction.status_history.length - 1 ? 'bi-circle-fill text-primary' : 'bi-circle text-muted'} me-2`}></i>
+                        <div>
+                          <div className="fw-medium text-capitalize">{entry.status.toLowerCase()}</div>
+                          <div className="text-muted">{formatDateTime(entry.timestamp)}</div>
+                          {entry.note && <div>{entry.note}</div>}
+                        </div>
+                      </li>
+                    ))}
+                  </ul>
+                </>
+              )}
+
+              <h6 className="small text-muted text-uppercase mb-2">Tags</h6>
+              <div className="d-flex flex-wrap gap-2 mb-2">
+                {tags.length === 0 && <small className="text-muted">No tags yet.</small>}
+                {tags.map((tag) => (
+                  <span key={tag} className="badge bg-primary bg-opacity-10 text-primary d-inline-flex align-items-center">
+                    #{tag}
+                    <button
+                      type="button"
+                      className="btn-close ms-2"
+                      style={{ fontSize: '0.5rem' }}
+                      onClick={() => handleRemoveTag(tag)}
+                      disabled={saving}
+                      aria-label={`Remove tag ${tag}`}
+                    ></button>
+                  </span>
+                ))}
+              </div>
+              <form className="input-group input-group-sm mb-4" onSubmit={handleAddTag}>
+                <input
+                  type="text"
+                  className="form-control"
+                  placeholder="Add a tag, e.g. business"
+                  maxLength={MAX_TAG_LENGTH}
+                  value={tagInput}
+                  onChange={(e) => setTagInput(e.target.value)}
+                  disabled={saving}
+                  aria-label="New tag"
+                />
+                <button type="submit" className="btn btn-outline-primary" disabled={saving || !tagInput.trim()}>
+                  Add
+                </button>
+              </form>
+
+              <form onSubmit={handleNotesSubmit} className="mb-4">
+                <label htmlFor="transaction_notes" className="small text-muted text-uppercase fw-semibold mb-2">
+                  Notes
+                </label>
+                <textarea
+                  id="transaction_notes"
+                  className="form-control form-control-sm mb-2"
+                  rows="3"
+                  maxLength={1000}
+                  placeholder="Add a note for your records..."
+                  value={notes}
+                  onChange={(e) => { setNotes(e.target.value); setNotesSaved(false); }}
+                  disabled={saving}
+                ></textarea>
+                <div className="d-flex justify-content-end align-items-center gap-2">
+                  {notesSaved && <small className="text-success"><i className="bi bi-check me-1"></i>Saved</small>}
+                  <button
+                    type="submit"
+                    className="btn btn-banking btn-sm"
+                    disabled={saving || notes.trim() === (transaction.notes || '')}
+                  >
+                    Save Note
+                  </button>
+                </div>
+              </form>
+
+              <h6 className="small text-muted text-uppercase mb-2">Receipts &amp; Attachments</h6>
+              <ul className="list-group list-group-flush mb-2">
+                {(transaction.attachments || []).map((attachment) => (
+                  <li key={attachment.id} className="list-group-item px-0 d-flex align-items-center">
+                    <i className={`bi ${attachment.content_type === 'application/pdf' ? 'bi-file-earmark-pdf' : 'bi-file-earmark-image'} fs-5 me-2 text-muted`}></i>
+                    <a
+                      href={attachment.file}
+                      target="_blank"
+                      rel="noopener noreferrer"
+                      className="small flex-grow-1 text-truncate"
+                    >
+                      {attachment.name}
+                    </a>
+                    {attachment.size && <small className="text-muted ms-2">{formatFileSize(attachment.size)}</small>}
+                    <button
+                      type="button"
+                      className="btn btn-link btn-sm text-muted ms-2"
+                      onClick={() => handleDeleteAttachment(attachment)}
+                      disabled={deletingId === attachment.id}
+                      title="Remove attachment"
+                    >
+                      <i className="bi bi-trash"></i>
+                    </button>
+                  </li>
+                ))}
+              </ul>
+              <label className={`btn btn-outline-primary btn-sm ${uploading ? 'disabled' : ''}`}>
+                {uploading ? (
+                  <span className="spinner-border spinner-border-sm me-2" role="status" aria-hidden="true"></span>
+                ) : (
+                  <i className="bi bi-paperclip me-2"></i>
+                )}
+                {uploading ? 'Uploading...' : 'Attach Receipt'}
+                <input
+                  type="file"
+                  className="d-none"
+                  accept={ATTACHMENT_TYPES.join(',')}
+                  onChange={handleUpload}
+                  disabled={uploading}
+                />
+              </label>
+              <small className="d-block text-muted mt-1">Images or PDF, up to {formatFileSize(MAX_ATTACHMENT_SIZE)}.</small>
+            </>
+          )}
+        </div>
+      </div>
+    </>
+  );
+};
+
+export default TransactionDetailDrawer;
@@ -0,0 +1,230 @@
+import { useState, useEffect } from 'react';
+import { transferLimitsAPI } from '../services/api';
+import { formatCurrency, formatDate } from '../utils/helpers';
+import { CURRENCY_CONFIG } from '../config/environment';
+import LoadingSpinner, { ErrorMessage } from './LoadingSpinner';
+
+const EMPTY_FORM = {
+  per_transaction: '',
+  daily: '',
+  reason: ''
+};
+
+const STATUS_BADGES = {
+  pending: 'bg-warning text-dark',
+  approved: 'bg-success',
+  rejected: 'bg-danger',
+};
+
+const TransferLimitRequest = () => {
+  const [limits, setLimits] = useState(null);
+  const [requests, setRequests] = useState([]);
+  const [formData, setFormData] = useState(EMPTY_FORM);
+  const [loading, setLoading] = useState(true);
+  const [submitting, setSubmitting] = useState(false);
+  const [loadError, setLoadError] = useState('');
+  const [errors, setErrors] = useState({});
+  const [success, setSuccess] = useState('');
+
+  useEffect(() => {
+    fetchLimits();
+  }, []);
+
+  const fetchLimits = async () => {
+    try {
+      setLoading(true);
+      setLoadError('');
+      const [limitsResponse, requestsResponse] = await Promise.all([
+        transferLimitsAPI.getLimits(),
+        transferLimitsAPI.getIncreaseRequests(),
+      ]);
+      setLimits(limitsResponse.data);
+      setRequests(requestsResponse.data.results || requestsResponse.data);
+    } catch (error) {
+      console.error('Error fetching transfer limits:', error);
+      setLoadError('Failed to load your transfer limits. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleChange = (e) => {
+    setFormData({
+      ...formData,
+      [e.target.name]: e.target.value
+    });
+    setSuccess('');
+    if (errors[e.target.name]) {
+      setErrors({
+        ...errors,
+        [e.target.name]: null
+      });
+    }
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    const perTransaction = parseFloat(formData.per_transaction) || 0;
+    const daily = parseFloat(formData.daily) || 0;
+    if (!perTransaction && !daily) {
+      setErrors({ non_field_errors: ['Enter a new per-transfer limit, daily limit, or both.'] });
+      return;
+    }
+    if (perTransaction && perTransaction <= parseFloat(limits.per_transaction)) {
+      setErrors({ per_transaction: [`Must be more than your current limit of ${formatCurrency(limits.per_transaction)}.`] });
+      return;
+    }
+    if (daily && daily <= parseFloat(limits.daily)) {
+      setErrors({ daily: [`Must be more than your current limit of ${formatCurrency(limits.daily)}.`] });
+      return;
+    }
+
+    setSubmitting(true);
+    setErrors({});
+    setSuccess('');
+
+    try {
+      // The server may ask for a one-time code before accepting the request
+      const response = await transferLimitsAPI.requestIncrease({
+        per_transaction: perTransaction || null,
+        daily: daily || null,
+        reason: formData.reason.trim(),
+      });
+      setRequests(prev => [response.data, ...prev]);
+      setFormData(EMPTY_FORM);
+      setSuccess("Your request has been submitted. We'll notify you once it has been reviewed.");
+    } catch (error) {
+      console.error('Error requesting limit increase:', error);
+      setErrors(error.challengeCancelled
+        ? { non_field_errors: ['Request cancelled: verification was not completed.'] }
+        : error.response?.data || { non_field_errors: ['Failed to submit your request. Please try again.'] });
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const hasPendingRequest = requests.some(request => request.status === 'pending');
+
+  const renderAmountField = (name, label, current) => (
+    <div className="col-md-6">
+      <label htmlFor={`limit_${name}`} className="form-label fw-medium">{label}</label>
+      <div className="input-group has-validation">
+        <span className="input-group-text">{CURRENCY_CONFIG.symbol}</span>
+        <input
+          id={`limit_${name}`}
+          name={name}
+          type="number"
+          min="0"
+          step="1000"
+          className={`form-control ${errors[name] ? 'is-invalid' : ''}`}
+          value={formData[name]}
+          onChange={handleChange}
+          disabled={submitting || hasPendingRequest}
+        />
+        {errors[name] && (
+          <div className="invalid-feedback">{errors[name][0]}</div>
+        )}
+      </div>
+      <small className="text-muted">Current: {formatCurrency(current)}</small>
+    </div>
+  );
+
+  return (
+    <div className="card card-banking mb-4">
+      <div className="card-body">
+        <h5 className="mb-3">
+          <i className="bi bi-speedometer2 me-2"></i>
+          Transfer Limits
+        </h5>
+
+        {loading ? (
+          <LoadingSpinner fullScreen={false} text="Loading limits..." />
+        ) : loadError ? (
+          <ErrorMessage message={loadError} onRetry={fetchLimits} />
+        ) : (
+          <form onSubmit={handleSubmit}>
+            {errors.non_field_errors && (
+              <div className="alert alert-danger d-flex align-items-center" role="alert">
+                <i className="bi bi-exclamation-triangle-fill me-2"></i>
+                <div>{errors.non_field_errors[0]}</div>
+              </div>
+            )}
+
+            {success && (
+              <div className="alert alert-success" role="alert">
+                <i className="bi bi-check-circle me-2"></i>
+                {success}
+              </div>
+            )}
+
+            {hasPendingRequest && (
+              <div className="alert alert-info small" role="status">
+                <i className="bi bi-hourglass-split me-2"></i>
+                You already have a limit increase under review.
+              </div>
+            )}
+
+            <div className="row g-3 mb-3">
+              {renderAmountField('per_transaction', 'New Per-Transfer Limit', limits.per_transaction)}
+              {renderAmountField('daily', 'New Daily Limit', limits.daily)}
+              <div className="col-12">
+                <label htmlFor="limit_reason" className="form-label fw-medium">Reason</label>
+                <textarea
+                  id="limit_reason"
+                  name="reason"
+                  rows="2"
+                  maxLength={500}
+                  className={`form-control ${errors.reason ? 'is-invalid' : ''}`}
+                  placeholder="e.g. Paying school fees this term"
+                  value={formData.reason}
+                  onChange={handleChange}
+                  disabled={submitting || hasPendingRequest}
+                  required
+                ></textarea>
+                {errors.reason && (
+                  <div className="invalid-feedback">{errors.reason[0]}</div>
+                )}
+              </div>
+            </div>
+
+            <div className="d-flex justify-content-end">
+              <button type="submit" className="btn btn-banking" disabled={submitting || hasPendingRequest}>
+                {submitting ? (
+                  <>
+                    <span className="spinner-border spinner-border-sm me-2" role="status" aria-hidden="true"></span>
+                    Submitting...
+                  </>
+                ) : (
+                  'Request Increase'
+                )}
+              </button>
+            </div>
+          </form>
+        )}
+
+        {requests.length > 0 && (
+          <>
+            <h6 className="mt-4 mb-2 small text-muted text-uppercase">Previous Requests</h6>
+            <ul className="list-group list-group-flush">
+              {requests.map((request) => (
+                <li key={request.id} className="list-group-item px-0 d-flex justify-content-between align-items-center">
+                  <div className="small">
+                    {request.per_transaction && <div>Per transfer: {formatCurrency(request.per_transaction)}</div>}
+                    {request.daily && <div>Daily: {formatCurrency(request.daily)}</div>}
+                    <span className="text-muted">{formatDate(request.created_at)}</span>
+                  </div>
+                  <span className={`badge ${STATUS_BADGES[request.status] || 'bg-secondary'} text-capitalize`}>
+                    {request.status}
+                  </span>
+                </li>
+              ))}
+            </ul>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default TransferLimitRequest;
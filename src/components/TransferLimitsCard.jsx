@@ -0,0 +1,60 @@
+import { Link } from 'react-router-dom';
+import { formatCurrency } from '../utils/helpers';
+import { getRemainingToday } from '../utils/transferLimits';
+
+const TransferLimitsCard = ({ limits, loading, error }) => {
+  const used = parseFloat(limits?.used_today || 0);
+  const daily = parseFloat(limits?.daily || 0);
+  const percent = daily ? Math.min(100, Math.round((used / daily) * 100)) : 0;
+  const barClass = percent >= 90 ? 'bg-danger' : percent >= 70 ? 'bg-warning' : 'bg-success';
+
+  return (
+    <div className="card card-banking mb-4">
+      <div className="card-body">
+        <h5 className="card-title">
+          <i className="bi bi-speedometer2 me-2"></i>
+          Daily Limit
+        </h5>
+
+        {loading ? (
+          <p className="small text-muted mb-0">Loading limits...</p>
+        ) : error || !limits ? (
+          <p className="small text-muted mb-0">{error || 'Limits are not available right now.'}</p>
+        ) : (
+          <>
+            <div className="d-flex justify-content-between small mb-1">
+              <span>{formatCurrency(used)} used</span>
+              <span className="text-muted">of {formatCurrency(daily)}</span>
+            </div>
+            <div
+              className="progress mb-2"
+              style={{ height: '0.5rem' }}
+              role="progressbar"
+              aria-label="Daily transfer limit used"
+              aria-valuenow={percent}
+              aria-valuemin="0"
+              aria-valuemax="100"
+            >
+              <div className={`progress-bar ${barClass}`} style={{ width: `${percent}%` }}></div>
+            </div>
+            <ul className="list-unstyled small mb-3">
+              <li className="d-flex justify-content-between">
+                <span className="text-muted">Remaining today</span>
+                <span className="fw-medium">{formatCurrency(getRemainingToday(limits))}</span>
+              </li>
+              <li className="d-flex justify-content-between">
+                <span className="text-muted">Per transfer</span>
+                <span className="fw-medium">{formatCurrency(limits.per_transaction)}</span>
+              </li>
+            </ul>
+            <Link to="/profile?tab=security" className="btn btn-link btn-sm p-0">
+              Request a higher limit
+            </Link>
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default TransferLimitsCard;
@@ -0,0 +1,93 @@
+import { useState } from 'react';
+import { formatCurrency } from '../utils/helpers';
+import { getReceiptRows, shareReceipt, printReceipt, downloadReceipt } from '../utils/receipt';
+
+const TransferReceipt = ({ receipt, onNewTransfer, onRetry, children }) => {
+  const [notice, setNotice] = useState('');
+  const isSuccess = receipt.status !== 'failed';
+  const isScheduled = receipt.status === 'scheduled';
+  const isPending = receipt.status === 'pending';
+
+  const handleShare = async () => {
+    try {
+      const result = await shareReceipt(receipt);
+      setNotice(result === 'copied' ? 'Receipt copied to clipboard.' : '');
+    } catch (error) {
+      // Closing the share sheet rejects with AbortError; nothing to report
+      if (error.name !== 'AbortError') {
+        console.error('Error sharing receipt:', error);
+        setNotice('Could not share the receipt. Try downloading it instead.');
+      }
+    }
+  };
+
+  const handlePrint = () => {
+    if (!printReceipt(receipt)) {
+      setNotice('Allow pop-ups for this site to print the receipt.');
+    }
+  };
+
+  return (
+    <div className="card card-banking">
+      <div className="card-body p-4">
+        <div className="text-center mb-4">
+          <div className={`rounded-circle d-inline-flex align-items-center justify-content-center mb-3 ${isPending ? 'bg-warning' : isSuccess ? 'bg-success' : 'bg-danger'} bg-opacity-10`}
+               style={{ width: '4.5rem', height: '4.5rem' }}>
+            <i className={`bi ${isScheduled ? 'bi-calendar-check text-success' : isPending ? 'bi-hourglass-split text-warning' : isSuccess ? 'bi-check-lg text-success' : 'bi-x-lg text-danger'} fs-1`}></i>
+          </div>
+          <h4 className="fw-bold mb-1">
+            {isScheduled ? 'Transfer Scheduled' : isPending ? 'Transfer Processing' : isSuccess ? 'Transfer Successful' : 'Transfer Failed'}
+          </h4>
+          <div className="fs-3 fw-bold text-primary">{formatCurrency(receipt.amount)}</div>
+        </div>
+
+        <dl className="small mb-4">
+          {getReceiptRows(receipt).map(([label, value]) => (
+            <div key={label} className="d-flex justify-content-between border-bottom py-2">
+              <dt className="text-muted fw-normal">{label}</dt>
+              <dd className={`mb-0 text-end ms-3 ${label === 'Reference' ? 'font-monospace' : ''}`}>{value}</dd>
+            </div>
+          ))}
+        </dl>
+
+        {notice && (
+          <div className="alert alert-info py-2 small" role="status">
+            {notice}
+          </div>
+        )}
+
+        {children}
+
+        <div className="d-flex flex-wrap gap-2 justify-content-center">
+          {isSuccess ? (
+            <>
+              <button type="button" className="btn btn-outline-primary btn-sm" onClick={handleShare}>
+                <i className="bi bi-share me-2"></i>
+                Share
+              </button>
+              <button type="button" className="btn btn-outline-primary btn-sm" onClick={handlePrint}>
+                <i className="bi bi-printer me-2"></i>
+                Print
+              </button>
+              <button type="button" className="btn btn-outline-primary btn-sm" onClick={() => downloadReceipt(receipt)}>
+                <i className="bi bi-download me-2"></i>
+                Download
+              </button>
+            </>
+          ) : (
+            <button type="button" className="btn btn-outline-primary btn-sm" onClick={onRetry}>
+              <i className="bi bi-arrow-counterclockwise me-2"></i>
+              Try Again
+            </button>
+          )}
+          <button type="button" className="btn btn-banking btn-sm" onClick={onNewTransfer}>
+            <i className="bi bi-plus-lg me-2"></i>
+            New Transfer
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default TransferReceipt;
@@ -21,6 +21,11 @@ export const config = {
   
   // Security
   ENABLE_DEBUG: import.meta.env.VITE_ENABLE_DEBUG === 'true' || import.meta.env.DEV,
+  AUTH_HEADER_PREFIX: import.meta.env.VITE_AUTH_HEADER_PREFIX || 'Token',
+  TOKEN_STORAGE: import.meta.env.VITE_TOKEN_STORAGE || 'memory', // 'memory' or 'cookie'
+  SESSION_IDLE_TIMEOUT: parseInt(import.meta.env.VITE_SESSION_IDLE_TIMEOUT) || 15, // minutes
+  SESSION_WARNING_TIME: parseInt(import.meta.env.VITE_SESSION_WARNING_TIME) || 60, // seconds
+  DUPLICATE_TRANSFER_WINDOW: parseInt(import.meta.env.VITE_DUPLICATE_TRANSFER_WINDOW) || 10, // minutes
   
   // Features
   ENABLE_ANALYTICS: import.meta.env.VITE_ENABLE_ANALYTICS === 'true',
@@ -79,6 +84,11 @@ export const {
   IS_DEVELOPMENT,
   IS_PRODUCTION,
   ENABLE_DEBUG,
+  AUTH_HEADER_PREFIX,
+  TOKEN_STORAGE,
+  SESSION_IDLE_TIMEOUT,
+  SESSION_WARNING_TIME,
+  DUPLICATE_TRANSFER_WINDOW,
   ENABLE_ANALYTICS,
   ENABLE_ERROR_REPORTING,
   DEFAULT_LANGUAGE,
@@ -1,8 +1,38 @@
-import { createContext, useContext, useState, useEffect } from 'react';
-import { authAPI } from '../services/api';
+import { createContext, useContext, useState, useEffect, useRef } from 'react';
+import {
+  authAPI,
+  passkeyAPI,
+  userAPI,
+  setAuthTokens,
+  clearAuthTokens,
+  onSessionEvent,
+  refreshSession,
+} from '../services/api';
+import { getTokenStore, isCookieMode, setCsrfToken, purgeLegacyCredentials } from '../services/tokenStorage';
+import { getSecureItem, setSecureItem, removeSecureItem, clearSecureStorage } from '../utils/secureStorage';
+import { toRequestOptions, serializeCredential, getWebAuthnErrorMessage } from '../utils/webauthn';
+import {
+  broadcastSessionEvent,
+  subscribeToSessionSync,
+  requestSessionFromOtherTabs,
+} from '../utils/sessionSync';
 
 const AuthContext = createContext();
 
+// The access cookie may have lapsed while the refresh cookie is still good, so refresh once before giving up.
+// Refreshing directly (not via the interceptor) keeps a visitor with no session from seeing "session expired".
+const fetchCookieSessionUser = async () => {
+  try {
+    const response = await userAPI.getProfile({ skipAuthRefresh: true });
+    return response.data;
+  } catch (error) {
+    if (error.response?.status !== 401) throw error;
+    await refreshSession();
+    const response = await userAPI.getProfile({ skipAuthRefresh: true });
+    return response.data;
+  }
+};
+
 export const useAuth = () => {
   const context = useContext(AuthContext);
   if (!context) {
@@ -15,64 +45,199 @@ export const AuthProvider = ({ children }) => {
   const [user, setUser] = useState(null);
   const [loading, setLoading] = useState(true);
   const [isAuthenticated, setIsAuthenticated] = useState(false);
+  const [sessionEndReason, setSessionEndReason] = useState(null);
+  const userRef = useRef(null);
+
+  useEffect(() => {
+    userRef.current = user;
+  }, [user]);
 
   useEffect(() => {
     checkAuthStatus();
   }, []);
 
-  const checkAuthStatus = () => {
-    const token = localStorage.getItem('authToken');
-    const savedUser = localStorage.getItem('user');
-    
-    if (token && savedUser) {
-      try {
-        setUser(JSON.parse(savedUser));
+  // The API layer reports silent refreshes and ends the session when a refresh fails
+  useEffect(() => {
+    return onSessionEvent((type, payload) => {
+      if (type === 'refreshed') {
+        broadcastSessionEvent('refreshed', { tokens: payload.tokens }, { sensitive: true });
+      } else if (type === 'expired') {
+        clearSessionState('expired');
+        clearSecureStorage();
+        broadcastSessionEvent('logout', { reason: 'expired' });
+      }
+    });
+  }, []);
+
+  // Keep every open tab on the same session
+  useEffect(() => {
+    return subscribeToSessionSync((type, payload) => {
+      switch (type) {
+        case 'login':
+          // Sensitive payloads are dropped by the storage fallback; nothing to sign in with
+          if (!payload.user) break;
+          // Another account signed in: reload so no data from the previous user stays in memory
+          if (userRef.current && userRef.current.id !== payload.user.id) {
+            window.location.replace('/dashboard');
+            return;
+          }
+          if (payload.tokens) {
+            setAuthTokens(payload.tokens);
+          }
+          setSecureItem('user', payload.user);
+          setUser(payload.user);
+          setIsAuthenticated(true);
+          setSessionEndReason(null);
+          break;
+        case 'logout':
+          clearAuthTokens();
+          sessionStorage.clear();
+          clearSessionState(payload.reason || null);
+          break;
+        case 'refreshed':
+          if (payload.tokens) {
+            setAuthTokens(payload.tokens);
+          }
+          break;
+        case 'user_updated':
+          if (!payload.user) break;
+          setSecureItem('user', payload.user);
+          setUser(payload.user);
+          break;
+        case 'session_request':
+          // A newly opened or reloaded tab is asking for the current session
+          if (userRef.current) {
+            broadcastSessionEvent(
+              'session_share',
+              { tokens: getTokenStore().snapshot(), user: userRef.current },
+              { sensitive: true }
+            );
+          }
+          break;
+        default:
+          break;
+      }
+    });
+  }, []);
+
+  const clearSessionState = (reason) => {
+    setUser(null);
+    setIsAuthenticated(false);
+    setSessionEndReason(reason);
+  };
+
+  const checkAuthStatus = async () => {
+    try {
+      purgeLegacyCredentials();
+      const tokenStore = getTokenStore();
+      let savedUser = await getSecureItem('user');
+
+      // In-memory tokens don't survive a reload; borrow the session from another open tab
+      if (!savedUser || !tokenStore.hasSession()) {
+        const shared = await requestSessionFromOtherTabs();
+        if (shared?.user) {
+          if (shared.tokens) {
+            setAuthTokens(shared.tokens);
+          }
+          savedUser = shared.user;
+          await setSecureItem('user', savedUser);
+        }
+      }
+
+      // With no other tab open, a cookie session can still be valid; ask the server who it belongs to
+      if (!savedUser && isCookieMode()) {
+        try {
+          savedUser = await fetchCookieSessionUser();
+          await setSecureItem('user', savedUser);
+        } catch {
+          // Neither cookie is valid: stay signed out without reporting an expired session
+        }
+      }
+
+      if (savedUser && tokenStore.hasSession()) {
+        setUser(savedUser);
         setIsAuthenticated(true);
-      } catch (error) {
-        console.error('Error parsing user data:', error);
-        localStorage.removeItem('authToken');
-        localStorage.removeItem('user');
+      } else {
+        removeSecureItem('user');
       }
+    } catch (error) {
+      console.error('Error restoring session:', error);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Cookie sessions need a CSRF token before the first state-changing request
+  const ensureCsrfToken = async () => {
+    if (!isCookieMode()) return;
+    const response = await authAPI.getCsrfToken();
+    if (response.data?.csrfToken) {
+      setCsrfToken(response.data.csrfToken);
     }
-    setLoading(false);
+  };
+
+  // Accepts both the legacy `token` response and `access`/`refresh` pairs
+  const startSession = async ({ user: userData, token, access, refresh }) => {
+    setAuthTokens({ access: access || token, refresh });
+    await setSecureItem('user', userData);
+
+    setUser(userData);
+    setIsAuthenticated(true);
+    setSessionEndReason(null);
+    broadcastSessionEvent('login', { user: userData, tokens: getTokenStore().snapshot() }, { sensitive: true });
   };
 
   const login = async (credentials) => {
     try {
+      await ensureCsrfToken();
       const response = await authAPI.login(credentials);
-      const { user: userData, token } = response.data;
+      await startSession(response.data);
       
-      // Save to localStorage
-      localStorage.setItem('authToken', token);
-      localStorage.setItem('user', JSON.stringify(userData));
-      
-      // Update state
-      setUser(userData);
-      setIsAuthenticated(true);
-      
-      return { success: true, user: userData };
+      return { success: true, user: response.data.user };
     } catch (error) {
       return { 
         success: false, 
-        error: error.response?.data?.message || 'Login failed' 
+        error: error.challengeCancelled
+          ? 'Verification cancelled. Please sign in again.'
+          : error.response?.data?.message || 'Login failed' 
+      };
+    }
+  };
+
+  // Passkey sign-in; `conditional` offers passkeys in the username field's autofill
+  const loginWithPasskey = async ({ username = '', conditional = false, signal } = {}) => {
+    try {
+      await ensureCsrfToken();
+      const optionsResponse = await passkeyAPI.beginLogin(username);
+      const publicKey = toRequestOptions(optionsResponse.data.publicKey || optionsResponse.data);
+
+      const credential = await navigator.credentials.get({
+        publicKey,
+        signal,
+        ...(conditional && { mediation: 'conditional' }),
+      });
+
+      const response = await passkeyAPI.completeLogin(serializeCredential(credential));
+      await startSession(response.data);
+
+      return { success: true, user: response.data.user };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.challengeCancelled
+          ? 'Verification cancelled. Please sign in again.'
+          : getWebAuthnErrorMessage(error, 'Passkey sign-in failed. Please use your password instead.'),
       };
     }
   };
 
   const register = async (userData) => {
     try {
+      await ensureCsrfToken();
       const response = await authAPI.register(userData);
-      const { user: newUser, token } = response.data;
-      
-      // Save to localStorage
-      localStorage.setItem('authToken', token);
-      localStorage.setItem('user', JSON.stringify(newUser));
+      await startSession(response.data);
       
-      // Update state
-      setUser(newUser);
-      setIsAuthenticated(true);
-      
-      return { success: true, user: newUser };
+      return { success: true, user: response.data.user };
     } catch (error) {
       return { 
         success: false, 
@@ -81,7 +246,7 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
-  const logout = async (navigate = null) => {
+  const logout = async (navigate = null, reason = null) => {
     try {
       // Call logout API to invalidate token on server
       await authAPI.logout();
@@ -89,14 +254,14 @@ export const AuthProvider = ({ children }) => {
       console.error('Logout API error:', error);
       // Continue with logout even if API call fails
     } finally {
-      // Clear localStorage and session
-      localStorage.removeItem('authToken');
-      localStorage.removeItem('user');
+      // Clear credentials and encrypted session data
+      clearAuthTokens();
+      await clearSecureStorage();
       sessionStorage.clear();
       
-      // Update state
-      setUser(null);
-      setIsAuthenticated(false);
+      // Update state and sign out other tabs
+      clearSessionState(reason);
+      broadcastSessionEvent('logout', { reason });
       
       // Navigate to login if navigate function provided
       if (navigate) {
@@ -105,18 +270,43 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
+  // Renews the access token when the user chooses to stay signed in
+  const extendSession = async () => {
+    if (!getTokenStore().canRefresh()) {
+      return true;
+    }
+    try {
+      await refreshSession();
+      return true;
+    } catch (error) {
+      console.error('Session refresh error:', error);
+      return false;
+    }
+  };
+
+  // Adopts tokens the server reissued (e.g. after a password change) in this tab and every other one
+  const replaceSessionTokens = (tokens) => {
+    setAuthTokens(tokens);
+    broadcastSessionEvent('refreshed', { tokens: getTokenStore().snapshot() }, { sensitive: true });
+  };
+
   const updateUser = (updatedUser) => {
     setUser(updatedUser);
-    localStorage.setItem('user', JSON.stringify(updatedUser));
+    setSecureItem('user', updatedUser);
+    broadcastSessionEvent('user_updated', { user: updatedUser }, { sensitive: true });
   };
 
   const value = {
     user,
     isAuthenticated,
     loading,
+    sessionEndReason,
     login,
+    loginWithPasskey,
     register,
     logout,
+    extendSession,
+    replaceSessionTokens,
     updateUser,
   };
 
@@ -0,0 +1,59 @@
+import { useState, useEffect } from 'react';
+import { accountAPI } from '../services/api';
+import { isValidNuban } from '../utils/helpers';
+
+const IDLE = { status: 'idle', accountName: '', error: '' };
+
+/**
+ * Custom hook that resolves an account holder's name once a full, NUBAN-valid account number and bank are entered
+ * @param {string} accountNumber - 10-digit account number
+ * @param {string} bankCode - Destination bank code
+ * @param {Object} options - { enabled, delay } where delay is the debounce in milliseconds
+ * @returns {Object} - { status: 'idle'|'loading'|'resolved'|'failed', accountName, error }
+ */
+export const useAccountNameLookup = (accountNumber, bankCode, { enabled = true, delay = 500 } = {}) => {
+  const [lookup, setLookup] = useState(IDLE);
+
+  useEffect(() => {
+    if (!enabled || !bankCode || !/^\d{10}$/.test(accountNumber || '')) {
+      setLookup(IDLE);
+      return undefined;
+    }
+
+    // A failed check digit means a typo, so don't spend a name enquiry on it
+    if (!isValidNuban(accountNumber, bankCode)) {
+      setLookup({ status: 'failed', accountName: '', error: 'This account number is not valid for the selected bank.' });
+      return undefined;
+    }
+
+    let cancelled = false;
+    setLookup({ status: 'loading', accountName: '', error: '' });
+
+    const timer = setTimeout(async () => {
+      try {
+        const response = await accountAPI.nameEnquiry(accountNumber, bankCode);
+        if (!cancelled) {
+          setLookup({ status: 'resolved', accountName: response.data.account_name, error: '' });
+        }
+      } catch (error) {
+        console.error('Error resolving account name:', error);
+        if (!cancelled) {
+          setLookup({
+            status: 'failed',
+            accountName: '',
+            error: error.response?.data?.detail || 'We couldn\'t verify this account. Check the number and bank.',
+          });
+        }
+      }
+    }, delay);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [accountNumber, bankCode, enabled, delay]);
+
+  return lookup;
+};
+
+export default useAccountNameLookup;
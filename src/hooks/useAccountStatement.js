@@ -0,0 +1,65 @@
+import { useState, useCallback } from 'react';
+import { accountAPI, fetchAllPages } from '../services/api';
+import { downloadFile } from '../utils/helpers';
+import { prepareStatement, hashStatement, buildStatementPdf } from '../utils/accountStatement';
+
+const STATEMENT_PAGE_SIZE = 200;
+
+/**
+ * Custom hook that generates a registered, verifiable PDF statement for one account
+ * @param {Object} account - Account the statement is for
+ * @param {string} holderName - Name printed on the statement
+ * @returns {Object} - { generating, error, issued, generateStatement }
+ */
+export const useAccountStatement = (account, holderName) => {
+  const [generating, setGenerating] = useState(false);
+  const [error, setError] = useState('');
+  const [issued, setIssued] = useState(null);
+
+  /**
+   * @param {Object} range - { date_from, date_to } as YYYY-MM-DD
+   */
+  const generateStatement = useCallback(async (range) => {
+    setGenerating(true);
+    setError('');
+    setIssued(null);
+
+    try {
+      const fetched = await fetchAllPages(
+        (params) => accountAPI.getAccountTransactions(account.id, params),
+        { ...range, page_size: STATEMENT_PAGE_SIZE, ordering: 'created_at' }
+      );
+      const openingBalance = fetched.meta?.opening_balance;
+      if (openingBalance === undefined || openingBalance === null || openingBalance === '') {
+        setError("We couldn't get this account's opening balance for the period, so no statement was issued. Please try again later.");
+        return;
+      }
+
+      const statement = prepareStatement(fetched.results, openingBalance);
+      const hash = await hashStatement(account, range, statement);
+
+      // The backend recomputes the hash from its own ledger before issuing a reference
+      const response = await accountAPI.createStatement(account.id, {
+        ...range,
+        opening_balance: statement.opening.toFixed(2),
+        closing_balance: statement.closing.toFixed(2),
+        transaction_count: statement.rows.length,
+        content_hash: hash,
+      });
+      const { reference, verification_url: verificationUrl } = response.data;
+
+      const pdf = await buildStatementPdf({ account, holderName, range, statement, reference, hash, verificationUrl });
+      downloadFile(pdf, `statement-${account.account_number}-${range.date_from}-to-${range.date_to}.pdf`, 'application/pdf');
+      setIssued({ reference, hash, range });
+    } catch (error) {
+      console.error('Error generating statement:', error);
+      setError(error.response?.data?.detail || 'Could not generate your statement. Please try again.');
+    } finally {
+      setGenerating(false);
+    }
+  }, [account, holderName]);
+
+  return { generating, error, issued, generateStatement };
+};
+
+export default useAccountStatement;
@@ -0,0 +1,54 @@
+import { useState, useEffect } from 'react';
+import { referenceAPI } from '../services/api';
+
+// The bank list rarely changes, so one request is shared for the whole session
+let banksPromise = null;
+
+const loadBanks = () => {
+  if (!banksPromise) {
+    banksPromise = referenceAPI.getBanks()
+      .then((response) => {
+        const banks = response.data.results || response.data;
+        return [...banks].sort((a, b) => a.name.localeCompare(b.name));
+      })
+      .catch((error) => {
+        banksPromise = null;
+        throw error;
+      });
+  }
+  return banksPromise;
+};
+
+/**
+ * Custom hook to load the list of banks for transfers and beneficiaries
+ * @returns {Object} - { banks, loading, error }
+ */
+export const useBanks = () => {
+  const [banks, setBanks] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    let active = true;
+
+    loadBanks()
+      .then((result) => {
+        if (active) setBanks(result);
+      })
+      .catch((error) => {
+        console.error('Error fetching banks:', error);
+        if (active) setError('Failed to load banks. Please refresh the page.');
+      })
+      .finally(() => {
+        if (active) setLoading(false);
+      });
+
+    return () => {
+      active = false;
+    };
+  }, []);
+
+  return { banks, loading, error };
+};
+
+export default useBanks;
@@ -0,0 +1,59 @@
+import { useState, useEffect, useCallback } from 'react';
+import { budgetAPI, transactionAPI, referenceAPI, fetchAllPages } from '../services/api';
+import {
+  getBudgetPeriod,
+  getBudgetProgress,
+  getBudgetAlerts,
+  dismissBudgetAlert,
+} from '../utils/budgets';
+
+const PAGE_SIZE = 200;
+
+/**
+ * Custom hook to load budgets with this month's spend against them
+ * @returns {Object} - { budgets, categories, alerts, loading, error, refresh, dismissAlert }
+ */
+export const useBudgets = () => {
+  const [budgets, setBudgets] = useState([]);
+  const [categories, setCategories] = useState([]);
+  const [alerts, setAlerts] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  const refresh = useCallback(async () => {
+    try {
+      setError('');
+      const [budgetsResponse, categoriesResponse, spending] = await Promise.all([
+        budgetAPI.getBudgets(),
+        referenceAPI.getTransactionCategories(),
+        fetchAllPages(transactionAPI.getTransactions, {
+          ...getBudgetPeriod(),
+          transaction_type: 'DEBIT',
+          page_size: PAGE_SIZE,
+        }),
+      ]);
+      const progress = getBudgetProgress(budgetsResponse.data.results || budgetsResponse.data, spending.results);
+      setBudgets(progress);
+      setCategories(categoriesResponse.data.results || categoriesResponse.data);
+      setAlerts(await getBudgetAlerts(progress));
+    } catch (error) {
+      console.error('Error fetching budgets:', error);
+      setError('Could not load your budgets.');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    refresh();
+  }, [refresh]);
+
+  const dismissAlert = useCallback(async (id) => {
+    setAlerts(prev => prev.filter(alert => alert.id !== id));
+    await dismissBudgetAlert(id);
+  }, []);
+
+  return { budgets, categories, alerts, loading, error, refresh, dismissAlert };
+};
+
+export default useBudgets;
@@ -0,0 +1,21 @@
+import { useState, useEffect, useCallback } from 'react';
+
+/**
+ * Custom hook for a one-second countdown (e.g. rate-limit cooldowns)
+ * @returns {Object} - { seconds, start } where start(n) begins counting down from n
+ */
+export const useCountdown = () => {
+  const [seconds, setSeconds] = useState(0);
+
+  useEffect(() => {
+    if (seconds <= 0) return undefined;
+    const timer = setTimeout(() => setSeconds(seconds - 1), 1000);
+    return () => clearTimeout(timer);
+  }, [seconds]);
+
+  const start = useCallback((value) => setSeconds(Math.max(0, Math.ceil(value))), []);
+
+  return { seconds, start };
+};
+
+export default useCountdown;
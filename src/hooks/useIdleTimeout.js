@@ -0,0 +1,94 @@
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { broadcastSessionEvent, subscribeToSessionSync } from '../utils/sessionSync';
+
+const ACTIVITY_EVENTS = ['mousemove', 'mousedown', 'keydown', 'scroll', 'touchstart'];
+const ACTIVITY_BROADCAST_INTERVAL = 15000;
+
+/**
+ * Custom hook to track user inactivity and warn before an idle timeout
+ * @param {Object} options - Idle timer options
+ * @param {number} options.timeout - Milliseconds of inactivity before onIdle fires
+ * @param {number} options.warningTime - Milliseconds before the timeout to start warning
+ * @param {Function} options.onIdle - Called once the timeout elapses
+ * @param {boolean} options.enabled - Whether the timer is running
+ * @returns {Object} - { isWarning, remainingSeconds, reset }
+ */
+export const useIdleTimeout = ({ timeout, warningTime, onIdle, enabled = true }) => {
+  const [isWarning, setIsWarning] = useState(false);
+  const [remainingSeconds, setRemainingSeconds] = useState(0);
+  const lastActivityRef = useRef(Date.now());
+  const warningRef = useRef(false);
+  const lastBroadcastRef = useRef(0);
+  const onIdleRef = useRef(onIdle);
+
+  useEffect(() => {
+    onIdleRef.current = onIdle;
+  }, [onIdle]);
+
+  const restart = useCallback(() => {
+    lastActivityRef.current = Date.now();
+    warningRef.current = false;
+    setIsWarning(false);
+  }, []);
+
+  // Explicit resets (e.g. "Stay signed in") also restart the timer in other tabs
+  const reset = useCallback(() => {
+    restart();
+    broadcastSessionEvent('activity');
+  }, [restart]);
+
+  useEffect(() => {
+    if (!enabled) {
+      return undefined;
+    }
+
+    restart();
+
+    // Activity only counts until the warning is shown; after that the user must confirm
+    const handleActivity = () => {
+      if (warningRef.current) return;
+      const now = Date.now();
+      lastActivityRef.current = now;
+
+      // Let other tabs know the user is still around so they don't time out on their own
+      if (now - lastBroadcastRef.current > ACTIVITY_BROADCAST_INTERVAL) {
+        lastBroadcastRef.current = now;
+        broadcastSessionEvent('activity');
+      }
+    };
+
+    ACTIVITY_EVENTS.forEach((event) => window.addEventListener(event, handleActivity, { passive: true }));
+
+    const unsubscribe = subscribeToSessionSync((type) => {
+      if (type === 'activity') {
+        restart();
+      }
+    });
+
+    const interval = setInterval(() => {
+      const remaining = timeout - (Date.now() - lastActivityRef.current);
+
+      if (remaining <= 0) {
+        clearInterval(interval);
+        onIdleRef.current?.();
+        return;
+      }
+
+      if (remaining <= warningTime) {
+        warningRef.current = true;
+        setIsWarning(true);
+        setRemainingSeconds(Math.ceil(remaining / 1000));
+      }
+    }, 1000);
+
+    return () => {
+      clearInterval(interval);
+      unsubscribe();
+      ACTIVITY_EVENTS.forEach((event) => window.removeEventListener(event, handleActivity));
+    };
+  }, [enabled, timeout, warningTime, restart]);
+
+  return { isWarning, remainingSeconds, reset };
+};
+
+export default useIdleTimeout;
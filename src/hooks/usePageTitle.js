@@ -33,15 +33,24 @@ export const getPageTitle = (pageName) => {
     dashboard: 'Dashboard',
     accounts: 'My Accounts',
     transactions: 'Transaction History',
+    'transaction-details': 'Transaction Details',
+    insights: 'Spending Insights',
+    budgets: 'Budgets',
+    'savings-goals': 'Savings Goals',
     transfer: 'Transfer Money',
     beneficiaries: 'Beneficiaries',
     cards: 'My Cards',
     profile: 'Profile Settings',
     login: 'Login',
     register: 'Create Account',
+    'forgot-password': 'Forgot Password',
+    'reset-password': 'Reset Password',
     'account-details': 'Account Details',
     'transfer-success': 'Transfer Successful',
     'transfer-failed': 'Transfer Failed',
+    'transfer-scheduled': 'Transfer Scheduled',
+    'transfer-pending': 'Transfer Processing',
+    'scheduled-transfers': 'Scheduled Transfers',
     settings: 'Settings',
     help: 'Help & Support',
     notifications: 'Notifications',
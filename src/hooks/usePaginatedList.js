@@ -0,0 +1,97 @@
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { getUrlParams } from '../utils/helpers';
+
+const INITIAL_STATE = {
+  items: [],
+  next: null,
+  meta: {},
+  loading: true,
+  loadingMore: false,
+  error: '',
+};
+
+/**
+ * Custom hook that loads a DRF-paginated list and follows its `next` links for more pages
+ * @param {Function} fetchPage - Called with query params, resolves to an axios response
+ * @param {Object} params - Query params for the first page; changing them starts over
+ * @returns {Object} - { items, count, meta, loading, loadingMore, error, hasMore, loadMore, reload, updateItem }
+ */
+export const usePaginatedList = (fetchPage, params) => {
+  const [state, setState] = useState(INITIAL_STATE);
+  // Responses for superseded params are dropped rather than mixed into the new list
+  const requestId = useRef(0);
+  const paramsKey = JSON.stringify(params);
+
+  const load = useCallback(async (pageParams, append) => {
+    const id = ++requestId.current;
+    setState(prev => ({ ...prev, loading: !append, loadingMore: append, error: '' }));
+
+    try {
+      const response = await fetchPage(pageParams);
+      if (id !== requestId.current) return;
+
+      const { results, next = null, previous: _previous, ...meta } = Array.isArray(response.data)
+        ? { results: response.data }
+        : response.data;
+
+      setState(prev => {
+        // Rows added since the first page shift page boundaries, so skip any we already have
+        const seen = new Set(append ? prev.items.map(item => item.id) : []);
+        return {
+          items: append ? [...prev.items, ...results.filter(item => !seen.has(item.id))] : results,
+          next,
+          meta: append ? prev.meta : meta,
+          loading: false,
+          loadingMore: false,
+          error: '',
+        };
+      });
+    } catch (error) {
+      if (id !== requestId.current) return;
+      console.error('Error fetching page:', error);
+      setState(prev => ({
+        ...prev,
+        loading: false,
+        loadingMore: false,
+        error: 'Failed to load. Please try again.',
+      }));
+    }
+  }, [fetchPage]);
+
+  const reload = useCallback(() => load(JSON.parse(paramsKey), false), [load, paramsKey]);
+
+  useEffect(() => {
+    reload();
+  }, [reload]);
+
+  const { next, loading, loadingMore } = state;
+  const loadMore = useCallback(() => {
+    // DRF's `next` link carries whatever the paginator needs (page number or opaque cursor)
+    if (next && !loading && !loadingMore) {
+      load(getUrlParams(next), true);
+    }
+  }, [load, next, loading, loadingMore]);
+
+  // Reflect an edit to one row without reloading the pages already fetched
+  const updateItem = useCallback((item) => {
+    setState(prev => ({
+      ...prev,
+      items: prev.items.map(existing => (existing.id === item.id ? { ...existing, ...item } : existing)),
+    }));
+  }, []);
+
+  return {
+    items: state.items,
+    count: state.meta.count ?? state.items.length,
+    meta: state.meta,
+    loading: state.loading,
+    loadingMore: state.loadingMore,
+    error: state.error,
+    hasMore: Boolean(state.next),
+    loadMore,
+    reload,
+    updateItem,
+  };
+};
+
+export default usePaginatedList;
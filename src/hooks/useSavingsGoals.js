@@ -0,0 +1,46 @@
+import { useState, useEffect, useCallback } from 'react';
+import { savingsGoalAPI } from '../services/api';
+
+/**
+ * Custom hook to load the user's savings goals, each with its sweep rules
+ * @returns {Object} - { goals, loading, error, refresh, saveGoal, removeGoal }
+ */
+export const useSavingsGoals = () => {
+  const [goals, setGoals] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  const refresh = useCallback(async () => {
+    try {
+      setError('');
+      const response = await savingsGoalAPI.getGoals();
+      setGoals(response.data.results || response.data);
+    } catch (error) {
+      console.error('Error fetching savings goals:', error);
+      setError('Could not load your savings goals.');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    refresh();
+  }, [refresh]);
+
+  // Insert or replace a goal returned by the API
+  const saveGoal = useCallback((saved) => {
+    setGoals(prev => (
+      prev.some(goal => goal.id === saved.id)
+        ? prev.map(goal => (goal.id === saved.id ? saved : goal))
+        : [...prev, saved]
+    ));
+  }, []);
+
+  const removeGoal = useCallback((id) => {
+    setGoals(prev => prev.filter(goal => goal.id !== id));
+  }, []);
+
+  return { goals, loading, error, refresh, saveGoal, removeGoal };
+};
+
+export default useSavingsGoals;
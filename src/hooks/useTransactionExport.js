@@ -0,0 +1,84 @@
+import { useState, useRef, useCallback } from 'react';
+import { transactionAPI, fetchAllPages } from '../services/api';
+import { downloadFile } from '../utils/helpers';
+import { toISODate } from '../utils/schedule';
+import {
+  EXPORT_FORMATS,
+  withRunningBalances,
+  buildCsv,
+  buildPdf,
+  buildOfx,
+  buildQif,
+} from '../utils/transactionExport';
+
+// Larger pages mean fewer round trips for long histories
+const EXPORT_PAGE_SIZE = 200;
+
+const BUILDERS = {
+  csv: buildCsv,
+  pdf: buildPdf,
+  ofx: buildOfx,
+  qif: buildQif,
+};
+
+/**
+ * Custom hook that exports every transaction matching a query, fetching it page by page
+ * @returns {Object} - { exporting, progress: { loaded, total }, error, exportTransactions, cancel }
+ */
+export const useTransactionExport = () => {
+  const [exporting, setExporting] = useState(null);
+  const [progress, setProgress] = useState({ loaded: 0, total: 0 });
+  const [error, setError] = useState('');
+  // Bumped on every start and cancel, so an abandoned export stops at its next step
+  const runId = useRef(0);
+
+  /**
+   * @param {string} format - EXPORT_FORMATS id
+   * @param {Object} query - API filters, as used by the transaction list
+   * @param {Object} details - { period, accountLabel } printed on the PDF statement
+   */
+  const exportTransactions = useCallback(async (format, query, details) => {
+    const { mimeType } = EXPORT_FORMATS.find(item => item.id === format);
+    const id = ++runId.current;
+    setExporting(format);
+    setProgress({ loaded: 0, total: 0 });
+    setError('');
+
+    try {
+      const fetched = await fetchAllPages(
+        transactionAPI.getTransactions,
+        { ...query, page_size: EXPORT_PAGE_SIZE, ordering: 'created_at' },
+        {
+          onPage: (loaded, meta) => setProgress({ loaded, total: meta.count ?? loaded }),
+          isCancelled: () => id !== runId.current,
+        }
+      );
+      if (!fetched) return;
+
+      // A running balance only adds up over every transaction of one account; any other filter leaves gaps
+      const { account, date_from: _dateFrom, date_to: _dateTo, ...narrowing } = query;
+      const openingBalance = account && Object.keys(narrowing).length === 0
+        ? fetched.meta.opening_balance ?? null
+        : null;
+      const rows = withRunningBalances(fetched.results, openingBalance);
+      const content = await BUILDERS[format](rows, details);
+      if (id !== runId.current) return;
+
+      downloadFile(content, `transactions-${toISODate(new Date())}.${format}`, mimeType);
+    } catch (error) {
+      console.error('Error exporting transactions:', error);
+      if (id === runId.current) setError('Export failed. Please try again.');
+    } finally {
+      if (id === runId.current) setExporting(null);
+    }
+  }, []);
+
+  const cancel = useCallback(() => {
+    runId.current++;
+    setExporting(null);
+  }, []);
+
+  return { exporting, progress, error, exportTransactions, cancel };
+};
+
+export default useTransactionExport;
@@ -0,0 +1,38 @@
+import { useState, useEffect, useCallback } from 'react';
+import { transferLimitsAPI } from '../services/api';
+
+/**
+ * Custom hook to load the user's transfer limits, today's usage and the fee schedule
+ * @returns {Object} - { limits, feeSchedule, loading, error, refresh }
+ */
+export const useTransferLimits = () => {
+  const [limits, setLimits] = useState(null);
+  const [feeSchedule, setFeeSchedule] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  const refresh = useCallback(async () => {
+    try {
+      setError('');
+      const [limitsResponse, feesResponse] = await Promise.all([
+        transferLimitsAPI.getLimits(),
+        transferLimitsAPI.getFeeSchedule(),
+      ]);
+      setLimits(limitsResponse.data);
+      setFeeSchedule(feesResponse.data);
+    } catch (error) {
+      console.error('Error fetching transfer limits:', error);
+      setError('Could not load your transfer limits.');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    refresh();
+  }, [refresh]);
+
+  return { limits, feeSchedule, loading, error, refresh };
+};
+
+export default useTransferLimits;
@@ -0,0 +1,426 @@
+import { useState, useEffect, useCallback, useMemo, useRef } from 'react';
+import { Link, useNavigate, useParams } from 'react-router-dom';
+import {
+  ResponsiveContainer,
+  AreaChart,
+  Area,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+} from 'recharts';
+import { useAuth } from '../contexts/AuthContext';
+import { accountAPI, cardAPI, fetchAllPages } from '../services/api';
+import { usePageTitle, getPageTitle } from '../hooks/usePageTitle';
+import { usePaginatedList } from '../hooks/usePaginatedList';
+import { useSavingsGoals } from '../hooks/useSavingsGoals';
+import { formatCurrency, formatDate } from '../utils/helpers';
+import { BALANCE_HISTORY_PERIODS, getHistoryStart, getBalanceHistory } from '../utils/balanceHistory';
+import { isSavingsAccount } from '../utils/savingsGoals';
+import { CURRENCY_CONFIG } from '../config/environment';
+import LoadingSpinner, { ErrorMessage } from '../components/LoadingSpinner';
+import SavingsGoalsCard from '../components/SavingsGoalsCard';
+import StatementModal from '../components/StatementModal';
+
+const PAGE_SIZE = 10;
+const HISTORY_PAGE_SIZE = 200;
+
+const formatCompact = (value) => new Intl.NumberFormat(CURRENCY_CONFIG.locale, {
+  style: 'currency',
+  currency: CURRENCY_CONFIG.code,
+  notation: 'compact',
+  maximumFractionDigits: 1,
+}).format(value);
+
+export default function AccountDetails() {
+  const { id } = useParams();
+  const navigate = useNavigate();
+  const { user } = useAuth();
+  const [account, setAccount] = useState(null);
+  const [cards, setCards] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [copied, setCopied] = useState(false);
+  const [showStatement, setShowStatement] = useState(false);
+  const [days, setDays] = useState(BALANCE_HISTORY_PERIODS[0]);
+  const [history, setHistory] = useState({ transactions: [], loading: true, error: '' });
+  const historyRunId = useRef(0);
+  const savingsGoals = useSavingsGoals();
+
+  // Set page title
+  usePageTitle(getPageTitle('account-details'));
+
+  const fetchAccountTransactions = useCallback(
+    (params) => accountAPI.getAccountTransactions(id, params),
+    [id]
+  );
+  const listParams = useMemo(() => ({ page_size: PAGE_SIZE, ordering: '-created_at' }), []);
+  const {
+    items: transactions,
+    count,
+    loading: transactionsLoading,
+    loadingMore,
+    error: transactionsError,
+    hasMore,
+    loadMore,
+    reload: reloadTransactions,
+  } = usePaginatedList(fetchAccountTransactions, listParams);
+
+  const fetchAccount = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError('');
+      const [accountRes, balanceRes, cardsRes] = await Promise.all([
+        accountAPI.getAccount(id),
+        // The balance endpoint is live; the account record can lag behind it
+        accountAPI.getAccountBalance(id).catch(() => null),
+        cardAPI.getCards().catch(() => ({ data: [] })),
+      ]);
+      setAccount({ ...accountRes.data, ...balanceRes?.data });
+      setCards(cardsRes.data.results || cardsRes.data);
+    } catch (error) {
+      console.error('Error fetching account:', error);
+      setError(error.response?.status === 404
+        ? 'This account could not be found.'
+        : 'Failed to load account details. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  }, [id]);
+
+  useEffect(() => {
+    fetchAccount();
+  }, [fetchAccount]);
+
+  const fetchHistory = useCallback(async () => {
+    // Switching period quickly overlaps fetches; only the latest may update the chart
+    const runId = ++historyRunId.current;
+    const isCancelled = () => runId !== historyRunId.current;
+    try {
+      setHistory(prev => ({ ...prev, loading: true, error: '' }));
+      const fetched = await fetchAllPages(fetchAccountTransactions, {
+        date_from: getHistoryStart(days),
+        page_size: HISTORY_PAGE_SIZE,
+      }, { isCancelled });
+      if (!fetched) return;
+      setHistory({ transactions: fetched.results, loading: false, error: '' });
+    } catch (error) {
+      if (isCancelled()) return;
+      console.error('Error fetching balance history:', error);
+      setHistory({ transactions: [], loading: false, error: 'Balance history is not available right now.' });
+    }
+  }, [fetchAccountTransactions, days]);
+
+  useEffect(() => {
+    fetchHistory();
+  }, [fetchHistory]);
+
+  const copyAccountNumber = async () => {
+    try {
+      await navigator.clipboard.writeText(account.account_number);
+      setCopied(true);
+      setTimeout(() => setCopied(false), 2000);
+    } catch (error) {
+      console.error('Error copying account number:', error);
+    }
+  };
+
+  if (loading) {
+    return <LoadingSpinner text="Loading account..." />;
+  }
+
+  if (error) {
+    return (
+      <div className="container-fluid">
+        <Link to="/accounts" className="btn btn-link px-0 mb-3">
+          <i className="bi bi-arrow-left me-1"></i>
+          Back to Accounts
+        </Link>
+        <ErrorMessage message={error} onRetry={fetchAccount} />
+      </div>
+    );
+  }
+
+  const balanceHistory = getBalanceHistory(history.transactions, account.balance, days);
+  const linkedCards = cards.filter(card => String(card.account) === String(account.id));
+
+  return (
+    <div className="container-fluid">
+      <Link to="/accounts" className="btn btn-link px-0 mb-3">
+        <i className="bi bi-arrow-left me-1"></i>
+        Back to Accounts
+      </Link>
+
+      <div className="d-flex flex-wrap justify-content-between align-items-start gap-3 mb-4">
+        <div>
+          <div className="d-flex align-items-center gap-2 mb-1">
+            <h1 className="h2 fw-bold text-dark mb-0">{account.account_type_name}</h1>
+            <span className={`badge ${
+              account.status === 'ACTIVE'
+                ? 'bg-success'
+                : account.status === 'INACTIVE'
+                ? 'bg-warning'
+                : 'bg-danger'
+            }`}>
+              {account.status}
+            </span>
+          </div>
+          <div className="d-flex align-items-center text-muted">
+            <span className="font-monospace fs-5 me-2">{account.account_number}</span>
+            <button
+              className="btn btn-sm btn-outline-secondary"
+              onClick={copyAccountNumber}
+              title="Copy account number"
+            >
+              <i className={`bi ${copied ? 'bi-check2 text-success' : 'bi-clipboard'} me-1`}></i>
+              {copied ? 'Copied' : 'Copy'}
+            </button>
+          </div>
+        </div>
+        <div className="text-md-end">
+          <small className="text-muted d-block">Available Balance</small>
+          <div className="fs-3 fw-bold text-success">{formatCurrency(account.available_balance)}</div>
+          <small className="text-muted">Current balance {formatCurrency(account.balance)}</small>
+        </div>
+      </div>
+
+      <div className="row g-4 mb-4">
+        {/* Balance history */}
+        <div className="col-lg-8">
+          <div className="card card-banking h-100">
+            <div className="card-body">
+              <div className="d-flex justify-content-between align-items-center mb-3">
+                <h5 className="card-title mb-0">Balance History</h5>
+                <div className="btn-group" role="group" aria-label="Balance history period">
+                  {BALANCE_HISTORY_PERIODS.map((period) => (
+                    <button
+                      key={period}
+                      type="button"
+                      className={`btn btn-sm ${days === period ? 'btn-primary' : 'btn-outline-primary'}`}
+                      onClick={() => setDays(period)}
+                    >
+                      {period}d
+                    </button>
+                  ))}
+                </div>
+              </div>
+              {history.loading ? (
+                <LoadingSpinner fullScreen={false} text="Loading history..." />
+              ) : history.error ? (
+                <ErrorMessage message={history.error} onRetry={fetchHistory} />
+              ) : (
+                <ResponsiveContainer width="100%" height={280}>
+                  <AreaChart data={balanceHistory} margin={{ top: 10, right: 10, left: 10, bottom: 0 }}>
+                    <defs>
+                      <linearGradient id="balanceFill" x1="0" y1="0" x2="0" y2="1">
+                        <stop offset="0%" stopColor="#2563eb" stopOpacity={0.25} />
+                        <stop offset="100%" stopColor="#2563eb" stopOpacity={0} />
+                      </linearGradient>
+                    </defs>
+                    <CartesianGrid strokeDasharray="3 3" vertical={false} />
+                    <XAxis dataKey="label" tickLine={false} minTickGap={24} />
+                    <YAxis tickFormatter={formatCompact} tickLine={false} axisLine={false} width={70} />
+                    <Tooltip formatter={(value) => [formatCurrency(value), 'Balance']} />
+                    <Area
+                      type="stepAfter"
+                      dataKey="balance"
+                      stroke="#2563eb"
+                      strokeWidth={2}
+                      fill="url(#balanceFill)"
+                    />
+                  </AreaChart>
+                </ResponsiveContainer>
+              )}
+            </div>
+          </div>
+        </div>
+
+        <div className="col-lg-4">
+          {/* Account details */}
+          <div className="card card-banking mb-4">
+            <div className="card-body">
+              <h5 className="card-title mb-3">Account Details</h5>
+              <ul className="list-unstyled small mb-0">
+                <li className="d-flex justify-content-between mb-2">
+                  <span className="text-muted">Account Type</span>
+                  <span className="fw-medium">{account.account_type_name}</span>
+                </li>
+                <li className="d-flex justify-content-between mb-2">
+                  <span className="text-muted">Status</span>
+                  <span className="fw-medium">{account.status}</span>
+                </li>
+                <li className="d-flex justify-content-between mb-2">
+                  <span className="text-muted">Opened</span>
+                  <span className="fw-medium">{formatDate(account.created_at)}</span>
+                </li>
+                <li className="d-flex justify-content-between">
+                  <span className="text-muted">Currency</span>
+                  <span className="fw-medium">{CURRENCY_CONFIG.code}</span>
+                </li>
+              </ul>
+            </div>
+          </div>
+
+          {/* Quick actions */}
+          <div className="card card-banking">
+            <div className="card-body">
+              <h5 className="card-title mb-3">Quick Actions</h5>
+              <div className="d-grid gap-2">
+                <button
+                  className="btn btn-banking"
+                  onClick={() => navigate('/transfer', { state: { fromAccount: account.id } })}
+                  disabled={account.status !== 'ACTIVE'}
+                >
+                  <i className="bi bi-send me-2"></i>
+                  Transfer From This Account
+                </button>
+                <button className="btn btn-outline-primary" onClick={() => setShowStatement(true)}>
+                  <i className="bi bi-file-earmark-pdf me-2"></i>
+                  Official Statement
+                </button>
+                <Link to={`/transactions?account=${account.id}`} className="btn btn-outline-secondary">
+                  <i className="bi bi-download me-2"></i>
+                  Export Transactions
+                </Link>
+              </div>
+
+              <hr />
+
+              <h6 className="small fw-semibold text-uppercase text-muted mb-2">Linked Cards</h6>
+              {linkedCards.length === 0 ? (
+                <div className="d-flex justify-content-between align-items-center small">
+                  <span className="text-muted">No card on this account</span>
+                  <Link to="/cards">Request a card</Link>
+                </div>
+              ) : (
+                linkedCards.map((card) => (
+                  <Link
+                    key={card.id}
+                    to="/cards"
+                    className="d-flex justify-content-between align-items-center small text-decoration-none text-dark mb-1"
+                  >
+                    <span>
+                      <i className="bi bi-credit-card-2-front text-primary me-2"></i>
+                      {card.card_type || 'Card'} ****{card.card_number?.slice(-4)}
+                    </span>
+                    <span className={`badge ${card.status === 'ACTIVE' ? 'bg-success' : 'bg-secondary'}`}>
+                      {card.status}
+                    </span>
+                  </Link>
+                ))
+              )}
+            </div>
+          </div>
+        </div>
+      </div>
+
+      {isSavingsAccount(account) && (
+        <div className="mb-4">
+          <SavingsGoalsCard
+            goals={savingsGoals.goals}
+            loading={savingsGoals.loading}
+            error={savingsGoals.error}
+            accountId={account.id}
+          />
+        </div>
+      )}
+
+      {/* Account transactions */}
+      <div className="card card-banking">
+        <div className="card-body">
+          <div className="d-flex justify-content-between align-items-center mb-3">
+            <h5 className="card-title mb-0">Transactions</h5>
+            {!transactionsLoading && <small className="text-muted">{count} total</small>}
+          </div>
+
+          {transactionsLoading ? (
+            <LoadingSpinner fullScreen={false} text="Loading transactions..." />
+          ) : transactionsError && transactions.length === 0 ? (
+            <ErrorMessage message={transactionsError} onRetry={reloadTransactions} />
+          ) : transactions.length === 0 ? (
+            <p className="text-muted text-center py-5 mb-0">No transactions on this account yet</p>
+          ) : (
+            <>
+              <div className="list-group list-group-flush">
+                {transactions.map((transaction) => (
+                  <div
+                    key={transaction.id}
+                    className="list-group-item border-0 px-0 py-3"
+                    style={{ cursor: 'pointer' }}
+                    onClick={() => navigate(`/transactions/${transaction.id}`)}
+                  >
+                    <div className="d-flex align-items-center justify-content-between">
+                      <div className="d-flex align-items-center">
+                        <div className={`p-2 rounded-circle me-3 ${
+                          transaction.transaction_type === 'CREDIT'
+                            ? 'bg-success bg-opacity-10'
+                            : 'bg-danger bg-opacity-10'
+                        }`}>
+                          <i className={`bi ${
+                            transaction.transaction_type === 'CREDIT'
+                              ? 'bi-arrow-down text-success'
+                              : 'bi-arrow-up text-danger'
+                          }`}></i>
+                        </div>
+                        <div>
+                          <h6 className="mb-1 fw-medium">{transaction.description}</h6>
+                          <small className="text-muted">
+                            {formatDate(transaction.created_at)}
+                            {transaction.category_name && ` • ${transaction.category_name}`}
+                          </small>
+                        </div>
+                      </div>
+                      <div className="text-end">
+                        <div className={`fw-semibold ${
+                          transaction.transaction_type === 'CREDIT' ? 'text-success' : 'text-danger'
+                        }`}>
+                          {transaction.transaction_type === 'CREDIT' ? '+' : '-'}
+                          {formatCurrency(transaction.amount)}
+                        </div>
+                        {transaction.balance_after !== undefined && transaction.balance_after !== null && (
+                          <small className="text-muted">Bal. {formatCurrency(transaction.balance_after)}</small>
+                        )}
+                      </div>
+                    </div>
+                  </div>
+                ))}
+              </div>
+
+              {transactionsError && (
+                <div className="alert alert-danger small mt-3 mb-0">{transactionsError}</div>
+              )}
+
+              {hasMore && (
+                <div className="text-center pt-3">
+                  <button
+                    className="btn btn-outline-primary btn-sm"
+                    onClick={loadMore}
+                    disabled={loadingMore}
+                  >
+                    {loadingMore ? (
+                      <>
+                        <span className="spinner-border spinner-border-sm me-2" role="status" aria-hidden="true"></span>
+                        Loading...
+                      </>
+                    ) : (
+                      'Load More'
+                    )}
+                  </button>
+                </div>
+              )}
+            </>
+          )}
+        </div>
+      </div>
+
+      {showStatement && (
+        <StatementModal
+          show={showStatement}
+          account={account}
+          holderName={[user?.first_name, user?.last_name].filter(Boolean).join(' ') || user?.username || ''}
+          onClose={() => setShowStatement(false)}
+        />
+      )}
+    </div>
+  );
+}
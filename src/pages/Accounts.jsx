@@ -1,14 +1,19 @@
 import { useState, useEffect } from 'react';
+import { Link, useNavigate } from 'react-router-dom';
 import { accountAPI } from '../services/api';
 import LoadingSpinner from '../components/LoadingSpinner';
 import { usePageTitle } from '../hooks/usePageTitle';
 import { formatCurrency, formatDate } from '../utils/helpers';
 import { CURRENCY_CONFIG } from '../config/environment';
+import { useSavingsGoals } from '../hooks/useSavingsGoals';
+import SavingsGoalsCard from '../components/SavingsGoalsCard';
 
 export default function Accounts() {
+  const navigate = useNavigate();
   const [accounts, setAccounts] = useState([]);
   const [loading, setLoading] = useState(true);
   const [balanceVisible, setBalanceVisible] = useState(true);
+  const savingsGoals = useSavingsGoals();
 
   // Set page title
   usePageTitle('My Accounts');
@@ -116,11 +121,14 @@ export default function Accounts() {
                 </div>
 
                 <div className="d-grid gap-2 d-md-flex justify-content-md-end mt-3">
-                  <button className="btn btn-outline-primary btn-sm">
+                  <Link to={`/accounts/${account.id}`} className="btn btn-outline-primary btn-sm">
                     <i className="bi bi-eye me-1"></i>
                     View Details
-                  </button>
-                  <button className="btn btn-banking btn-sm">
+                  </Link>
+                  <button
+                    className="btn btn-banking btn-sm"
+                    onClick={() => navigate('/transfer', { state: { fromAccount: account.id } })}
+                  >
                     <i className="bi bi-arrow-up-right me-1"></i>
                     Transfer
                   </button>
@@ -144,6 +152,12 @@ export default function Accounts() {
           </div>
         </div>
       )}
+
+      {accounts.length > 0 && (
+        <div className="mt-5">
+          <SavingsGoalsCard goals={savingsGoals.goals} loading={savingsGoals.loading} error={savingsGoals.error} />
+        </div>
+      )}
     </div>
   );
 }
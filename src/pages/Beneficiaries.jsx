@@ -1,15 +1,268 @@
+import { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { beneficiaryAPI } from '../services/api';
 import { usePageTitle } from '../hooks/usePageTitle';
+import { getInitials } from '../utils/helpers';
+import LoadingSpinner, { ErrorMessage } from '../components/LoadingSpinner';
+import BeneficiaryFormModal from '../components/BeneficiaryFormModal';
+import ConfirmModal from '../components/ConfirmModal';
 
 export default function Beneficiaries() {
+  const navigate = useNavigate();
+  const [beneficiaries, setBeneficiaries] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [searchTerm, setSearchTerm] = useState('');
+  const [showFavoritesOnly, setShowFavoritesOnly] = useState(false);
+  const [formModal, setFormModal] = useState({ show: false, beneficiary: null });
+  const [deleteTarget, setDeleteTarget] = useState(null);
+  const [actionLoading, setActionLoading] = useState({});
+
   // Set page title
   usePageTitle('Beneficiaries');
 
+  useEffect(() => {
+    fetchBeneficiaries();
+  }, []);
+
+  const fetchBeneficiaries = async () => {
+    try {
+      setLoading(true);
+      setError('');
+      const response = await beneficiaryAPI.getBeneficiaries();
+      setBeneficiaries(response.data.results || response.data);
+    } catch (error) {
+      console.error('Error fetching beneficiaries:', error);
+      setError('Failed to load beneficiaries. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleSaved = (saved) => {
+    setBeneficiaries(prev => (
+      prev.some(item => item.id === saved.id)
+        ? prev.map(item => (item.id === saved.id ? saved : item))
+        : [saved, ...prev]
+    ));
+    setFormModal({ show: false, beneficiary: null });
+  };
+
+  const handleToggleFavorite = async (beneficiary) => {
+    try {
+      setActionLoading(prev => ({ ...prev, [beneficiary.id]: 'favorite' }));
+      setError('');
+      const response = await beneficiaryAPI.updateBeneficiary(beneficiary.id, {
+        ...beneficiary,
+        is_favorite: !beneficiary.is_favorite,
+      });
+      setBeneficiaries(prev => prev.map(item => (item.id === beneficiary.id ? response.data : item)));
+    } catch (error) {
+      console.error('Error updating favourite:', error);
+      setError(error.response?.data?.detail || 'Failed to update favourites. Please try again.');
+    } finally {
+      setActionLoading(prev => ({ ...prev, [beneficiary.id]: false }));
+    }
+  };
+
+  const handleDelete = async () => {
+    try {
+      setError('');
+      await beneficiaryAPI.deleteBeneficiary(deleteTarget.id);
+      setBeneficiaries(prev => prev.filter(item => item.id !== deleteTarget.id));
+    } catch (error) {
+      console.error('Error deleting beneficiary:', error);
+      setError(error.response?.data?.detail || 'Failed to delete beneficiary. Please try again.');
+    } finally {
+      setDeleteTarget(null);
+    }
+  };
+
+  const handleSendMoney = (beneficiary) => {
+    navigate('/transfer', { state: { beneficiary } });
+  };
+
+  const term = searchTerm.trim().toLowerCase();
+  const filteredBeneficiaries = beneficiaries
+    .filter(beneficiary => !showFavoritesOnly || beneficiary.is_favorite)
+    .filter(beneficiary => !term || [
+      beneficiary.account_name,
+      beneficiary.nickname,
+      beneficiary.account_number,
+      beneficiary.bank_name,
+    ].some(value => value?.toLowerCase().includes(term)))
+    .sort((a, b) => Number(b.is_favorite) - Number(a.is_favorite));
+
+  if (loading) {
+    return <LoadingSpinner text="Loading beneficiaries..." />;
+  }
+
   return (
-    <div>
-      <h1 className="text-2xl font-bold text-gray-900 mb-6">Beneficiaries</h1>
-      <div className="card">
-        <p>Beneficiaries management functionality coming soon...</p>
+    <div className="container-fluid">
+      <div className="d-flex justify-content-between align-items-center mb-4">
+        <h1 className="h2 fw-bold text-dark mb-0">Beneficiaries</h1>
+        <button
+          className="btn btn-banking"
+          onClick={() => setFormModal({ show: true, beneficiary: null })}
+        >
+          <i className="bi bi-person-plus me-2"></i>
+          Add Beneficiary
+        </button>
       </div>
+
+      {error && (
+        <ErrorMessage
+          message={error}
+          onRetry={fetchBeneficiaries}
+          dismissible
+          onDismiss={() => setError('')}
+        />
+      )}
+
+      {/* Filters */}
+      <div className="row g-3 mb-4">
+        <div className="col-md-8">
+          <div className="input-group">
+            <span className="input-group-text">
+              <i className="bi bi-search"></i>
+            </span>
+            <input
+              type="text"
+              className="form-control"
+              placeholder="Search by name, nickname, account or bank..."
+              value={searchTerm}
+              onChange={(e) => setSearchTerm(e.target.value)}
+            />
+          </div>
+        </div>
+        <div className="col-md-4">
+          <select
+            className="form-select"
+            value={showFavoritesOnly ? 'favorites' : 'all'}
+            onChange={(e) => setShowFavoritesOnly(e.target.value === 'favorites')}
+          >
+            <option value="all">All Beneficiaries</option>
+            <option value="favorites">Favourites Only</option>
+          </select>
+        </div>
+      </div>
+
+      {filteredBeneficiaries.length === 0 ? (
+        <div className="text-center py-5">
+          <div className="bg-light rounded-3 p-5">
+            <i className="bi bi-people text-muted" style={{ fontSize: '3rem' }}></i>
+            <h4 className="mt-3 text-muted">No Beneficiaries Found</h4>
+            <p className="text-muted mb-4">
+              {beneficiaries.length === 0
+                ? 'Save the people you pay often to send money in a few taps.'
+                : 'No beneficiaries match your search.'}
+            </p>
+            {beneficiaries.length === 0 && (
+              <button
+                className="btn btn-banking"
+                onClick={() => setFormModal({ show: true, beneficiary: null })}
+              >
+                <i className="bi bi-person-plus me-2"></i>
+                Add Your First Beneficiary
+              </button>
+            )}
+          </div>
+        </div>
+      ) : (
+        <div className="row g-4">
+          {filteredBeneficiaries.map((beneficiary) => (
+            <div key={beneficiary.id} className="col-12 col-md-6 col-lg-4">
+              <div className="card card-banking h-100">
+                <div className="card-body">
+                  <div className="d-flex align-items-start justify-content-between mb-3">
+                    <div className="d-flex align-items-center">
+                      <div className="bg-primary bg-opacity-10 rounded-circle d-flex align-items-center justify-content-center me-3"
+                           style={{ width: '3rem', height: '3rem' }}>
+                        <span className="text-primary fw-bold">
+                          {getInitials(...(beneficiary.account_name || '').split(' '))}
+                        </span>
+                      </div>
+                      <div>
+                        <h5 className="card-title mb-1 fw-semibold">
+                          {beneficiary.nickname || beneficiary.account_name}
+                        </h5>
+                        {beneficiary.nickname && (
+                          <p className="text-muted small mb-0">{beneficiary.account_name}</p>
+                        )}
+                      </div>
+                    </div>
+                    <button
+                      className="btn btn-link p-0"
+                      onClick={() => handleToggleFavorite(beneficiary)}
+                      disabled={actionLoading[beneficiary.id]}
+                      title={beneficiary.is_favorite ? 'Remove from favourites' : 'Add to favourites'}
+                    >
+                      <i className={`bi ${beneficiary.is_favorite ? 'bi-star-fill text-warning' : 'bi-star text-muted'} fs-5`}></i>
+                    </button>
+                  </div>
+
+                  <div className="row g-2 small text-muted mb-3">
+                    <div className="col-6">
+                      <strong>Bank:</strong><br />
+                      {beneficiary.bank_name}
+                    </div>
+                    <div className="col-6">
+                      <strong>Account:</strong><br />
+                      <span className="font-monospace">{beneficiary.account_number}</span>
+                    </div>
+                  </div>
+
+                  <div className="d-flex gap-2">
+                    <button
+                      className="btn btn-banking btn-sm flex-grow-1"
+                      onClick={() => handleSendMoney(beneficiary)}
+                    >
+                      <i className="bi bi-send me-1"></i>
+                      Send Money
+                    </button>
+                    <button
+                      className="btn btn-outline-primary btn-sm"
+                      onClick={() => setFormModal({ show: true, beneficiary })}
+                      title="Edit"
+                    >
+                      <i className="bi bi-pencil"></i>
+                    </button>
+                    <button
+                      className="btn btn-outline-danger btn-sm"
+                      onClick={() => setDeleteTarget(beneficiary)}
+                      title="Delete"
+                    >
+                      <i className="bi bi-trash"></i>
+                    </button>
+                  </div>
+                </div>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {formModal.show && (
+        <BeneficiaryFormModal
+          key={formModal.beneficiary?.id || 'new'}
+          show={formModal.show}
+          beneficiary={formModal.beneficiary}
+          onSaved={handleSaved}
+          onClose={() => setFormModal({ show: false, beneficiary: null })}
+        />
+      )}
+
+      <ConfirmModal
+        show={Boolean(deleteTarget)}
+        title="Delete Beneficiary"
+        message={`Remove ${deleteTarget?.nickname || deleteTarget?.account_name} from your beneficiaries?`}
+        detail="You can add them again at any time."
+        icon="bi-trash"
+        confirmLabel="Delete"
+        confirmIcon="bi-trash"
+        onConfirm={handleDelete}
+        onCancel={() => setDeleteTarget(null)}
+      />
     </div>
   );
 }
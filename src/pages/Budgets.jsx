@@ -0,0 +1,233 @@
+import { useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { budgetAPI } from '../services/api';
+import { usePageTitle, getPageTitle } from '../hooks/usePageTitle';
+import { useBudgets } from '../hooks/useBudgets';
+import { formatCurrency } from '../utils/helpers';
+import { BUDGET_STATUS_CLASSES, getBudgetPeriod } from '../utils/budgets';
+import LoadingSpinner, { ErrorMessage } from '../components/LoadingSpinner';
+import BudgetAlerts from '../components/BudgetAlerts';
+import BudgetFormModal from '../components/BudgetFormModal';
+import ConfirmModal from '../components/ConfirmModal';
+
+const STATUS_LABELS = {
+  ok: 'On track',
+  warning: 'Nearly spent',
+  over: 'Over budget',
+};
+
+export default function Budgets() {
+  const navigate = useNavigate();
+  const { budgets, categories, alerts, loading, error, refresh, dismissAlert } = useBudgets();
+  const [formModal, setFormModal] = useState({ show: false, budget: null });
+  const [deleteTarget, setDeleteTarget] = useState(null);
+  const [actionError, setActionError] = useState('');
+
+  // Set page title
+  usePageTitle(getPageTitle('budgets'));
+
+  // Spend is measured on the client, so reload it with the saved budget
+  const handleSaved = async () => {
+    setFormModal({ show: false, budget: null });
+    await refresh();
+  };
+
+  const handleDelete = async () => {
+    try {
+      setActionError('');
+      await budgetAPI.deleteBudget(deleteTarget.id);
+      await refresh();
+    } catch (error) {
+      console.error('Error deleting budget:', error);
+      setActionError(error.response?.data?.detail || 'Failed to delete budget. Please try again.');
+    } finally {
+      setDeleteTarget(null);
+    }
+  };
+
+  const viewTransactions = (budget) => {
+    const params = new URLSearchParams({ period: 'custom', ...getBudgetPeriod(), type: 'debit', category: budget.category });
+    navigate(`/transactions?${params}`);
+  };
+
+  const totalBudgeted = budgets.reduce((sum, budget) => sum + parseFloat(budget.amount), 0);
+  const totalSpent = budgets.reduce((sum, budget) => sum + budget.spent, 0);
+  const totalProjected = budgets.reduce((sum, budget) => sum + budget.projected, 0);
+
+  if (loading) {
+    return <LoadingSpinner text="Loading budgets..." />;
+  }
+
+  return (
+    <div className="container-fluid">
+      <div className="d-flex justify-content-between align-items-center mb-4">
+        <h1 className="h2 fw-bold text-dark mb-0">Budgets</h1>
+        <button
+          className="btn btn-banking"
+          onClick={() => setFormModal({ show: true, budget: null })}
+          disabled={Boolean(error)}
+        >
+          <i className="bi bi-plus-circle me-2"></i>
+          New Budget
+        </button>
+      </div>
+
+      {(error || actionError) && (
+        <ErrorMessage
+          message={error || actionError}
+          onRetry={error ? refresh : null}
+          dismissible={!error}
+          onDismiss={() => setActionError('')}
+        />
+      )}
+
+      <BudgetAlerts alerts={alerts} onDismiss={dismissAlert} />
+
+      {budgets.length > 0 && (
+        <div className="row g-4 mb-4">
+          {[
+            { label: 'Budgeted This Month', value: totalBudgeted, icon: 'bi-wallet2', color: 'primary' },
+            { label: 'Spent So Far', value: totalSpent, icon: 'bi-cart', color: 'danger' },
+            { label: 'Projected Month End', value: totalProjected, icon: 'bi-graph-up-arrow', color: totalProjected > totalBudgeted ? 'warning' : 'success' },
+          ].map(({ label, value, icon, color }) => (
+            <div key={label} className="col-md-4">
+              <div className="card card-banking h-100">
+                <div className="card-body d-flex align-items-center">
+                  <div className={`bg-${color} bg-opacity-10 p-3 rounded-3 me-3`}>
+                    <i className={`bi ${icon} text-${color} fs-4`}></i>
+                  </div>
+                  <div>
+                    <small className="text-muted">{label}</small>
+                    <div className="fs-5 fw-bold">{formatCurrency(value)}</div>
+                  </div>
+                </div>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {!error && budgets.length === 0 ? (
+        <div className="text-center py-5">
+          <div className="bg-light rounded-3 p-5">
+            <i className="bi bi-wallet2 text-muted" style={{ fontSize: '3rem' }}></i>
+            <h4 className="mt-3 text-muted">No Budgets Yet</h4>
+            <p className="text-muted mb-4">
+              Set a monthly limit for a spending category and we'll let you know when you're close to it.
+            </p>
+            <button
+              className="btn btn-banking"
+              onClick={() => setFormModal({ show: true, budget: null })}
+            >
+              <i className="bi bi-plus-circle me-2"></i>
+              Create Your First Budget
+            </button>
+          </div>
+        </div>
+      ) : (
+        <div className="row g-4">
+          {budgets.map((budget) => {
+            const limit = parseFloat(budget.amount);
+            return (
+              <div key={budget.id} className="col-12 col-md-6 col-lg-4">
+                <div className="card card-banking h-100">
+                  <div className="card-body">
+                    <div className="d-flex justify-content-between align-items-start mb-3">
+                      <div>
+                        <h5 className="card-title mb-1 fw-semibold">{budget.category_name}</h5>
+                        <small className="text-muted">{formatCurrency(limit)} a month</small>
+                      </div>
+                      <span className={`badge ${BUDGET_STATUS_CLASSES[budget.status]}`}>
+                        {STATUS_LABELS[budget.status]}
+                      </span>
+                    </div>
+
+                    <div className="d-flex justify-content-between small mb-1">
+                      <span>{formatCurrency(budget.spent)} spent</span>
+                      <span className="text-muted">{Math.round(budget.ratio * 100)}%</span>
+                    </div>
+                    <div
+                      className="progress mb-3"
+                      style={{ height: '0.5rem' }}
+                      role="progressbar"
+                      aria-label={`${budget.category_name} budget used`}
+                      aria-valuenow={Math.round(budget.ratio * 100)}
+                      aria-valuemin="0"
+                      aria-valuemax="100"
+                    >
+                      <div
+                        className={`progress-bar ${BUDGET_STATUS_CLASSES[budget.status]}`}
+                        style={{ width: `${Math.min(100, budget.ratio * 100)}%` }}
+                      ></div>
+                    </div>
+
+                    <ul className="list-unstyled small mb-3">
+                      <li className="d-flex justify-content-between">
+                        <span className="text-muted">Remaining</span>
+                        <span className="fw-medium">{formatCurrency(budget.remaining)}</span>
+                      </li>
+                      <li className="d-flex justify-content-between">
+                        <span className="text-muted">Projected month end</span>
+                        <span className={`fw-medium ${budget.projected > limit ? 'text-danger' : ''}`}>
+                          {formatCurrency(budget.projected)}
+                        </span>
+                      </li>
+                    </ul>
+
+                    <div className="d-flex gap-2">
+                      <button
+                        className="btn btn-outline-primary btn-sm flex-grow-1"
+                        onClick={() => viewTransactions(budget)}
+                      >
+                        <i className="bi bi-list-ul me-1"></i>
+                        Transactions
+                      </button>
+                      <button
+                        className="btn btn-outline-primary btn-sm"
+                        onClick={() => setFormModal({ show: true, budget })}
+                        title="Edit"
+                      >
+                        <i className="bi bi-pencil"></i>
+                      </button>
+                      <button
+                        className="btn btn-outline-danger btn-sm"
+                        onClick={() => setDeleteTarget(budget)}
+                        title="Delete"
+                      >
+                        <i className="bi bi-trash"></i>
+                      </button>
+                    </div>
+                  </div>
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      )}
+
+      {formModal.show && (
+        <BudgetFormModal
+          key={formModal.budget?.id || 'new'}
+          show={formModal.show}
+          budget={formModal.budget}
+          categories={categories}
+          budgetedCategories={budgets.map(budget => String(budget.category))}
+          onSaved={handleSaved}
+          onClose={() => setFormModal({ show: false, budget: null })}
+        />
+      )}
+
+      <ConfirmModal
+        show={Boolean(deleteTarget)}
+        title="Delete Budget"
+        message={`Delete your ${deleteTarget?.category_name} budget?`}
+        detail="Your transactions won't be affected."
+        icon="bi-trash"
+        confirmLabel="Delete"
+        confirmIcon="bi-trash"
+        onConfirm={handleDelete}
+        onCancel={() => setDeleteTarget(null)}
+      />
+    </div>
+  );
+}
@@ -4,6 +4,11 @@ import { useAuth } from '../contexts/AuthContext';
 import { accountAPI, transactionAPI } from '../services/api';
 import LoadingSpinner from '../components/LoadingSpinner';
 import { usePageTitle } from '../hooks/usePageTitle';
+import { useBudgets } from '../hooks/useBudgets';
+import BudgetAlerts from '../components/BudgetAlerts';
+import BudgetProgressCard from '../components/BudgetProgressCard';
+import { useSavingsGoals } from '../hooks/useSavingsGoals';
+import SavingsGoalsCard from '../components/SavingsGoalsCard';
 
 const Dashboard = () => {
   const { user } = useAuth();
@@ -14,6 +19,8 @@ const Dashboard = () => {
   const [error, setError] = useState('');
   const [balanceVisible, setBalanceVisible] = useState(true);
   const [refreshing, setRefreshing] = useState(false);
+  const budgets = useBudgets();
+  const savingsGoals = useSavingsGoals();
 
   // Set page title
   usePageTitle('Dashboard');
@@ -29,7 +36,7 @@ const Dashboard = () => {
       
       const [accountsRes, transactionsRes] = await Promise.all([
         accountAPI.getAccounts().catch(err => ({ data: { results: [] } })),
-        transactionAPI.getTransactions({ limit: 5, ordering: '-created_at' }).catch(err => ({ data: { results: [] } }))
+        transactionAPI.getTransactions({ page_size: 5, ordering: '-created_at' }).catch(err => ({ data: { results: [] } }))
       ]);
       
       setAccounts(accountsRes.data.results || accountsRes.data || []);
@@ -44,7 +51,7 @@ const Dashboard = () => {
 
   const handleRefresh = async () => {
     setRefreshing(true);
-    await fetchDashboardData();
+    await Promise.all([fetchDashboardData(), budgets.refresh(), savingsGoals.refresh()]);
     setRefreshing(false);
   };
 
@@ -114,6 +121,8 @@ const Dashboard = () => {
         </div>
       )}
 
+      <BudgetAlerts alerts={budgets.alerts} onDismiss={budgets.dismissAlert} />
+
       {/* Welcome Section */}
       <div className="banking-gradient rounded-3 p-4 p-md-5 text-white mb-4">
         <div className="row align-items-start">
@@ -182,7 +191,7 @@ const Dashboard = () => {
                 <div 
                   className="card card-banking h-100" 
                   style={{ cursor: 'pointer' }}
-                  onClick={() => navigate('/accounts')}
+                  onClick={() => navigate(`/accounts/${account.id}`)}
                 >
                   <div className="card-body">
                     <div className="d-flex align-items-center justify-content-between mb-3">
@@ -243,7 +252,7 @@ const Dashboard = () => {
                     key={transaction.id} 
                     className="list-group-item border-0 px-0 py-3" 
                     style={{ cursor: 'pointer' }}
-                    onClick={() => navigate('/transactions')}
+                    onClick={() => navigate(`/transactions/${transaction.id}`)}
                   >
                     <div className="d-flex align-items-center justify-content-between">
                       <div className="d-flex align-items-center">
@@ -297,6 +306,16 @@ const Dashboard = () => {
         </div>
       </div>
 
+      {/* Budgets and Savings Goals */}
+      <div className="row g-4 mb-5">
+        <div className="col-12 col-xl-6">
+          <BudgetProgressCard budgets={budgets.budgets} loading={budgets.loading} error={budgets.error} />
+        </div>
+        <div className="col-12 col-xl-6">
+          <SavingsGoalsCard goals={savingsGoals.goals} loading={savingsGoals.loading} error={savingsGoals.error} />
+        </div>
+      </div>
+
       {/* Quick Actions */}
       <div className="mb-5">
         <h2 className="h3 fw-bold text-dark mb-4">Quick Actions</h2>
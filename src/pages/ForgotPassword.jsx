@@ -0,0 +1,252 @@
+import { useState } from 'react';
+import { Link, useNavigate } from 'react-router-dom';
+import { authAPI } from '../services/api';
+import { usePageTitle } from '../hooks/usePageTitle';
+import { useCountdown } from '../hooks/useCountdown';
+import { getRetryAfterSeconds } from '../utils/helpers';
+
+const RESEND_COOLDOWN = 60;
+
+const ForgotPassword = () => {
+  const [channel, setChannel] = useState('email');
+  const [identifier, setIdentifier] = useState('');
+  const [otp, setOtp] = useState('');
+  const [step, setStep] = useState('request');
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const { seconds: cooldown, start: startCooldown } = useCountdown();
+
+  const navigate = useNavigate();
+
+  // Set page title
+  usePageTitle('Forgot Password');
+
+  const getErrorMessage = (error, fallback) => {
+    const retryAfter = getRetryAfterSeconds(error);
+    if (retryAfter) {
+      startCooldown(retryAfter);
+      return `Too many attempts. Please wait ${retryAfter} seconds before trying again.`;
+    }
+    return error.response?.data?.detail ||
+           error.response?.data?.non_field_errors?.[0] ||
+           fallback;
+  };
+
+  const sendResetRequest = async () => {
+    setLoading(true);
+    setError('');
+
+    try {
+      await authAPI.requestPasswordReset(
+        channel === 'email'
+          ? { channel, email: identifier.trim() }
+          : { channel, phone_number: identifier.trim() }
+      );
+      setStep(channel === 'email' ? 'sent' : 'otp');
+      startCooldown(RESEND_COOLDOWN);
+    } catch (error) {
+      console.error('Password reset request error:', error);
+      setError(getErrorMessage(error, 'Failed to send reset instructions. Please try again.'));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleRequest = (e) => {
+    e.preventDefault();
+    sendResetRequest();
+  };
+
+  const handleVerifyOtp = async (e) => {
+    e.preventDefault();
+    if (!/^\d{6}$/.test(otp)) {
+      setError('Please enter the 6-digit code we sent you');
+      return;
+    }
+
+    setLoading(true);
+    setError('');
+
+    try {
+      const response = await authAPI.verifyPasswordResetOtp({
+        phone_number: identifier.trim(),
+        otp,
+      });
+      navigate(`/reset-password/${response.data.token}`, { replace: true });
+    } catch (error) {
+      console.error('Password reset OTP error:', error);
+      setError(getErrorMessage(error, 'Invalid or expired code. Please try again.'));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleChannelChange = (value) => {
+    setChannel(value);
+    setIdentifier('');
+    setError('');
+  };
+
+  const resendButton = (
+    <button
+      type="button"
+      className="btn btn-link p-0 text-decoration-none"
+      onClick={sendResetRequest}
+      disabled={loading || cooldown > 0}
+    >
+      {cooldown > 0 ? `Resend in ${cooldown}s` : 'Resend'}
+    </button>
+  );
+
+  return (
+    <div className="min-vh-100 d-flex align-items-center justify-content-center bg-light py-5">
+      <div className="container">
+        <div className="row justify-content-center">
+          <div className="col-12 col-md-6 col-lg-4">
+            <div className="text-center mb-4">
+              <div className="bg-primary rounded-3 d-inline-flex align-items-center justify-content-center mb-3"
+                   style={{ width: '3rem', height: '3rem' }}>
+                <span className="text-white fs-4 fw-bold">SC</span>
+              </div>
+              <h2 className="fw-bold text-dark mb-2">Reset your password</h2>
+              <p className="text-muted">
+                Remembered it?{' '}
+                <Link to="/login" className="text-primary text-decoration-none fw-medium">
+                  Back to sign in
+                </Link>
+              </p>
+            </div>
+
+            <div className="card card-banking">
+              <div className="card-body p-4">
+                {error && (
+                  <div className="alert alert-danger" role="alert">
+                    {error}
+                  </div>
+                )}
+
+                {step === 'request' && (
+                  <form onSubmit={handleRequest}>
+                    <div className="mb-3">
+                      <label className="form-label fw-medium">Send reset code by</label>
+                      <div className="btn-group w-100" role="group">
+                        <button
+                          type="button"
+                          className={`btn ${channel === 'email' ? 'btn-primary' : 'btn-outline-primary'}`}
+                          onClick={() => handleChannelChange('email')}
+                        >
+                          <i className="bi bi-envelope me-2"></i>
+                          Email
+                        </button>
+                        <button
+                          type="button"
+                          className={`btn ${channel === 'sms' ? 'btn-primary' : 'btn-outline-primary'}`}
+                          onClick={() => handleChannelChange('sms')}
+                        >
+                          <i className="bi bi-phone me-2"></i>
+                          SMS
+                        </button>
+                      </div>
+                    </div>
+
+                    <div className="mb-4">
+                      <label htmlFor="identifier" className="form-label fw-medium">
+                        {channel === 'email' ? 'Email Address' : 'Phone Number'}
+                      </label>
+                      <input
+                        id="identifier"
+                        name="identifier"
+                        type={channel === 'email' ? 'email' : 'tel'}
+                        required
+                        className="form-control"
+                        placeholder={channel === 'email' ? 'Enter your email' : '+234 800 000 0000'}
+                        value={identifier}
+                        onChange={(e) => setIdentifier(e.target.value)}
+                      />
+                    </div>
+
+                    <button
+                      type="submit"
+                      disabled={loading || cooldown > 0}
+                      className="btn btn-banking w-100"
+                    >
+                      {loading ? (
+                        <>
+                          <span className="spinner-border spinner-border-sm me-2" role="status" aria-hidden="true"></span>
+                          Sending...
+                        </>
+                      ) : cooldown > 0 ? (
+                        `Try again in ${cooldown}s`
+                      ) : channel === 'email' ? (
+                        'Send reset link'
+                      ) : (
+                        'Send reset code'
+                      )}
+                    </button>
+                  </form>
+                )}
+
+                {step === 'sent' && (
+                  <div className="text-center">
+                    <i className="bi bi-envelope-check text-success fs-1"></i>
+                    <p className="mt-3 mb-2">
+                      If an account exists for <strong>{identifier}</strong>, we've sent a link to reset your password.
+                    </p>
+                    <small className="text-muted">
+                      Didn't get it? Check your spam folder or {resendButton}
+                    </small>
+                  </div>
+                )}
+
+                {step === 'otp' && (
+                  <form onSubmit={handleVerifyOtp}>
+                    <p className="text-muted small">
+                      If an account exists for <strong>{identifier}</strong>, we've sent a 6-digit code by SMS.
+                    </p>
+                    <div className="mb-3">
+                      <label htmlFor="otp" className="form-label fw-medium">
+                        Verification Code
+                      </label>
+                      <input
+                        id="otp"
+                        name="otp"
+                        type="text"
+                        inputMode="numeric"
+                        autoComplete="one-time-code"
+                        maxLength={6}
+                        required
+                        className="form-control form-control-lg text-center font-monospace"
+                        placeholder="000000"
+                        value={otp}
+                        onChange={(e) => setOtp(e.target.value.replace(/\D/g, ''))}
+                      />
+                    </div>
+                    <button
+                      type="submit"
+                      disabled={loading}
+                      className="btn btn-banking w-100"
+                    >
+                      {loading ? (
+                        <>
+                          <span className="spinner-border spinner-border-sm me-2" role="status" aria-hidden="true"></span>
+                          Verifying...
+                        </>
+                      ) : (
+                        'Verify code'
+                      )}
+                    </button>
+                    <div className="text-center mt-3">
+                      <small className="text-muted">Didn't get a code? {resendButton}</small>
+                    </div>
+                  </form>
+                )}
+              </div>
+            </div>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ForgotPassword;
@@ -0,0 +1,300 @@
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { useNavigate, useSearchParams } from 'react-router-dom';
+import {
+  ResponsiveContainer,
+  BarChart,
+  Bar,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  Legend,
+  PieChart,
+  Pie,
+  Cell,
+} from 'recharts';
+import { transactionAPI, referenceAPI, fetchAllPages } from '../services/api';
+import { usePageTitle, getPageTitle } from '../hooks/usePageTitle';
+import { formatCurrency } from '../utils/helpers';
+import {
+  INSIGHT_PERIODS,
+  getInsightRange,
+  getMonthRange,
+  getMonthlyTotals,
+  getCategoryBreakdown,
+  getTopCounterparties,
+  getMonthOverMonth,
+} from '../utils/insights';
+import { UNCATEGORIZED } from '../utils/transactionFilters';
+import { CURRENCY_CONFIG } from '../config/environment';
+import LoadingSpinner, { ErrorMessage } from '../components/LoadingSpinner';
+
+const PAGE_SIZE = 200;
+
+const formatCompact = (value) => new Intl.NumberFormat(CURRENCY_CONFIG.locale, {
+  style: 'currency',
+  currency: CURRENCY_CONFIG.code,
+  notation: 'compact',
+  maximumFractionDigits: 1,
+}).format(value);
+
+const formatChange = (change) => (change === null ? 'No data last month' : `${change >= 0 ? '+' : ''}${Math.round(change * 100)}% vs last month`);
+
+export default function Insights() {
+  const navigate = useNavigate();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const months = INSIGHT_PERIODS.includes(Number(searchParams.get('months'))) ? Number(searchParams.get('months')) : 6;
+  const [transactions, setTransactions] = useState([]);
+  const [categories, setCategories] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  // Bumped on every fetch, so a slow response for an earlier period can't overwrite the current one
+  const fetchRunId = useRef(0);
+
+  // Set page title
+  usePageTitle(getPageTitle('insights'));
+
+  const fetchInsights = useCallback(async () => {
+    const runId = ++fetchRunId.current;
+    const isCancelled = () => runId !== fetchRunId.current;
+    try {
+      setLoading(true);
+      setError('');
+      const [fetched, categoriesRes] = await Promise.all([
+        fetchAllPages(
+          transactionAPI.getTransactions,
+          { ...getInsightRange(months), page_size: PAGE_SIZE },
+          { isCancelled }
+        ),
+        referenceAPI.getTransactionCategories(),
+      ]);
+      if (!fetched || isCancelled()) return;
+      setTransactions(fetched.results);
+      setCategories(categoriesRes.data.results || categoriesRes.data);
+    } catch (error) {
+      if (isCancelled()) return;
+      console.error('Error fetching insights:', error);
+      setError('Failed to load your insights. Please try again.');
+    } finally {
+      if (!isCancelled()) setLoading(false);
+    }
+  }, [months]);
+
+  useEffect(() => {
+    fetchInsights();
+  }, [fetchInsights]);
+
+  // Every chart segment opens the Transactions list with matching filters
+  const drillDown = (filters) => {
+    const params = new URLSearchParams({ period: 'custom', ...filters });
+    navigate(`/transactions?${params}`);
+  };
+
+  const monthly = getMonthlyTotals(transactions, months);
+  const breakdown = getCategoryBreakdown(transactions, categories);
+  const counterparties = getTopCounterparties(transactions);
+  const comparison = getMonthOverMonth(monthly);
+  const range = getInsightRange(months);
+  const totalSpending = breakdown.reduce((sum, entry) => sum + entry.total, 0);
+
+  const openMonth = (index, type) => drillDown({ ...getMonthRange(monthly[index].month), type });
+
+  const openCategory = (index) => {
+    const entry = breakdown[index];
+    // "Other" spans several categories, which the Transactions filters can't express
+    if (entry.isOther) return;
+    drillDown({ ...range, type: 'debit', category: entry.id || UNCATEGORIZED });
+  };
+
+  const summaryCards = [
+    { key: 'income', label: 'Income This Month', icon: 'bi-arrow-down', color: 'success', goodWhenUp: true },
+    { key: 'spending', label: 'Spending This Month', icon: 'bi-arrow-up', color: 'danger', goodWhenUp: false },
+    { key: 'net', label: 'Net This Month', icon: 'bi-piggy-bank', color: 'primary', goodWhenUp: true },
+  ];
+
+  return (
+    <div className="container-fluid">
+      <div className="d-flex flex-wrap justify-content-between align-items-center gap-3 mb-4">
+        <h1 className="h2 fw-bold text-dark mb-0">Insights</h1>
+        <div className="btn-group" role="group" aria-label="Insight period">
+          {INSIGHT_PERIODS.map((period) => (
+            <button
+              key={period}
+              type="button"
+              className={`btn btn-sm ${months === period ? 'btn-primary' : 'btn-outline-primary'}`}
+              onClick={() => setSearchParams(period === 6 ? {} : { months: String(period) }, { replace: true })}
+            >
+              {period} months
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {loading ? (
+        <LoadingSpinner fullScreen={false} text="Crunching your numbers..." />
+      ) : error ? (
+        <ErrorMessage message={error} onRetry={fetchInsights} />
+      ) : (
+        <>
+          {/* Month-over-month */}
+          <div className="row g-4 mb-4">
+            {summaryCards.map(({ key, label, icon, color, goodWhenUp }) => {
+              const { current, change } = comparison[key];
+              const improved = change !== null && (change >= 0) === goodWhenUp;
+              return (
+                <div key={key} className="col-md-4">
+                  <div className="card card-banking h-100">
+                    <div className="card-body">
+                      <div className="d-flex align-items-center mb-2">
+                        <div className={`bg-${color} bg-opacity-10 p-2 rounded-3 me-3`}>
+                          <i className={`bi ${icon} text-${color}`}></i>
+                        </div>
+                        <span className="text-muted small">{label}</span>
+                      </div>
+                      <div className="fs-4 fw-bold">{formatCurrency(current)}</div>
+                      <small className={change === null ? 'text-muted' : improved ? 'text-success' : 'text-danger'}>
+                        {change !== null && <i className={`bi ${change >= 0 ? 'bi-caret-up-fill' : 'bi-caret-down-fill'} me-1`}></i>}
+                        {formatChange(change)}
+                      </small>
+                    </div>
+                  </div>
+                </div>
+              );
+            })}
+          </div>
+
+          {/* Income vs spending */}
+          <div className="card card-banking mb-4">
+            <div className="card-body">
+              <h5 className="card-title mb-1">Income vs. Spending</h5>
+              <p className="small text-muted">Select a bar to see those transactions.</p>
+              <ResponsiveContainer width="100%" height={300}>
+                <BarChart data={monthly} margin={{ top: 10, right: 10, left: 10, bottom: 0 }}>
+                  <CartesianGrid strokeDasharray="3 3" vertical={false} />
+                  <XAxis dataKey="label" tickLine={false} />
+                  <YAxis tickFormatter={formatCompact} tickLine={false} axisLine={false} width={70} />
+                  <Tooltip formatter={(value) => formatCurrency(value)} cursor={{ fill: 'rgba(37, 99, 235, 0.05)' }} />
+                  <Legend />
+                  <Bar
+                    dataKey="income"
+                    name="Income"
+                    fill="#16a34a"
+                    radius={[4, 4, 0, 0]}
+                    cursor="pointer"
+                    onClick={(_, index) => openMonth(index, 'credit')}
+                  />
+                  <Bar
+                    dataKey="spending"
+                    name="Spending"
+                    fill="#dc2626"
+                    radius={[4, 4, 0, 0]}
+                    cursor="pointer"
+                    onClick={(_, index) => openMonth(index, 'debit')}
+                  />
+                </BarChart>
+              </ResponsiveContainer>
+            </div>
+          </div>
+
+          <div className="row g-4">
+            {/* Category breakdown */}
+            <div className="col-lg-7">
+              <div className="card card-banking h-100">
+                <div className="card-body">
+                  <h5 className="card-title mb-3">Spending by Category</h5>
+                  {breakdown.length === 0 ? (
+                    <p className="text-muted text-center py-5 mb-0">No spending in this period.</p>
+                  ) : (
+                    <div className="row align-items-center">
+                      <div className="col-md-6">
+                        <ResponsiveContainer width="100%" height={240}>
+                          <PieChart>
+                            <Pie
+                              data={breakdown}
+                              dataKey="total"
+                              nameKey="name"
+                              innerRadius="60%"
+                              outerRadius="90%"
+                              paddingAngle={2}
+                              onClick={(_, index) => openCategory(index)}
+                            >
+                              {breakdown.map((entry) => (
+                                <Cell key={entry.key} fill={entry.color} cursor={entry.isOther ? 'default' : 'pointer'} />
+                              ))}
+                            </Pie>
+                            <Tooltip formatter={(value) => formatCurrency(value)} />
+                          </PieChart>
+                        </ResponsiveContainer>
+                      </div>
+                      <div className="col-md-6">
+                        <ul className="list-unstyled small mb-0">
+                          {breakdown.map((entry, index) => (
+                            <li key={entry.key}>
+                              <button
+                                type="button"
+                                className="btn btn-link text-decoration-none text-dark w-100 d-flex align-items-center px-0 py-1"
+                                onClick={() => openCategory(index)}
+                                disabled={entry.isOther}
+                                title={entry.isOther ? 'Smaller categories combined' : undefined}
+                              >
+                                <span className="rounded-circle me-2" style={{ width: '0.625rem', height: '0.625rem', background: entry.color }}></span>
+                                <span className="flex-grow-1 text-start">{entry.name}</span>
+                                <span className="text-muted me-2">{Math.round(entry.share * 100)}%</span>
+                                <span className="fw-medium">{formatCurrency(entry.total)}</span>
+                              </button>
+                            </li>
+                          ))}
+                        </ul>
+                        <div className="border-top mt-2 pt-2 d-flex justify-content-between small fw-semibold">
+                          <span>Total spending</span>
+                          <span>{formatCurrency(totalSpending)}</span>
+                        </div>
+                      </div>
+                    </div>
+                  )}
+                </div>
+              </div>
+            </div>
+
+            {/* Top counterparties */}
+            <div className="col-lg-5">
+              <div className="card card-banking h-100">
+                <div className="card-body">
+                  <h5 className="card-title mb-3">Top Recipients</h5>
+                  {counterparties.length === 0 ? (
+                    <p className="text-muted text-center py-5 mb-0">No payments in this period.</p>
+                  ) : (
+                    <div className="list-group list-group-flush">
+                      {counterparties.map((entry) => (
+                        <button
+                          key={entry.name}
+                          type="button"
+                          className="list-group-item list-group-item-action px-0"
+                          onClick={() => drillDown({ ...range, type: 'debit', search: entry.name })}
+                        >
+                          <div className="d-flex justify-content-between align-items-center mb-1">
+                            <span className="fw-medium text-truncate me-3">{entry.name}</span>
+                            <span className="fw-semibold">{formatCurrency(entry.total)}</span>
+                          </div>
+                          <div className="progress" style={{ height: '0.25rem' }}>
+                            <div
+                              className="progress-bar bg-danger"
+                              style={{ width: `${totalSpending ? (entry.total / totalSpending) * 100 : 0}%` }}
+                            ></div>
+                          </div>
+                          <small className="text-muted">
+                            {entry.count} payment{entry.count === 1 ? '' : 's'}
+                          </small>
+                        </button>
+                      ))}
+                    </div>
+                  )}
+                </div>
+              </div>
+            </div>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
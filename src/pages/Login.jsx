@@ -1,7 +1,8 @@
-import { useState } from 'react';
-import { Link, useNavigate } from 'react-router-dom';
+import { useState, useEffect, useRef } from 'react';
+import { Link, useNavigate, useLocation } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthContext';
 import { usePageTitle } from '../hooks/usePageTitle';
+import { isWebAuthnSupported, isConditionalMediationAvailable } from '../utils/webauthn';
 
 const Login = () => {
   const [formData, setFormData] = useState({
@@ -11,13 +12,72 @@ const Login = () => {
   const [showPassword, setShowPassword] = useState(false);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState('');
+  const [passkeyLoading, setPasskeyLoading] = useState(false);
+  const conditionalAbortRef = useRef(null);
+  const passkeyLoginRef = useRef(null);
 
-  const { login } = useAuth();
+  const { login, loginWithPasskey, sessionEndReason } = useAuth();
   const navigate = useNavigate();
+  const location = useLocation();
+  const passkeySupported = isWebAuthnSupported();
 
   // Set page title
   usePageTitle('Login');
 
+  // AuthContext recreates loginWithPasskey on every render; the autofill request should start only once
+  useEffect(() => {
+    passkeyLoginRef.current = loginWithPasskey;
+  }, [loginWithPasskey]);
+
+  // Offer saved passkeys in the username autofill while the page is open
+  useEffect(() => {
+    let active = true;
+
+    const startConditionalLogin = async () => {
+      if (!(await isConditionalMediationAvailable()) || !active) return;
+
+      const controller = new AbortController();
+      conditionalAbortRef.current = controller;
+      const result = await passkeyLoginRef.current({ conditional: true, signal: controller.signal });
+
+      if (!active) return;
+      if (result.success) {
+        navigate('/dashboard');
+      } else if (result.error) {
+        setError(result.error);
+      }
+    };
+
+    startConditionalLogin();
+
+    return () => {
+      active = false;
+      conditionalAbortRef.current?.abort();
+    };
+  }, [navigate]);
+
+  // Only one WebAuthn request may be pending, so stop the autofill one first
+  const abortConditionalLogin = () => {
+    conditionalAbortRef.current?.abort();
+    conditionalAbortRef.current = null;
+  };
+
+  const handlePasskeyLogin = async () => {
+    abortConditionalLogin();
+    setPasskeyLoading(true);
+    setError('');
+
+    const result = await loginWithPasskey({ username: formData.username });
+
+    if (result.success) {
+      navigate('/dashboard');
+    } else if (result.error) {
+      setError(result.error);
+    }
+
+    setPasskeyLoading(false);
+  };
+
   const handleChange = (e) => {
     setFormData({
       ...formData,
@@ -27,6 +87,7 @@ const Login = () => {
 
   const handleSubmit = async (e) => {
     e.preventDefault();
+    abortConditionalLogin();
     setLoading(true);
     setError('');
 
@@ -63,6 +124,22 @@ const Login = () => {
             <div className="card card-banking">
               <div className="card-body p-4">
                 <form onSubmit={handleSubmit}>
+                  {location.state?.message && !error && (
+                    <div className="alert alert-success" role="alert">
+                      <i className="bi bi-check-circle me-2"></i>
+                      {location.state.message}
+                    </div>
+                  )}
+
+                  {sessionEndReason && !error && (
+                    <div className="alert alert-info" role="alert">
+                      <i className="bi bi-info-circle me-2"></i>
+                      {sessionEndReason === 'idle'
+                        ? 'You were signed out due to inactivity.'
+                        : 'Your session has expired. Please sign in again.'}
+                    </div>
+                  )}
+
                   {error && (
                     <div className="alert alert-danger" role="alert">
                       {error}
@@ -80,15 +157,21 @@ const Login = () => {
                       required
                       className="form-control"
                       placeholder="Enter your username"
+                      autoComplete="username webauthn"
                       value={formData.username}
                       onChange={handleChange}
                     />
                   </div>
                   
                   <div className="mb-4">
-                    <label htmlFor="password" className="form-label fw-medium">
-                      Password
-                    </label>
+                    <div className="d-flex justify-content-between align-items-center">
+                      <label htmlFor="password" className="form-label fw-medium">
+                        Password
+                      </label>
+                      <Link to="/forgot-password" className="small text-primary text-decoration-none mb-2">
+                        Forgot password?
+                      </Link>
+                    </div>
                     <div className="input-group">
                       <input
                         id="password"
@@ -124,6 +207,34 @@ const Login = () => {
                       'Sign in'
                     )}
                   </button>
+
+                  {passkeySupported && (
+                    <>
+                      <div className="d-flex align-items-center my-3">
+                        <hr className="flex-grow-1" />
+                        <small className="text-muted px-2">or</small>
+                        <hr className="flex-grow-1" />
+                      </div>
+                      <button
+                        type="button"
+                        disabled={passkeyLoading || loading}
+                        className="btn btn-outline-primary w-100"
+                        onClick={handlePasskeyLogin}
+                      >
+                        {passkeyLoading ? (
+                          <>
+                            <span className="spinner-border spinner-border-sm me-2" role="status" aria-hidden="true"></span>
+                            Waiting for passkey...
+                          </>
+                        ) : (
+                          <>
+                            <i className="bi bi-fingerprint me-2"></i>
+                            Sign in with a passkey
+                          </>
+                        )}
+                      </button>
+                    </>
+                  )}
                 </form>
               </div>
             </div>
@@ -1,15 +1,164 @@
+import { useState, useEffect } from 'react';
+import { useSearchParams } from 'react-router-dom';
+import { userAPI } from '../services/api';
+import { useAuth } from '../contexts/AuthContext';
 import { usePageTitle } from '../hooks/usePageTitle';
+import { formatDate, getInitials } from '../utils/helpers';
+import LoadingSpinner, { ErrorMessage } from '../components/LoadingSpinner';
+import ProfileDetailsForm from '../components/ProfileDetailsForm';
+import ChangePasswordForm from '../components/ChangePasswordForm';
+import ContactVerification from '../components/ContactVerification';
+import PasskeyManager from '../components/PasskeyManager';
+import TransferLimitRequest from '../components/TransferLimitRequest';
+
+const TABS = [
+  { id: 'personal', label: 'Personal Details', icon: 'bi-person' },
+  { id: 'security', label: 'Security', icon: 'bi-shield-lock' },
+  { id: 'contact', label: 'Contact Info', icon: 'bi-envelope-check' },
+];
 
 export default function Profile() {
+  const { user, updateUser } = useAuth();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const [profile, setProfile] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+
+  const activeTab = TABS.some(tab => tab.id === searchParams.get('tab'))
+    ? searchParams.get('tab')
+    : 'personal';
+
   // Set page title
   usePageTitle('Profile Settings');
 
+  useEffect(() => {
+    fetchProfile();
+  }, []);
+
+  const fetchProfile = async () => {
+    try {
+      setLoading(true);
+      setError('');
+      const response = await userAPI.getProfile();
+      setProfile(response.data);
+    } catch (error) {
+      console.error('Error fetching profile:', error);
+      setError('Failed to load your profile. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Keep AuthContext (and other tabs) in sync with what the server saved
+  const handleProfileSaved = (savedProfile) => {
+    setProfile(savedProfile);
+    updateUser({ ...user, ...savedProfile });
+  };
+
+  const handleContactVerified = (channel, savedProfile) => {
+    const nextProfile = savedProfile?.id
+      ? savedProfile
+      : { ...profile, [channel === 'email' ? 'email_verified' : 'phone_verified']: true };
+    handleProfileSaved(nextProfile);
+  };
+
+  const selectTab = (tabId) => {
+    setSearchParams(tabId === 'personal' ? {} : { tab: tabId }, { replace: true });
+  };
+
+  if (loading) {
+    return <LoadingSpinner text="Loading your profile..." />;
+  }
+
   return (
-    <div>
-      <h1 className="text-2xl font-bold text-gray-900 mb-6">Profile</h1>
-      <div className="card">
-        <p>Profile management functionality coming soon...</p>
-      </div>
+    <div className="container-fluid">
+      <h1 className="h2 fw-bold text-dark mb-4">Profile Settings</h1>
+
+      {error && (
+        <ErrorMessage
+          message={error}
+          onRetry={fetchProfile}
+          dismissible
+          onDismiss={() => setError('')}
+        />
+      )}
+
+      {profile && (
+        <div className="row g-4">
+          <div className="col-lg-4">
+            <div className="card card-banking">
+              <div className="card-body text-center">
+                <div className="bg-primary rounded-circle d-inline-flex align-items-center justify-content-center mb-3"
+                     style={{ width: '4.5rem', height: '4.5rem' }}>
+                  <span className="text-white fs-3 fw-bold">
+                    {getInitials(profile.first_name, profile.last_name, profile.username)}
+                  </span>
+                </div>
+                <h5 className="fw-bold mb-1">{profile.first_name} {profile.last_name}</h5>
+                <p className="text-muted small mb-3">@{profile.username}</p>
+                <div className="d-flex justify-content-center gap-2 mb-3">
+                  <span className={`badge ${profile.email_verified ? 'bg-success' : 'bg-warning'}`}>
+                    <i className="bi bi-envelope me-1"></i>
+                    {profile.email_verified ? 'Email verified' : 'Email unverified'}
+                  </span>
+                  <span className={`badge ${profile.phone_verified ? 'bg-success' : 'bg-warning'}`}>
+                    <i className="bi bi-phone me-1"></i>
+                    {profile.phone_verified ? 'Phone verified' : 'Phone unverified'}
+                  </span>
+                </div>
+                {profile.date_joined && (
+                  <small className="text-muted">Member since {formatDate(profile.date_joined)}</small>
+                )}
+              </div>
+            </div>
+          </div>
+
+          <div className="col-lg-8">
+            <ul className="nav nav-tabs mb-4">
+              {TABS.map((tab) => (
+                <li key={tab.id} className="nav-item">
+                  <button
+                    type="button"
+                    className={`nav-link ${activeTab === tab.id ? 'active' : ''}`}
+                    onClick={() => selectTab(tab.id)}
+                  >
+                    <i className={`bi ${tab.icon} me-2`}></i>
+                    {tab.label}
+                  </button>
+                </li>
+              ))}
+            </ul>
+
+            {activeTab === 'personal' && (
+              <div className="card card-banking">
+                <div className="card-body">
+                  <ProfileDetailsForm profile={profile} onSaved={handleProfileSaved} />
+                </div>
+              </div>
+            )}
+
+            {activeTab === 'security' && (
+              <>
+                <div className="card card-banking mb-4">
+                  <div className="card-body">
+                    <ChangePasswordForm />
+                  </div>
+                </div>
+                <TransferLimitRequest />
+                <PasskeyManager />
+              </>
+            )}
+
+            {activeTab === 'contact' && (
+              <div className="card card-banking">
+                <div className="card-body">
+                  <ContactVerification profile={profile} onVerified={handleContactVerified} />
+                </div>
+              </div>
+            )}
+          </div>
+        </div>
+      )}
     </div>
   );
 }
@@ -2,6 +2,7 @@ import { useState } from 'react';
 import { Link, useNavigate } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthContext';
 import { usePageTitle } from '../hooks/usePageTitle';
+import PasswordStrengthMeter from '../components/PasswordStrengthMeter';
 
 const Register = () => {
   const [formData, setFormData] = useState({
@@ -214,6 +215,7 @@ const Register = () => {
                         <div className="invalid-feedback">{errors.password[0]}</div>
                       )}
                     </div>
+                    <PasswordStrengthMeter password={formData.password} />
                   </div>
 
                   {/* Confirm Password */}
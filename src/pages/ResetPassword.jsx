@@ -0,0 +1,203 @@
+import { useState, useEffect } from 'react';
+import { Link, useNavigate, useParams } from 'react-router-dom';
+import { authAPI } from '../services/api';
+import { usePageTitle } from '../hooks/usePageTitle';
+import { useCountdown } from '../hooks/useCountdown';
+import { getRetryAfterSeconds } from '../utils/helpers';
+import LoadingSpinner from '../components/LoadingSpinner';
+import PasswordStrengthMeter from '../components/PasswordStrengthMeter';
+
+const ResetPassword = () => {
+  const { token } = useParams();
+  const [formData, setFormData] = useState({
+    new_password: '',
+    new_password_confirm: ''
+  });
+  const [showPassword, setShowPassword] = useState(false);
+  const [tokenStatus, setTokenStatus] = useState('checking');
+  const [loading, setLoading] = useState(false);
+  const [errors, setErrors] = useState({});
+  const { seconds: cooldown, start: startCooldown } = useCountdown();
+
+  const navigate = useNavigate();
+
+  // Set page title
+  usePageTitle('Reset Password');
+
+  useEffect(() => {
+    const validateToken = async () => {
+      try {
+        setTokenStatus('checking');
+        await authAPI.validatePasswordResetToken(token);
+        setTokenStatus('valid');
+      } catch (error) {
+        console.error('Password reset token error:', error);
+        setTokenStatus('invalid');
+      }
+    };
+
+    validateToken();
+  }, [token]);
+
+  const handleChange = (e) => {
+    setFormData({
+      ...formData,
+      [e.target.name]: e.target.value
+    });
+    // Clear error for this field when user starts typing
+    if (errors[e.target.name]) {
+      setErrors({
+        ...errors,
+        [e.target.name]: null
+      });
+    }
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (formData.new_password !== formData.new_password_confirm) {
+      setErrors({ new_password_confirm: ['Passwords do not match.'] });
+      return;
+    }
+
+    // Like registration, the password policy is the backend's; its field errors are shown below
+    setLoading(true);
+    setErrors({});
+
+    try {
+      await authAPI.confirmPasswordReset(token, formData);
+      navigate('/login', {
+        replace: true,
+        state: { message: 'Your password has been reset. Please sign in with your new password.' }
+      });
+    } catch (error) {
+      console.error('Password reset error:', error);
+      const retryAfter = getRetryAfterSeconds(error);
+      if (retryAfter) {
+        startCooldown(retryAfter);
+        setErrors({ non_field_errors: [`Too many attempts. Please wait ${retryAfter} seconds before trying again.`] });
+      } else if (error.response?.status === 400 && error.response.data?.token) {
+        setTokenStatus('invalid');
+      } else if (error.response?.data) {
+        setErrors(error.response.data);
+      } else {
+        setErrors({ non_field_errors: ['Failed to reset password. Please try again.'] });
+      }
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  if (tokenStatus === 'checking') {
+    return <LoadingSpinner text="Checking reset link..." />;
+  }
+
+  return (
+    <div className="min-vh-100 d-flex align-items-center justify-content-center bg-light py-5">
+      <div className="container">
+        <div className="row justify-content-center">
+          <div className="col-12 col-md-6 col-lg-4">
+            <div className="text-center mb-4">
+              <div className="bg-primary rounded-3 d-inline-flex align-items-center justify-content-center mb-3"
+                   style={{ width: '3rem', height: '3rem' }}>
+                <span className="text-white fs-4 fw-bold">SC</span>
+              </div>
+              <h2 className="fw-bold text-dark mb-2">Choose a new password</h2>
+            </div>
+
+            <div className="card card-banking">
+              <div className="card-body p-4">
+                {tokenStatus === 'invalid' ? (
+                  <div className="text-center">
+                    <i className="bi bi-link-45deg text-danger fs-1"></i>
+                    <p className="mt-3 mb-3">This reset link is invalid or has expired.</p>
+                    <Link to="/forgot-password" className="btn btn-banking w-100">
+                      Request a new link
+                    </Link>
+                  </div>
+                ) : (
+                  <form onSubmit={handleSubmit}>
+                    {errors.non_field_errors && (
+                      <div className="alert alert-danger" role="alert">
+                        {errors.non_field_errors[0]}
+                      </div>
+                    )}
+
+                    <div className="mb-3">
+                      <label htmlFor="new_password" className="form-label fw-medium">
+                        New Password
+                      </label>
+                      <div className="input-group has-validation">
+                        <input
+                          id="new_password"
+                          name="new_password"
+                          type={showPassword ? 'text' : 'password'}
+                          required
+                          autoComplete="new-password"
+                          className={`form-control ${errors.new_password ? 'is-invalid' : ''}`}
+                          placeholder="Create a strong password"
+                          value={formData.new_password}
+                          onChange={handleChange}
+                        />
+                        <button
+                          type="button"
+                          className="btn btn-outline-secondary"
+                          onClick={() => setShowPassword(!showPassword)}
+                        >
+                          <i className={`bi ${showPassword ? 'bi-eye-slash' : 'bi-eye'}`}></i>
+                        </button>
+                        {errors.new_password && (
+                          <div className="invalid-feedback">{errors.new_password[0]}</div>
+                        )}
+                      </div>
+                      <PasswordStrengthMeter password={formData.new_password} />
+                    </div>
+
+                    <div className="mb-4">
+                      <label htmlFor="new_password_confirm" className="form-label fw-medium">
+                        Confirm New Password
+                      </label>
+                      <input
+                        id="new_password_confirm"
+                        name="new_password_confirm"
+                        type={showPassword ? 'text' : 'password'}
+                        required
+                        autoComplete="new-password"
+                        className={`form-control ${errors.new_password_confirm ? 'is-invalid' : ''}`}
+                        placeholder="Confirm your new password"
+                        value={formData.new_password_confirm}
+                        onChange={handleChange}
+                      />
+                      {errors.new_password_confirm && (
+                        <div className="invalid-feedback">{errors.new_password_confirm[0]}</div>
+                      )}
+                    </div>
+
+                    <button
+                      type="submit"
+                      disabled={loading || cooldown > 0}
+                      className="btn btn-banking w-100"
+                    >
+                      {loading ? (
+                        <>
+                          <span className="spinner-border spinner-border-sm me-2" role="status" aria-hidden="true"></span>
+                          Resetting...
+                        </>
+                      ) : cooldown > 0 ? (
+                        `Try again in ${cooldown}s`
+                      ) : (
+                        'Reset password'
+                      )}
+                    </button>
+                  </form>
+                )}
+              </div>
+            </div>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ResetPassword;
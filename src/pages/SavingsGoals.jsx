@@ -0,0 +1,301 @@
+import { useState, useEffect } from 'react';
+import { accountAPI, savingsGoalAPI } from '../services/api';
+import { usePageTitle, getPageTitle } from '../hooks/usePageTitle';
+import { useSavingsGoals } from '../hooks/useSavingsGoals';
+import { formatCurrency } from '../utils/helpers';
+import {
+  SWEEP_RULE_TYPES,
+  GOAL_STATUS_LABELS,
+  getGoalProgress,
+  describeSweepRule,
+  describeDeadline,
+} from '../utils/savingsGoals';
+import LoadingSpinner, { ErrorMessage } from '../components/LoadingSpinner';
+import SavingsGoalFormModal from '../components/SavingsGoalFormModal';
+import SweepRuleModal from '../components/SweepRuleModal';
+import ConfirmModal from '../components/ConfirmModal';
+
+export default function SavingsGoals() {
+  const { goals, loading, error, refresh, saveGoal, removeGoal } = useSavingsGoals();
+  const [accounts, setAccounts] = useState([]);
+  const [formModal, setFormModal] = useState({ show: false, goal: null });
+  const [ruleGoal, setRuleGoal] = useState(null);
+  const [deleteTarget, setDeleteTarget] = useState(null);
+  const [actionLoading, setActionLoading] = useState({});
+  const [actionError, setActionError] = useState('');
+
+  // Set page title
+  usePageTitle(getPageTitle('savings-goals'));
+
+  useEffect(() => {
+    fetchAccounts();
+  }, []);
+
+  const fetchAccounts = async () => {
+    try {
+      const response = await accountAPI.getAccounts();
+      setAccounts(response.data.results || response.data);
+    } catch (error) {
+      console.error('Error fetching accounts:', error);
+    }
+  };
+
+  const accountLabel = (id) => {
+    const account = accounts.find(item => String(item.id) === String(id));
+    return account ? `${account.account_type_name} ****${account.account_number.slice(-4)}` : 'Savings account';
+  };
+
+  const handleSaved = (saved) => {
+    saveGoal(saved);
+    setFormModal({ show: false, goal: null });
+  };
+
+  const handleRuleSaved = (rule) => {
+    saveGoal({ ...ruleGoal, rules: [...(ruleGoal.rules || []), rule] });
+    setRuleGoal(null);
+  };
+
+  const handleToggleRule = async (goal, rule) => {
+    try {
+      setActionLoading(prev => ({ ...prev, [rule.id]: true }));
+      setActionError('');
+      const response = await savingsGoalAPI.updateRule(goal.id, rule.id, { is_active: !rule.is_active });
+      saveGoal({ ...goal, rules: goal.rules.map(item => (item.id === rule.id ? response.data : item)) });
+    } catch (error) {
+      console.error('Error updating sweep rule:', error);
+      setActionError(error.response?.data?.detail || 'Failed to update rule. Please try again.');
+    } finally {
+      setActionLoading(prev => ({ ...prev, [rule.id]: false }));
+    }
+  };
+
+  const handleDeleteRule = async (goal, rule) => {
+    try {
+      setActionLoading(prev => ({ ...prev, [rule.id]: true }));
+      setActionError('');
+      await savingsGoalAPI.deleteRule(goal.id, rule.id);
+      saveGoal({ ...goal, rules: goal.rules.filter(item => item.id !== rule.id) });
+    } catch (error) {
+      console.error('Error deleting sweep rule:', error);
+      setActionError(error.response?.data?.detail || 'Failed to delete rule. Please try again.');
+      setActionLoading(prev => ({ ...prev, [rule.id]: false }));
+    }
+  };
+
+  const handleDelete = async () => {
+    try {
+      setActionError('');
+      await savingsGoalAPI.deleteGoal(deleteTarget.id);
+      removeGoal(deleteTarget.id);
+    } catch (error) {
+      console.error('Error deleting savings goal:', error);
+      setActionError(error.response?.data?.detail || 'Failed to delete goal. Please try again.');
+    } finally {
+      setDeleteTarget(null);
+    }
+  };
+
+  if (loading) {
+    return <LoadingSpinner text="Loading savings goals..." />;
+  }
+
+  return (
+    <div className="container-fluid">
+      <div className="d-flex justify-content-between align-items-center mb-4">
+        <h1 className="h2 fw-bold text-dark mb-0">Savings Goals</h1>
+        <button
+          className="btn btn-banking"
+          onClick={() => setFormModal({ show: true, goal: null })}
+          disabled={Boolean(error)}
+        >
+          <i className="bi bi-plus-circle me-2"></i>
+          New Goal
+        </button>
+      </div>
+
+      {(error || actionError) && (
+        <ErrorMessage
+          message={error || actionError}
+          onRetry={error ? refresh : null}
+          dismissible={!error}
+          onDismiss={() => setActionError('')}
+        />
+      )}
+
+      {!error && goals.length === 0 ? (
+        <div className="text-center py-5">
+          <div className="bg-light rounded-3 p-5">
+            <i className="bi bi-bullseye text-muted" style={{ fontSize: '3rem' }}></i>
+            <h4 className="mt-3 text-muted">No Savings Goals Yet</h4>
+            <p className="text-muted mb-4">
+              Set a target and a deadline, then round up purchases or save part of your salary automatically.
+            </p>
+            <button
+              className="btn btn-banking"
+              onClick={() => setFormModal({ show: true, goal: null })}
+            >
+              <i className="bi bi-plus-circle me-2"></i>
+              Create Your First Goal
+            </button>
+          </div>
+        </div>
+      ) : (
+        <div className="row g-4">
+          {goals.map((goal) => {
+            const progress = getGoalProgress(goal);
+            const status = GOAL_STATUS_LABELS[progress.status];
+            const rules = goal.rules || [];
+            return (
+              <div key={goal.id} className="col-12 col-lg-6">
+                <div className="card card-banking h-100">
+                  <div className="card-body">
+                    <div className="d-flex justify-content-between align-items-start mb-3">
+                      <div>
+                        <h5 className="card-title mb-1 fw-semibold">{goal.name}</h5>
+                        <small className="text-muted">
+                          <i className="bi bi-piggy-bank me-1"></i>
+                          {accountLabel(goal.savings_account)}
+                        </small>
+                      </div>
+                      <span className={`badge ${status.className}`}>{status.label}</span>
+                    </div>
+
+                    <div className="d-flex justify-content-between small mb-1">
+                      <span className="fw-medium">{formatCurrency(progress.saved)} saved</span>
+                      <span className="text-muted">of {formatCurrency(progress.target)}</span>
+                    </div>
+                    <div
+                      className="progress mb-3"
+                      style={{ height: '0.75rem' }}
+                      role="progressbar"
+                      aria-label={`${goal.name} progress`}
+                      aria-valuenow={Math.round(progress.ratio * 100)}
+                      aria-valuemin="0"
+                      aria-valuemax="100"
+                    >
+                      <div className="progress-bar bg-success" style={{ width: `${progress.ratio * 100}%` }}>
+                        {progress.ratio >= 0.15 && `${Math.round(progress.ratio * 100)}%`}
+                      </div>
+                    </div>
+
+                    <ul className="list-unstyled small mb-3">
+                      <li className="d-flex justify-content-between">
+                        <span className="text-muted">Deadline</span>
+                        <span className="fw-medium">{describeDeadline(goal, progress)}</span>
+                      </li>
+                      {progress.status !== 'achieved' && (
+                        <li className="d-flex justify-content-between">
+                          <span className="text-muted">
+                            {progress.status === 'overdue' ? 'Still to save' : 'Needed each month'}
+                          </span>
+                          <span className="fw-medium">{formatCurrency(progress.monthlyRequired)}</span>
+                        </li>
+                      )}
+                    </ul>
+
+                    <h6 className="small fw-semibold text-uppercase text-muted mb-2">Automatic Sweeps</h6>
+                    {rules.length === 0 ? (
+                      <p className="small text-muted">No rules yet. Add one to save without thinking about it.</p>
+                    ) : (
+                      <ul className="list-group list-group-flush small mb-3">
+                        {rules.map((rule) => (
+                          <li key={rule.id} className="list-group-item px-0 d-flex align-items-center">
+                            <i className={`bi ${SWEEP_RULE_TYPES.find(type => type.id === rule.rule_type)?.icon || 'bi-arrow-repeat'} text-primary me-2`}></i>
+                            <div className="flex-grow-1">
+                              <div className={rule.is_active ? '' : 'text-muted text-decoration-line-through'}>
+                                {describeSweepRule(rule)}
+                              </div>
+                              <small className="text-muted">From {accountLabel(rule.source_account)}</small>
+                            </div>
+                            <div className="form-check form-switch mb-0 me-2" title={rule.is_active ? 'Pause rule' : 'Resume rule'}>
+                              <input
+                                type="checkbox"
+                                className="form-check-input"
+                                role="switch"
+                                aria-label="Rule active"
+                                checked={rule.is_active}
+                                disabled={actionLoading[rule.id]}
+                                onChange={() => handleToggleRule(goal, rule)}
+                              />
+                            </div>
+                            <button
+                              className="btn btn-link text-danger p-0"
+                              onClick={() => handleDeleteRule(goal, rule)}
+                              disabled={actionLoading[rule.id]}
+                              title="Delete rule"
+                            >
+                              <i className="bi bi-x-circle"></i>
+                            </button>
+                          </li>
+                        ))}
+                      </ul>
+                    )}
+
+                    <div className="d-flex gap-2">
+                      <button
+                        className="btn btn-outline-primary btn-sm flex-grow-1"
+                        onClick={() => setRuleGoal(goal)}
+                        disabled={progress.status === 'achieved'}
+                      >
+                        <i className="bi bi-magic me-1"></i>
+                        Add Sweep Rule
+                      </button>
+                      <button
+                        className="btn btn-outline-primary btn-sm"
+                        onClick={() => setFormModal({ show: true, goal })}
+                        title="Edit"
+                      >
+                        <i className="bi bi-pencil"></i>
+                      </button>
+                      <button
+                        className="btn btn-outline-danger btn-sm"
+                        onClick={() => setDeleteTarget(goal)}
+                        title="Delete"
+                      >
+                        <i className="bi bi-trash"></i>
+                      </button>
+                    </div>
+                  </div>
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      )}
+
+      {formModal.show && (
+        <SavingsGoalFormModal
+          key={formModal.goal?.id || 'new'}
+          show={formModal.show}
+          goal={formModal.goal}
+          accounts={accounts}
+          onSaved={handleSaved}
+          onClose={() => setFormModal({ show: false, goal: null })}
+        />
+      )}
+
+      {ruleGoal && (
+        <SweepRuleModal
+          key={ruleGoal.id}
+          show={Boolean(ruleGoal)}
+          goal={ruleGoal}
+          accounts={accounts}
+          onSaved={handleRuleSaved}
+          onClose={() => setRuleGoal(null)}
+        />
+      )}
+
+      <ConfirmModal
+        show={Boolean(deleteTarget)}
+        title="Delete Goal"
+        message={`Delete "${deleteTarget?.name}"?`}
+        detail="Its sweep rules stop immediately. Money already saved stays in your savings account."
+        icon="bi-trash"
+        confirmLabel="Delete"
+        confirmIcon="bi-trash"
+        onConfirm={handleDelete}
+        onCancel={() => setDeleteTarget(null)}
+      />
+    </div>
+  );
+}
@@ -0,0 +1,302 @@
+import { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { accountAPI, transactionAPI } from '../services/api';
+import { usePageTitle, getPageTitle } from '../hooks/usePageTitle';
+import { formatCurrency } from '../utils/helpers';
+import { describeSchedule, formatScheduleDate, projectBalances } from '../utils/schedule';
+import LoadingSpinner, { ErrorMessage } from '../components/LoadingSpinner';
+import ConfirmModal from '../components/ConfirmModal';
+import ScheduledTransferModal from '../components/ScheduledTransferModal';
+
+const PROJECTION_DAYS = 30;
+
+const getStatusBadgeClass = (status) => {
+  switch (status) {
+    case 'active':
+      return 'bg-success';
+    case 'paused':
+      return 'bg-warning';
+    case 'failed':
+      return 'bg-danger';
+    default:
+      return 'bg-secondary';
+  }
+};
+
+export default function ScheduledTransfers() {
+  const [scheduledTransfers, setScheduledTransfers] = useState([]);
+  const [accounts, setAccounts] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [statusFilter, setStatusFilter] = useState('current');
+  const [editing, setEditing] = useState(null);
+  const [cancelTarget, setCancelTarget] = useState(null);
+  const [actionLoading, setActionLoading] = useState({});
+
+  // Set page title
+  usePageTitle(getPageTitle('scheduled-transfers'));
+
+  useEffect(() => {
+    fetchData();
+  }, []);
+
+  const fetchData = async () => {
+    try {
+      setLoading(true);
+      setError('');
+      const [scheduledResponse, accountsResponse] = await Promise.all([
+        transactionAPI.getScheduledTransfers(),
+        accountAPI.getAccounts(),
+      ]);
+      setScheduledTransfers(scheduledResponse.data.results || scheduledResponse.data);
+      setAccounts(accountsResponse.data.results || accountsResponse.data);
+    } catch (error) {
+      console.error('Error fetching scheduled transfers:', error);
+      setError('Failed to load scheduled transfers. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const replaceScheduledTransfer = (updated) => {
+    setScheduledTransfers(prev => prev.map(item => (item.id === updated.id ? updated : item)));
+  };
+
+  const handleTogglePause = async (scheduledTransfer) => {
+    try {
+      setActionLoading(prev => ({ ...prev, [scheduledTransfer.id]: true }));
+      setError('');
+      const response = scheduledTransfer.status === 'paused'
+        ? await transactionAPI.resumeScheduledTransfer(scheduledTransfer.id)
+        : await transactionAPI.pauseScheduledTransfer(scheduledTransfer.id);
+      replaceScheduledTransfer(response.data);
+    } catch (error) {
+      console.error('Error updating scheduled transfer:', error);
+      setError(error.response?.data?.detail || 'Failed to update the scheduled transfer. Please try again.');
+    } finally {
+      setActionLoading(prev => ({ ...prev, [scheduledTransfer.id]: false }));
+    }
+  };
+
+  const handleCancel = async () => {
+    try {
+      setError('');
+      await transactionAPI.cancelScheduledTransfer(cancelTarget.id);
+      replaceScheduledTransfer({ ...cancelTarget, status: 'cancelled', next_run_date: null });
+    } catch (error) {
+      console.error('Error cancelling scheduled transfer:', error);
+      setError(error.response?.data?.detail || 'Failed to cancel the scheduled transfer. Please try again.');
+    } finally {
+      setCancelTarget(null);
+    }
+  };
+
+  const handleSaved = (updated) => {
+    replaceScheduledTransfer(updated);
+    setEditing(null);
+  };
+
+  const accountLabel = (accountId) => {
+    const account = accounts.find(acc => String(acc.id) === String(accountId));
+    return account ? `${account.account_type_name} - ****${account.account_number.slice(-4)}` : '';
+  };
+
+  const filteredTransfers = scheduledTransfers.filter(item => (
+    statusFilter === 'all' ||
+    (statusFilter === 'current' ? ['active', 'paused'].includes(item.status) : item.status === statusFilter)
+  ));
+
+  const projections = projectBalances(accounts, scheduledTransfers, PROJECTION_DAYS)
+    .filter(projection => projection.payments.length > 0);
+
+  if (loading) {
+    return <LoadingSpinner text="Loading scheduled transfers..." />;
+  }
+
+  return (
+    <div className="container-fluid">
+      <div className="d-flex justify-content-between align-items-center mb-4">
+        <h1 className="h2 fw-bold text-dark mb-0">Scheduled Transfers</h1>
+        <Link to="/transfer" state={{ schedule: true }} className="btn btn-banking">
+          <i className="bi bi-calendar-plus me-2"></i>
+          New Scheduled Transfer
+        </Link>
+      </div>
+
+      {error && (
+        <ErrorMessage
+          message={error}
+          onRetry={fetchData}
+          dismissible
+          onDismiss={() => setError('')}
+        />
+      )}
+
+      {/* Upcoming payments against balances */}
+      {projections.length > 0 && (
+        <div className="row g-4 mb-4">
+          {projections.map(({ account, payments, total, projected, shortfallDate }) => (
+            <div key={account.id} className="col-md-6 col-xl-4">
+              <div className={`card card-banking h-100 ${shortfallDate ? 'border-danger' : ''}`}>
+                <div className="card-body">
+                  <div className="d-flex justify-content-between align-items-start mb-3">
+                    <div>
+                      <h6 className="mb-0">{accountLabel(account.id)}</h6>
+                      <small className="text-muted">Next {PROJECTION_DAYS} days</small>
+                    </div>
+                    <span className="badge bg-primary bg-opacity-10 text-primary">
+                      {payments.length} {payments.length === 1 ? 'payment' : 'payments'}
+                    </span>
+                  </div>
+                  <div className="d-flex justify-content-between small mb-1">
+                    <span className="text-muted">Available now</span>
+                    <span>{formatCurrency(account.available_balance)}</span>
+                  </div>
+                  <div className="d-flex justify-content-between small mb-1">
+                    <span className="text-muted">Scheduled out</span>
+                    <span className="text-danger">-{formatCurrency(total)}</span>
+                  </div>
+                  <div className="d-flex justify-content-between fw-semibold border-top pt-2">
+                    <span>Projected</span>
+                    <span className={projected < 0 ? 'text-danger' : 'text-success'}>{formatCurrency(projected)}</span>
+                  </div>
+                  {shortfallDate && (
+                    <div className="alert alert-danger py-2 small mt-3 mb-0" role="alert">
+                      <i className="bi bi-exclamation-triangle me-2"></i>
+                      Not enough funds for the payment on {formatScheduleDate(shortfallDate)}.
+                    </div>
+                  )}
+                </div>
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+
+      <div className="card card-banking">
+        <div className="card-body">
+          <div className="d-flex justify-content-between align-items-center mb-3">
+            <h5 className="card-title mb-0">Standing Orders</h5>
+            <select
+              className="form-select form-select-sm w-auto"
+              value={statusFilter}
+              onChange={(e) => setStatusFilter(e.target.value)}
+            >
+              <option value="current">Active &amp; Paused</option>
+              <option value="active">Active</option>
+              <option value="paused">Paused</option>
+              <option value="completed">Completed</option>
+              <option value="cancelled">Cancelled</option>
+              <option value="all">All</option>
+            </select>
+          </div>
+
+          {filteredTransfers.length === 0 ? (
+            <div className="text-center py-5">
+              <i className="bi bi-calendar-x text-muted" style={{ fontSize: '3rem' }}></i>
+              <h4 className="mt-3 text-muted">No Scheduled Transfers</h4>
+              <p className="text-muted">
+                Schedule a future or recurring payment from the Transfer page.
+              </p>
+            </div>
+          ) : (
+            <div className="table-responsive">
+              <table className="table table-hover align-middle">
+                <thead className="table-light">
+                  <tr>
+                    <th>Recipient</th>
+                    <th>Schedule</th>
+                    <th>Next Payment</th>
+                    <th>Amount</th>
+                    <th>Status</th>
+                    <th className="text-end">Actions</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {filteredTransfers.map((item) => {
+                    const editable = ['active', 'paused'].includes(item.status);
+                    return (
+                      <tr key={item.id}>
+                        <td>
+                          <div className="fw-medium">{item.recipient_name || item.to_account}</div>
+                          <small className="text-muted">
+                            From {accountLabel(item.from_account) || `****${String(item.from_account_number || '').slice(-4)}`}
+                          </small>
+                        </td>
+                        <td>
+                          <small>{describeSchedule(item)}</small>
+                          {item.description && (
+                            <small className="text-muted d-block">{item.description}</small>
+                          )}
+                        </td>
+                        <td>
+                          <small className="text-muted">
+                            {item.status === 'active' && item.next_run_date ? formatScheduleDate(item.next_run_date) : '—'}
+                          </small>
+                        </td>
+                        <td className="fw-bold">{formatCurrency(item.amount)}</td>
+                        <td>
+                          <span className={`badge ${getStatusBadgeClass(item.status)} text-capitalize`}>
+                            {item.status}
+                          </span>
+                        </td>
+                        <td className="text-end">
+                          {editable && (
+                            <div className="btn-group btn-group-sm">
+                              <button
+                                className="btn btn-outline-secondary"
+                                onClick={() => handleTogglePause(item)}
+                                disabled={actionLoading[item.id]}
+                                title={item.status === 'paused' ? 'Resume' : 'Pause'}
+                              >
+                                <i className={`bi ${item.status === 'paused' ? 'bi-play' : 'bi-pause'}`}></i>
+                              </button>
+                              <button
+                                className="btn btn-outline-primary"
+                                onClick={() => setEditing(item)}
+                                title="Edit"
+                              >
+                                <i className="bi bi-pencil"></i>
+                              </button>
+                              <button
+                                className="btn btn-outline-danger"
+                                onClick={() => setCancelTarget(item)}
+                                title="Cancel"
+                              >
+                                <i className="bi bi-x-lg"></i>
+                              </button>
+                            </div>
+                          )}
+                        </td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+      </div>
+
+      {editing && (
+        <ScheduledTransferModal
+          key={editing.id}
+          scheduledTransfer={editing}
+          onSaved={handleSaved}
+          onClose={() => setEditing(null)}
+        />
+      )}
+
+      <ConfirmModal
+        show={Boolean(cancelTarget)}
+        title="Cancel Scheduled Transfer"
+        message={`Stop all future payments of ${formatCurrency(cancelTarget?.amount)} to ${cancelTarget?.recipient_name || cancelTarget?.to_account}?`}
+        detail="Payments that have already been made are not affected."
+        icon="bi-calendar-x"
+        confirmLabel="Cancel Transfer"
+        onConfirm={handleCancel}
+        onCancel={() => setCancelTarget(null)}
+      />
+    </div>
+  );
+}
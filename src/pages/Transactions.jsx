@@ -1,38 +1,190 @@
-import { useState, useEffect } from 'react';
-import { transactionAPI } from '../services/api';
-import LoadingSpinner from '../components/LoadingSpinner';
-import { usePageTitle } from '../hooks/usePageTitle';
+import { useState, useEffect, useRef, useCallback } from 'react';
+import { Link, useSearchParams, useParams, useNavigate, useLocation } from 'react-router-dom';
+import { transactionAPI, accountAPI, referenceAPI } from '../services/api';
+import LoadingSpinner, { ErrorMessage } from '../components/LoadingSpinner';
+import SaveTemplateModal from '../components/SaveTemplateModal';
+import TransactionDetailDrawer from '../components/TransactionDetailDrawer';
+import { usePageTitle, getPageTitle } from '../hooks/usePageTitle';
+import { usePaginatedList } from '../hooks/usePaginatedList';
+import { useTransactionExport } from '../hooks/useTransactionExport';
+import { EXPORT_FORMATS } from '../utils/transactionExport';
+import { formatScheduleDate } from '../utils/schedule';
+import { formatCurrency } from '../utils/helpers';
+import {
+  DATE_PRESETS,
+  FILTER_KEYS,
+  UNCATEGORIZED,
+  readTransactionFilters,
+  toTransactionQuery,
+  countActiveFilters,
+} from '../utils/transactionFilters';
+
+const PAGE_SIZE = 25;
+const DEFAULT_ORDERING = '-created_at';
+const SEARCH_DELAY = 400;
+
+const COLUMNS = [
+  { field: 'created_at', label: 'Date' },
+  { field: 'description', label: 'Description' },
+  { field: 'category', label: 'Category', sortable: false },
+  { field: 'reference_number', label: 'Reference', sortable: false },
+  { field: 'amount', label: 'Amount' },
+  { field: 'status', label: 'Status' },
+];
 
 export default function Transactions() {
-  const [transactions, setTransactions] = useState([]);
-  const [loading, setLoading] = useState(true);
-  const [filter, setFilter] = useState('all');
-  const [searchTerm, setSearchTerm] = useState('');
+  // Filters and sort order live in the URL so they survive reloads and can be shared
+  const [searchParams, setSearchParams] = useSearchParams();
+  // /transactions/:id opens the detail drawer over the list
+  const { id: selectedId } = useParams();
+  const navigate = useNavigate();
+  const location = useLocation();
+  const filters = readTransactionFilters(searchParams);
+  const { search } = filters;
+  const ordering = searchParams.get('ordering') || DEFAULT_ORDERING;
+  const activeFilterCount = countActiveFilters(filters);
+  const [searchTerm, setSearchTerm] = useState(search);
+  const [amountRange, setAmountRange] = useState({ min_amount: filters.min_amount, max_amount: filters.max_amount });
+  const [amountError, setAmountError] = useState('');
+  const [showMoreFilters, setShowMoreFilters] = useState(Boolean(filters.min_amount || filters.max_amount || filters.category || filters.account));
+  const [categories, setCategories] = useState([]);
+  const [accounts, setAccounts] = useState([]);
+  const [templateSource, setTemplateSource] = useState(null);
+  const [templateSaved, setTemplateSaved] = useState('');
+  const sentinelRef = useRef(null);
+  const {
+    exporting,
+    progress: exportProgress,
+    error: exportError,
+    exportTransactions,
+    cancel: cancelExport,
+  } = useTransactionExport();
+
+  const {
+    items: transactions,
+    count,
+    meta,
+    loading,
+    loadingMore,
+    error,
+    hasMore,
+    loadMore,
+    reload,
+    updateItem,
+  } = usePaginatedList(transactionAPI.getTransactions, {
+    page_size: PAGE_SIZE,
+    ordering,
+    ...toTransactionQuery(filters),
+  });
 
   // Set page title
-  usePageTitle('Transaction History');
+  usePageTitle(getPageTitle(selectedId ? 'transaction-details' : 'transactions'));
+
+  const updateParams = useCallback((updates) => {
+    setSearchParams((prev) => {
+      const next = new URLSearchParams(prev);
+      Object.entries(updates).forEach(([key, value]) => {
+        if (value) next.set(key, value);
+        else next.delete(key);
+      });
+      return next;
+    }, { replace: true });
+  }, [setSearchParams]);
 
   useEffect(() => {
-    fetchTransactions();
+    fetchFilterOptions();
   }, []);
 
-  const fetchTransactions = async () => {
+  const fetchFilterOptions = async () => {
     try {
-      const response = await transactionAPI.getTransactions();
-      setTransactions(response.data.results || response.data);
+      const [categoriesRes, accountsRes] = await Promise.all([
+        referenceAPI.getTransactionCategories(),
+        accountAPI.getAccounts(),
+      ]);
+      setCategories(categoriesRes.data.results || categoriesRes.data);
+      setAccounts(accountsRes.data.results || accountsRes.data);
     } catch (error) {
-      console.error('Error fetching transactions:', error);
-    } finally {
-      setLoading(false);
+      console.error('Error fetching filter options:', error);
     }
   };
 
-  const formatCurrency = (amount) => {
-    return new Intl.NumberFormat('en-NG', {
-      style: 'currency',
-      currency: 'NGN',
-      minimumFractionDigits: 2
-    }).format(amount || 0).replace('NGN', '₦');
+  // Only send the search to the server once the user pauses typing
+  useEffect(() => {
+    if (searchTerm.trim() === search) return undefined;
+    const timer = setTimeout(() => updateParams({ search: searchTerm.trim() }), SEARCH_DELAY);
+    return () => clearTimeout(timer);
+  }, [searchTerm, search, updateParams]);
+
+  // Load the next page as the end of the list scrolls into view
+  useEffect(() => {
+    const sentinel = sentinelRef.current;
+    if (!sentinel || !hasMore || typeof IntersectionObserver === 'undefined') return undefined;
+
+    const observer = new IntersectionObserver((entries) => {
+      if (entries[0].isIntersecting) loadMore();
+    }, { rootMargin: '200px' });
+    observer.observe(sentinel);
+    return () => observer.disconnect();
+  }, [hasMore, loadMore]);
+
+  const handlePeriodChange = (e) => {
+    const period = e.target.value;
+    // Presets are resolved when the list loads, so only a custom range keeps dates in the URL
+    updateParams({ period: period === 'all' ? '' : period, date_from: '', date_to: '' });
+  };
+
+  const handleAmountSubmit = (e) => {
+    e.preventDefault();
+    const min = parseFloat(amountRange.min_amount);
+    const max = parseFloat(amountRange.max_amount);
+    if (min < 0 || max < 0) {
+      setAmountError('Amounts cannot be negative.');
+      return;
+    }
+    if (min && max && min > max) {
+      setAmountError('The minimum amount is more than the maximum.');
+      return;
+    }
+    setAmountError('');
+    updateParams({ min_amount: amountRange.min_amount, max_amount: amountRange.max_amount });
+  };
+
+  const clearFilters = () => {
+    setSearchTerm('');
+    setAmountRange({ min_amount: '', max_amount: '' });
+    setAmountError('');
+    updateParams(Object.fromEntries(FILTER_KEYS.map(key => [key, ''])));
+  };
+
+  // Exports cover everything matching the current filters, not just the pages loaded so far
+  const handleExport = (format) => {
+    const account = accounts.find(item => String(item.id) === filters.account);
+    const period = filters.period === 'custom'
+      ? [filters.date_from, filters.date_to].map(date => (date ? formatScheduleDate(date) : '…')).join(' – ')
+      : DATE_PRESETS.find(preset => preset.value === filters.period).label;
+    exportTransactions(format, toTransactionQuery(filters), {
+      period,
+      accountLabel: account ? `${account.account_type_name} - ****${account.account_number.slice(-4)}` : 'All accounts',
+    });
+  };
+
+  const openTransaction = (transaction) => {
+    navigate({ pathname: `/transactions/${transaction.id}`, search: location.search });
+  };
+
+  const closeTransaction = useCallback(() => {
+    navigate({ pathname: '/transactions', search: location.search });
+  }, [navigate, location.search]);
+
+  const handleSort = (field) => {
+    const nextOrdering = ordering === `-${field}` ? field : `-${field}`;
+    updateParams({ ordering: nextOrdering === DEFAULT_ORDERING ? '' : nextOrdering });
+  };
+
+  const sortIcon = (field) => {
+    if (ordering === field) return 'bi-sort-up';
+    if (ordering === `-${field}`) return 'bi-sort-down';
+    return 'bi-arrow-down-up text-muted opacity-50';
   };
 
   const formatDate = (dateString) => {
@@ -45,30 +197,89 @@ export default function Transactions() {
     });
   };
 
-  const filteredTransactions = transactions.filter(transaction => {
-    const matchesFilter = filter === 'all' || transaction.transaction_type.toLowerCase() === filter;
-    const matchesSearch = transaction.description.toLowerCase().includes(searchTerm.toLowerCase()) ||
-                         transaction.reference_number.toLowerCase().includes(searchTerm.toLowerCase());
-    return matchesFilter && matchesSearch;
-  });
+  const handleTemplateSaved = (template) => {
+    setTemplateSource(null);
+    setTemplateSaved(template.name);
+  };
 
-  if (loading) {
-    return <LoadingSpinner />;
-  }
+  // Totals cover every matching transaction when the server reports them, otherwise just the loaded pages
+  const sumLoaded = (type) => transactions
+    .filter(t => t.transaction_type === type)
+    .reduce((sum, t) => sum + parseFloat(t.amount), 0);
+  const totalCredits = meta.total_credits ?? sumLoaded('CREDIT');
+  const totalDebits = meta.total_debits ?? sumLoaded('DEBIT');
 
   return (
     <div className="container-fluid">
       <div className="d-flex justify-content-between align-items-center mb-4">
         <h1 className="h2 fw-bold text-dark mb-0">Transaction History</h1>
-        <button className="btn btn-banking">
-          <i className="bi bi-download me-2"></i>
-          Export
-        </button>
+        <div className="dropdown">
+          <button
+            className="btn btn-banking dropdown-toggle"
+            type="button"
+            data-bs-toggle="dropdown"
+            aria-expanded="false"
+            disabled={Boolean(exporting) || count === 0}
+          >
+            <i className="bi bi-download me-2"></i>
+            Export
+          </button>
+          <ul className="dropdown-menu dropdown-menu-end">
+            {EXPORT_FORMATS.map((format) => (
+              <li key={format.id}>
+                <button type="button" className="dropdown-item" onClick={() => handleExport(format.id)}>
+                  <i className={`bi ${format.icon} me-2`}></i>
+                  {format.label}
+                  <small className="d-block text-muted">{format.hint}</small>
+                </button>
+              </li>
+            ))}
+          </ul>
+        </div>
       </div>
 
+      {exporting && (
+        <div className="alert alert-info d-flex align-items-center" role="status">
+          <span className="spinner-border spinner-border-sm me-3" aria-hidden="true"></span>
+          <div className="flex-grow-1">
+            Preparing your {EXPORT_FORMATS.find(format => format.id === exporting).label} export...
+            {exportProgress.total > 0 && (
+              <div className="progress mt-2" style={{ height: '0.375rem' }}>
+                <div
+                  className="progress-bar"
+                  style={{ width: `${Math.round((exportProgress.loaded / exportProgress.total) * 100)}%` }}
+                ></div>
+              </div>
+            )}
+            <small className="text-muted">
+              {exportProgress.loaded} of {exportProgress.total || count} transactions
+            </small>
+          </div>
+          <button type="button" className="btn btn-outline-secondary btn-sm ms-3" onClick={cancelExport}>
+            Cancel
+          </button>
+        </div>
+      )}
+
+      {exportError && (
+        <div className="alert alert-danger" role="alert">
+          <i className="bi bi-exclamation-triangle me-2"></i>
+          {exportError}
+        </div>
+      )}
+
+      {templateSaved && (
+        <div className="alert alert-success alert-dismissible" role="alert">
+          <i className="bi bi-check-circle me-2"></i>
+          Template "{templateSaved}" saved. Find it under Quick Transfers on the{' '}
+          <Link to="/transfer" className="alert-link">Transfer</Link> page.
+          <button type="button" className="btn-close" onClick={() => setTemplateSaved('')}></button>
+        </div>
+      )}
+
       {/* Filters */}
       <div className="row g-3 mb-4">
-        <div className="col-md-6">
+        <div className="col-md-5">
           <div className="input-group">
             <span className="input-group-text">
               <i className="bi bi-search"></i>
@@ -76,17 +287,17 @@ export default function Transactions() {
             <input
               type="text"
               className="form-control"
-              placeholder="Search transactions..."
+              placeholder="Search description, reference, notes or tags..."
               value={searchTerm}
               onChange={(e) => setSearchTerm(e.target.value)}
             />
           </div>
         </div>
-        <div className="col-md-3">
+        <div className="col-md-2">
           <select 
             className="form-select"
-            value={filter}
-            onChange={(e) => setFilter(e.target.value)}
+            value={filters.type || 'all'}
+            onChange={(e) => updateParams({ type: e.target.value === 'all' ? '' : e.target.value })}
           >
             <option value="all">All Transactions</option>
             <option value="credit">Credits Only</option>
@@ -94,13 +305,132 @@ export default function Transactions() {
           </select>
         </div>
         <div className="col-md-3">
-          <select className="form-select">
-            <option value="all">All Time</option>
-            <option value="today">Today</option>
-            <option value="week">This Week</option>
-            <option value="month">This Month</option>
+          <select className="form-select" value={filters.period} onChange={handlePeriodChange} aria-label="Date range">
+            {DATE_PRESETS.map((preset) => (
+              <option key={preset.value} value={preset.value}>{preset.label}</option>
+            ))}
           </select>
         </div>
+        <div className="col-md-2 d-grid">
+          <button
+            type="button"
+            className={`btn ${showMoreFilters ? 'btn-primary' : 'btn-outline-primary'}`}
+            onClick={() => setShowMoreFilters(!showMoreFilters)}
+            aria-expanded={showMoreFilters}
+          >
+            <i className="bi bi-funnel me-2"></i>
+            Filters
+            {activeFilterCount > 0 && (
+              <span className="badge bg-light text-primary ms-2">{activeFilterCount}</span>
+            )}
+          </button>
+        </div>
+
+        {filters.period === 'custom' && (
+          <>
+            <div className="col-md-3">
+              <label htmlFor="date_from" className="form-label small text-muted mb-1">From</label>
+              <input
+                type="date"
+                id="date_from"
+                className="form-control"
+                value={filters.date_from}
+                max={filters.date_to || undefined}
+                onChange={(e) => updateParams({ date_from: e.target.value })}
+              />
+            </div>
+            <div className="col-md-3">
+              <label htmlFor="date_to" className="form-label small text-muted mb-1">To</label>
+              <input
+                type="date"
+                id="date_to"
+                className="form-control"
+                value={filters.date_to}
+                min={filters.date_from || undefined}
+                onChange={(e) => updateParams({ date_to: e.target.value })}
+              />
+            </div>
+          </>
+        )}
+
+        {showMoreFilters && (
+          <div className="col-12">
+            <div className="card card-banking">
+              <div className="card-body">
+                <div className="row g-3 align-items-end">
+                  <form className="col-md-6" onSubmit={handleAmountSubmit}>
+                    <label htmlFor="min_amount" className="form-label small text-muted mb-1">Amount</label>
+                    <div className="input-group has-validation">
+                      <input
+                        type="number"
+                        id="min_amount"
+                        className={`form-control ${amountError ? 'is-invalid' : ''}`}
+                        placeholder="Min"
+                        min="0"
+                        step="0.01"
+                        value={amountRange.min_amount}
+                        onChange={(e) => setAmountRange({ ...amountRange, min_amount: e.target.value })}
+                      />
+                      <span className="input-group-text">to</span>
+                      <input
+                        type="number"
+                        className={`form-control ${amountError ? 'is-invalid' : ''}`}
+                        placeholder="Max"
+                        min="0"
+                        step="0.01"
+                        aria-label="Maximum amount"
+                        value={amountRange.max_amount}
+                        onChange={(e) => setAmountRange({ ...amountRange, max_amount: e.target.value })}
+                      />
+                      <button type="submit" className="btn btn-outline-primary">Apply</button>
+                      {amountError && <div className="invalid-feedback">{amountError}</div>}
+                    </div>
+                  </form>
+                  <div className="col-md-3">
+                    <label htmlFor="category" className="form-label small text-muted mb-1">Category</label>
+                    <select
+                      id="category"
+                      className="form-select"
+                      value={filters.category}
+                      onChange={(e) => updateParams({ category: e.target.value })}
+                    >
+                      <option value="">All Categories</option>
+                      {categories.map((category) => (
+                        <option key={category.id} value={category.id}>{category.name}</option>
+                      ))}
+                      <option value={UNCATEGORIZED}>Uncategorized</option>
+                    </select>
+                  </div>
+                  <div className="col-md-3">
+                    <label htmlFor="account" className="form-label small text-muted mb-1">Account</label>
+                    <select
+                      id="account"
+                      className="form-select"
+                      value={filters.account}
+                      onChange={(e) => updateParams({ account: e.target.value })}
+                    >
+                      <option value="">All Accounts</option>
+                      {accounts.map((account) => (
+                        <option key={account.id} value={account.id}>
+                          {account.account_type_name} - ****{account.account_number.slice(-4)}
+                        </option>
+                      ))}
+                    </select>
+                  </div>
+                </div>
+              </div>
+            </div>
+          </div>
+        )}
+
+        {activeFilterCount > 0 && (
+          <div className="col-12">
+            <button type="button" className="btn btn-link btn-sm p-0" onClick={clearFilters}>
+              <i className="bi bi-x-circle me-1"></i>
+              Clear all filters
+            </button>
+          </div>
+        )}
       </div>
 
       {/* Transaction Stats */}
@@ -113,11 +443,7 @@ export default function Transactions() {
               </div>
               <h5 className="card-title">Total Credits</h5>
               <p className="card-text fs-4 fw-bold text-success">
-                {formatCurrency(
-                  filteredTransactions
-                    .filter(t => t.transaction_type === 'CREDIT')
-                    .reduce((sum, t) => sum + parseFloat(t.amount), 0)
-                )}
+                {formatCurrency(totalCredits)}
               </p>
             </div>
           </div>
@@ -130,11 +456,7 @@ export default function Transactions() {
               </div>
               <h5 className="card-title">Total Debits</h5>
               <p className="card-text fs-4 fw-bold text-danger">
-                {formatCurrency(
-                  filteredTransactions
-                    .filter(t => t.transaction_type === 'DEBIT')
-                    .reduce((sum, t) => sum + parseFloat(t.amount), 0)
-                )}
+                {formatCurrency(totalDebits)}
               </p>
             </div>
           </div>
@@ -147,7 +469,7 @@ export default function Transactions() {
               </div>
               <h5 className="card-title">Total Transactions</h5>
               <p className="card-text fs-4 fw-bold text-info">
-                {filteredTransactions.length}
+                {count}
               </p>
             </div>
           </div>
@@ -157,7 +479,11 @@ export default function Transactions() {
       {/* Transactions List */}
       <div className="card card-banking">
         <div className="card-body">
-          {filteredTransactions.length === 0 ? (
+          {loading ? (
+            <LoadingSpinner fullScreen={false} text="Loading transactions..." />
+          ) : error && transactions.length === 0 ? (
+            <ErrorMessage message={error} onRetry={reload} />
+          ) : transactions.length === 0 ? (
             <div className="text-center py-5">
               <i className="bi bi-receipt text-muted" style={{ fontSize: '3rem' }}></i>
               <h4 className="mt-3 text-muted">No Transactions Found</h4>
@@ -168,17 +494,34 @@ export default function Transactions() {
               <table className="table table-hover">
                 <thead className="table-light">
                   <tr>
-                    <th>Date</th>
-                    <th>Description</th>
-                    <th>Category</th>
-                    <th>Reference</th>
-                    <th>Amount</th>
-                    <th>Status</th>
+                    {COLUMNS.map(({ field, label, sortable = true }) => (
+                      <th
+                        key={field}
+                        aria-sort={ordering === field ? 'ascending' : ordering === `-${field}` ? 'descending' : undefined}
+                      >
+                        {sortable ? (
+                          <button
+                            type="button"
+                            className="btn btn-link p-0 fw-semibold text-dark text-decoration-none"
+                            onClick={() => handleSort(field)}
+                          >
+                            {label}
+                            <i className={`bi ${sortIcon(field)} ms-1 small`}></i>
+                          </button>
+                        ) : label}
+                      </th>
+                    ))}
+                    <th></th>
                   </tr>
                 </thead>
                 <tbody>
-                  {filteredTransactions.map((transaction) => (
-                    <tr key={transaction.id}>
+                  {transactions.map((transaction) => (
+                    <tr
+                      key={transaction.id}
+                      className={String(transaction.id) === selectedId ? 'table-active' : ''}
+                      style={{ cursor: 'pointer' }}
+                      onClick={() => openTransaction(transaction)}
+                    >
                       <td>
                         <small className="text-muted">
                           {formatDate(transaction.created_at)}
@@ -200,6 +543,25 @@ export default function Transactions() {
                           <div>
                             <div className="fw-medium">{transaction.description}</div>
                             <small className="text-muted">Account: ****{transaction.account_number?.slice(-4) || '0000'}</small>
+                            {(transaction.tags?.length > 0 || transaction.notes || transaction.attachments?.length > 0) && (
+                              <div className="d-flex flex-wrap align-items-center gap-1 mt-1">
+                                {transaction.tags?.map((tag) => (
+                                  <button
+                                    key={tag}
+                                    type="button"
+                                    className="badge rounded-pill bg-primary bg-opacity-10 text-primary border-0"
+                                    onClick={(e) => { e.stopPropagation(); setSearchTerm(tag); }}
+                                    title={`Show transactions tagged #${tag}`}
+                                  >
+                                    #{tag}
+                                  </button>
+                                ))}
+                                {transaction.notes && <i className="bi bi-sticky text-muted small" title="Has a note"></i>}
+                                {transaction.attachments?.length > 0 && (
+                                  <i className="bi bi-paperclip text-muted small" title="Has attachments"></i>
+                                )}
+                              </div>
+                            )}
                           </div>
                         </div>
                       </td>
@@ -234,14 +596,64 @@ export default function Transactions() {
                           {transaction.status}
                         </span>
                       </td>
+                      <td className="text-end">
+                        {transaction.transaction_type === 'DEBIT' && transaction.status === 'COMPLETED' && (
+                          <button
+                            className="btn btn-link btn-sm text-muted p-0"
+                            onClick={(e) => { e.stopPropagation(); setTemplateSource(transaction); }}
+                            title="Save as template"
+                          >
+                            <i className="bi bi-bookmark-plus"></i>
+                          </button>
+                        )}
+                      </td>
                     </tr>
                   ))}
                 </tbody>
               </table>
+
+              <div ref={sentinelRef} className="text-center small text-muted py-2">
+                {error ? (
+                  <span className="text-danger">
+                    {error}{' '}
+                    <button type="button" className="btn btn-link btn-sm p-0 align-baseline" onClick={loadMore}>
+                      Retry
+                    </button>
+                  </span>
+                ) : loadingMore ? (
+                  <>
+                    <span className="spinner-border spinner-border-sm me-2" role="status" aria-hidden="true"></span>
+                    Loading more...
+                  </>
+                ) : hasMore ? (
+                  <button type="button" className="btn btn-outline-primary btn-sm" onClick={loadMore}>
+                    Load more
+                  </button>
+                ) : (
+                  `Showing all ${count} transactions`
+                )}
+              </div>
             </div>
           )}
         </div>
       </div>
+
+      {selectedId && (
+        <TransactionDetailDrawer
+          key={selectedId}
+          transactionId={selectedId}
+          onClose={closeTransaction}
+          onUpdated={updateItem}
+        />
+      )}
+
+      {templateSource && (
+        <SaveTemplateModal
+          transaction={templateSource}
+          onSaved={handleTemplateSaved}
+          onClose={() => setTemplateSource(null)}
+        />
+      )}
     </div>
   );
 }
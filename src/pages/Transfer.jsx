@@ -1,26 +1,113 @@
 import { useState, useEffect } from 'react';
-import { accountAPI, transactionAPI } from '../services/api';
-import { usePageTitle } from '../hooks/usePageTitle';
+import { Link, useLocation, useSearchParams } from 'react-router-dom';
+import { accountAPI, transactionAPI, createIdempotencyKey, isUncertainFailure } from '../services/api';
+import { usePageTitle, getPageTitle } from '../hooks/usePageTitle';
+import { useBanks } from '../hooks/useBanks';
+import { useAccountNameLookup } from '../hooks/useAccountNameLookup';
+import { useTransferLimits } from '../hooks/useTransferLimits';
 import { formatCurrency } from '../utils/helpers';
+import { createDefaultSchedule, validateSchedule, toSchedulePayload, describeSchedule } from '../utils/schedule';
+import { findRecentDuplicate, recordRecentTransfer, forgetRecentTransfer, canReuseAttemptKey } from '../utils/recentTransfers';
+import { estimateTransferFee, getLimitError } from '../utils/transferLimits';
 import { CURRENCY_CONFIG } from '../config/environment';
-import LoadingSpinner, { ErrorMessage } from '../components/LoadingSpinner';
+import ConfirmModal from '../components/ConfirmModal';
+import BeneficiaryPicker from '../components/BeneficiaryPicker';
+import BeneficiaryFormModal from '../components/BeneficiaryFormModal';
+import TransferReceipt from '../components/TransferReceipt';
+import ScheduleFields from '../components/ScheduleFields';
+import QuickTransfers from '../components/QuickTransfers';
+import TransferLimitsCard from '../components/TransferLimitsCard';
+import BulkTransfer from '../components/BulkTransfer';
+
+const MODES = [
+  { id: 'single', label: 'Single Transfer', icon: 'bi-send' },
+  { id: 'bulk', label: 'Bulk Payment', icon: 'bi-people' },
+];
+
+const STEPS = [
+  { id: 'details', label: 'Details' },
+  { id: 'review', label: 'Review' },
+  { id: 'confirm', label: 'Confirm' },
+  { id: 'result', label: 'Done' },
+];
+
+const EMPTY_TRANSFER = {
+  from_account: '',
+  to_account: '',
+  bank_code: '',
+  amount: '',
+  description: '',
+  transfer_type: 'internal'
+};
+
+// How often, and how many times, to ask the server about a transfer whose response never arrived
+const STATUS_CHECK_INTERVAL = 3000;
+const STATUS_CHECK_ATTEMPTS = 4;
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const minutesAgo = (timestamp) => Math.max(1, Math.round((Date.now() - timestamp) / 60000));
+
+const accountLabel = (account) => `${account.account_type_name} - ****${account.account_number.slice(-4)}`;
+
+const getTransferErrorMessage = (error, fallback) => (
+  (error.challengeCancelled && 'Transfer cancelled: verification was not completed.') ||
+  error.response?.data?.detail ||
+  error.response?.data?.non_field_errors?.[0] ||
+  error.response?.data?.amount?.[0] ||
+  error.response?.data?.from_account?.[0] ||
+  error.response?.data?.to_account?.[0] ||
+  error.message ||
+  fallback
+);
 
 export default function Transfer() {
+  const location = useLocation();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const mode = searchParams.get('mode') === 'bulk' ? 'bulk' : 'single';
+  // "Send money" from the Beneficiaries page pre-selects the recipient
+  const presetBeneficiary = location.state?.beneficiary;
   const [accounts, setAccounts] = useState([]);
   const [transferData, setTransferData] = useState({
-    from_account: '',
-    to_account: '',
-    amount: '',
-    description: '',
-    transfer_type: 'internal'
+    ...EMPTY_TRANSFER,
+    // "Transfer from" on an account's page pre-selects the source account
+    from_account: location.state?.fromAccount ? String(location.state.fromAccount) : '',
+    to_account: presetBeneficiary?.account_number || '',
+    transfer_type: presetBeneficiary ? 'beneficiary' : 'internal'
   });
+  const [selectedBeneficiary, setSelectedBeneficiary] = useState(presetBeneficiary || null);
+  // null sends the transfer now; otherwise it becomes a standing order
+  const [schedule, setSchedule] = useState(location.state?.schedule ? createDefaultSchedule() : null);
+  const [step, setStep] = useState('details');
+  const [preview, setPreview] = useState(null);
+  const [pin, setPin] = useState('');
+  // One key per reviewed transfer, reused for every submit attempt so the server applies it once
+  const [idempotencyKey, setIdempotencyKey] = useState('');
+  const [duplicate, setDuplicate] = useState(null);
+  const [receipt, setReceipt] = useState(null);
+  const [saveRecipient, setSaveRecipient] = useState(null);
+  const [showSaveRecipient, setShowSaveRecipient] = useState(false);
+  const [recipientSaved, setRecipientSaved] = useState('');
   const [loading, setLoading] = useState(false);
   const [accountsLoading, setAccountsLoading] = useState(true);
-  const [success, setSuccess] = useState('');
   const [error, setError] = useState('');
 
+  const { banks, loading: banksLoading, error: banksError } = useBanks();
+  const lookup = useAccountNameLookup(transferData.to_account, transferData.bank_code, {
+    enabled: transferData.transfer_type === 'external',
+  });
+  const {
+    limits,
+    feeSchedule,
+    loading: limitsLoading,
+    error: limitsError,
+    refresh: refreshLimits,
+  } = useTransferLimits();
+
   // Set page title
-  usePageTitle('Transfer Money');
+  usePageTitle(receipt
+    ? getPageTitle(`transfer-${receipt.status}`)
+    : getPageTitle('transfer'));
 
   useEffect(() => {
     fetchAccounts();
@@ -41,17 +128,143 @@ export default function Transfer() {
   };
 
   const handleChange = (e) => {
+    const { name, value } = e.target;
+    // Each transfer type identifies the recipient differently, so start over
+    if (name === 'transfer_type') {
+      setSelectedBeneficiary(null);
+      setTransferData({ ...transferData, transfer_type: value, to_account: '', bank_code: '' });
+      return;
+    }
     setTransferData({
       ...transferData,
+      [name]: name === 'to_account' && transferData.transfer_type === 'external' ? value.replace(/\D/g, '') : value
+    });
+  };
+
+  const handleScheduleChange = (e) => {
+    setSchedule({
+      ...schedule,
       [e.target.name]: e.target.value
     });
   };
 
-  const handleSubmit = async (e) => {
-    e.preventDefault();
+  const handleBeneficiarySelect = (beneficiary) => {
+    setSelectedBeneficiary(beneficiary);
+    setTransferData({
+      ...transferData,
+      to_account: beneficiary?.account_number || ''
+    });
+  };
+
+  const handleRecipientSaved = (beneficiary) => {
+    setShowSaveRecipient(false);
+    setSaveRecipient(null);
+    setRecipientSaved(`${beneficiary.nickname || beneficiary.account_name} has been saved to your beneficiaries.`);
+  };
+
+  const selectMode = (modeId) => {
+    setSearchParams(modeId === 'single' ? {} : { mode: modeId }, { replace: true });
+  };
+
+  // Quick transfers always land in the single transfer form
+  const resetTransfer = (overrides = {}) => {
+    if (mode !== 'single') selectMode('single');
+    setTransferData({ ...EMPTY_TRANSFER, ...overrides });
+    setSelectedBeneficiary(null);
+    setSchedule(null);
+    setPreview(null);
+    setPin('');
+    setIdempotencyKey('');
+    setDuplicate(null);
+    setReceipt(null);
+    setSaveRecipient(null);
+    setRecipientSaved('');
+    setError('');
+    setStep('details');
+  };
+
+  const startScheduledTransfer = () => {
+    if (step !== 'details' || mode !== 'single') resetTransfer();
+    setSchedule(createDefaultSchedule());
+  };
+
+  // Templates and "repeat last" share one shape, so both just pre-fill the form
+  const applyTemplate = (template) => {
+    resetTransfer({
+      from_account: template.from_account ? String(template.from_account) : '',
+      to_account: template.to_account ? String(template.to_account) : '',
+      bank_code: template.bank_code || '',
+      amount: template.amount ? String(template.amount) : '',
+      description: template.description || '',
+      transfer_type: template.transfer_type || 'internal',
+    });
+    if (template.transfer_type === 'beneficiary' && template.beneficiary) {
+      setSelectedBeneficiary(template.beneficiary);
+    }
+  };
+
+  const selectedFromAccount = accounts.find(acc => acc.id.toString() === transferData.from_account);
+  const selectedToAccount = accounts.find(acc => acc.id.toString() === transferData.to_account);
+
+  const buildPayload = () => {
+    const payload = {
+      from_account: transferData.from_account,
+      to_account: transferData.to_account,
+      amount: parseFloat(transferData.amount),
+      description: transferData.description,
+      transfer_type: transferData.transfer_type
+    };
+    if (transferData.transfer_type === 'beneficiary' && selectedBeneficiary) {
+      payload.beneficiary = selectedBeneficiary.id;
+      payload.bank_code = selectedBeneficiary.bank_code;
+    }
+    if (transferData.transfer_type === 'external') {
+      payload.bank_code = transferData.bank_code;
+      payload.account_name = lookup.accountName;
+    }
+    return payload;
+  };
+
+  // What the user is about to send, as shown on the review screen and the receipt
+  const getSummary = () => {
+    const amount = parseFloat(transferData.amount);
+    const fee = parseFloat(preview?.fee || 0);
+    const vat = parseFloat(preview?.vat || 0);
+    const summary = {
+      from_label: selectedFromAccount ? accountLabel(selectedFromAccount) : '',
+      recipient_account: transferData.to_account,
+      amount,
+      fee,
+      vat,
+      total: parseFloat(preview?.total_amount ?? amount + fee + vat),
+      description: transferData.description,
+      schedule_label: schedule ? describeSchedule(schedule) : '',
+    };
+
+    if (transferData.transfer_type === 'internal') {
+      return {
+        ...summary,
+        recipient_name: selectedToAccount ? accountLabel(selectedToAccount) : '',
+        recipient_account: selectedToAccount?.account_number,
+      };
+    }
+    if (transferData.transfer_type === 'beneficiary' && selectedBeneficiary) {
+      return {
+        ...summary,
+        recipient_name: selectedBeneficiary.account_name,
+        bank_name: selectedBeneficiary.bank_name,
+      };
+    }
+    return {
+      ...summary,
+      recipient_name: lookup.accountName || preview?.recipient_name,
+      bank_name: banks.find(bank => bank.code === transferData.bank_code)?.name || preview?.bank_name,
+    };
+  };
+
+  const reviewTransfer = async ({ allowDuplicate = false } = {}) => {
     setLoading(true);
     setError('');
-    setSuccess('');
 
     try {
       // Validate form data
@@ -63,52 +276,213 @@ export default function Transfer() {
         throw new Error('Transfer amount must be greater than 0');
       }
 
-      if (selectedFromAccount && parseFloat(transferData.amount) > parseFloat(selectedFromAccount.available_balance || selectedFromAccount.balance)) {
+      // Today's usage doesn't apply to a transfer that runs on a later day
+      const limitError = getLimitError(transferData.amount, limits, { daily: !schedule });
+      if (limitError) {
+        throw new Error(limitError);
+      }
+
+      // Standing orders are checked against the balance on the day they run
+      if (!schedule && selectedFromAccount && parseFloat(transferData.amount) > parseFloat(selectedFromAccount.available_balance || selectedFromAccount.balance)) {
         throw new Error('Insufficient funds for this transfer');
       }
 
-      // Prepare transfer data for API
-      const transferPayload = {
-        from_account: transferData.from_account,
-        to_account: transferData.to_account,
-        amount: parseFloat(transferData.amount),
-        description: transferData.description,
-        transfer_type: transferData.transfer_type
-      };
+      // Only send money to an account whose holder we've shown the user
+      if (transferData.transfer_type === 'external' && lookup.status !== 'resolved') {
+        throw new Error(lookup.status === 'loading'
+          ? 'Please wait while we verify the recipient account.'
+          : lookup.error || 'Select the bank and enter the recipient\'s 10-digit account number.');
+      }
+
+      const scheduleError = schedule && validateSchedule(schedule);
+      if (scheduleError) {
+        throw new Error(scheduleError);
+      }
+
+      const payload = buildPayload();
+
+      // Catch the same payment being sent twice in quick succession
+      const earlier = schedule ? null : await findRecentDuplicate(payload);
+      if (earlier && !allowDuplicate) {
+        setDuplicate({ ...earlier, sameRequest: canReuseAttemptKey(earlier, payload) });
+        return;
+      }
+
+      // The server works out fees and resolves the recipient before anything is sent
+      const response = await transactionAPI.previewTransfer(payload);
+      setPreview(response.data);
+      // An attempt whose outcome is still unknown keeps its key, so sending it again can't pay twice
+      setIdempotencyKey(canReuseAttemptKey(earlier, payload) ? earlier.idempotency_key : createIdempotencyKey());
+      setStep('review');
+    } catch (error) {
+      console.error('Transfer preview error:', error);
+      setError(getTransferErrorMessage(error, 'Could not prepare this transfer. Please try again.'));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleReview = (e) => {
+    e.preventDefault();
+    reviewTransfer();
+  };
+
+  const handleDuplicateConfirm = async () => {
+    setDuplicate(null);
+    await reviewTransfer({ allowDuplicate: true });
+  };
+
+  // Poll the transfer's status by its idempotency key until it settles or we give up
+  const checkTransferStatus = async () => {
+    let result = null;
+    for (let attempt = 0; attempt < STATUS_CHECK_ATTEMPTS; attempt++) {
+      if (attempt > 0) await wait(STATUS_CHECK_INTERVAL);
+      try {
+        const response = await transactionAPI.getTransferStatus(idempotencyKey);
+        result = response.data;
+      } catch (error) {
+        if (error.response?.status === 404) return { status: 'not_found' };
+        console.error('Error checking transfer status:', error);
+        continue;
+      }
+      if (result.status !== 'pending') return result;
+    }
+    return result;
+  };
+
+  const handleConfirm = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    setError('');
+
+    const summary = getSummary();
+
+    try {
+      // The server may also ask for a one-time code, which OtpChallengeModal collects
+      const response = schedule
+        ? await transactionAPI.createScheduledTransfer({
+          ...buildPayload(),
+          ...toSchedulePayload(schedule),
+          transaction_pin: pin,
+        }, { idempotencyKey })
+        : await transactionAPI.transfer({ ...buildPayload(), transaction_pin: pin }, { idempotencyKey });
 
-      // Call transfer API
-      const response = await transactionAPI.transfer(transferPayload);
-      
-      setSuccess(`Transfer completed successfully! Reference: ${response.data.reference_number || 'N/A'}`);
-      
-      // Reset form
-      setTransferData({
-        from_account: '',
-        to_account: '',
-        amount: '',
-        description: '',
-        transfer_type: 'internal'
+      setReceipt({
+        ...summary,
+        status: schedule ? 'scheduled' : 'success',
+        reference_number: response.data.reference_number,
+        timestamp: response.data.created_at || new Date().toISOString(),
+        fee: response.data.fee ?? summary.fee,
+        vat: response.data.vat ?? summary.vat,
+        total: response.data.total_amount ?? summary.total,
       });
-      
-      // Refresh accounts data
+      if (!schedule) {
+        recordRecentTransfer({ ...buildPayload(), recipient_name: summary.recipient_name, idempotency_key: idempotencyKey });
+      }
+
+      // Offer to keep one-off external recipients for next time
+      setSaveRecipient(transferData.transfer_type === 'external'
+        ? { account_number: transferData.to_account, bank_code: transferData.bank_code }
+        : null);
+
+      // Refresh balances and today's limit usage
       fetchAccounts();
-      
+      refreshLimits();
+      setStep('result');
     } catch (error) {
       console.error('Transfer error:', error);
-      const errorMessage = error.response?.data?.detail || 
-                          error.response?.data?.non_field_errors?.[0] ||
-                          error.response?.data?.amount?.[0] ||
-                          error.response?.data?.from_account?.[0] ||
-                          error.response?.data?.to_account?.[0] ||
-                          error.message ||
-                          'Transfer failed. Please try again.';
-      setError(errorMessage);
+      setPin('');
+
+      // A wrong PIN or an abandoned OTP prompt can be retried without starting over
+      if (error.challengeCancelled || error.response?.data?.transaction_pin) {
+        setError(error.response?.data?.transaction_pin?.[0] || getTransferErrorMessage(error));
+        return;
+      }
+
+      // No response means the transfer may still have gone through, so ask before calling it failed
+      if (isUncertainFailure(error)) {
+        // Until the server answers, treat it as sent so editing and re-reviewing can't slip past the duplicate check
+        if (!schedule) {
+          await recordRecentTransfer(
+            { ...buildPayload(), recipient_name: summary.recipient_name, idempotency_key: idempotencyKey },
+            { unconfirmed: true }
+          );
+        }
+        await reconcileTransfer(summary);
+        return;
+      }
+
+      // The server rejected it, so an earlier unconfirmed attempt under this key never went through.
+      // A 409 means that attempt is still being processed, so it stays on record.
+      if (error.response?.status !== 409) {
+        forgetRecentTransfer(idempotencyKey);
+      }
+
+      setReceipt({
+        ...summary,
+        status: 'failed',
+        reference_number: error.response?.data?.reference_number,
+        timestamp: new Date().toISOString(),
+        failure_reason: getTransferErrorMessage(error, 'Transfer failed. Please try again.'),
+      });
+      setStep('result');
     } finally {
       setLoading(false);
     }
   };
 
-  const selectedFromAccount = accounts.find(acc => acc.id.toString() === transferData.from_account);
+  const reconcileTransfer = async (summary) => {
+    const result = schedule ? null : await checkTransferStatus();
+
+    if (!result) {
+      // Resubmitting reuses the idempotency key, so the server won't apply it twice
+      setError("We couldn't confirm whether this transfer went through. Check your transactions, or submit again: it won't be sent twice.");
+      return;
+    }
+    if (result.status === 'not_found') {
+      forgetRecentTransfer(idempotencyKey);
+      setError('The connection dropped before your transfer reached us. Nothing was sent, so it is safe to try again.');
+      return;
+    }
+
+    const settled = {
+      ...summary,
+      reference_number: result.reference_number,
+      timestamp: result.created_at || new Date().toISOString(),
+      fee: result.fee ?? summary.fee,
+      vat: result.vat ?? summary.vat,
+      total: result.total_amount ?? summary.total,
+    };
+    if (result.status === 'failed') {
+      forgetRecentTransfer(idempotencyKey);
+      setReceipt({
+        ...settled,
+        status: 'failed',
+        failure_reason: result.failure_reason || 'Transfer failed. Please try again.',
+      });
+    } else {
+      setReceipt({ ...settled, status: result.status === 'completed' ? 'success' : 'pending' });
+      recordRecentTransfer({ ...buildPayload(), recipient_name: summary.recipient_name, idempotency_key: idempotencyKey });
+      fetchAccounts();
+      refreshLimits();
+    }
+    setStep('result');
+  };
+
+  // A failed transfer is settled on the server, so trying again is a new payment with a new key
+  const handleRetry = () => {
+    setReceipt(null);
+    setError('');
+    setIdempotencyKey(createIdempotencyKey());
+    setStep('review');
+  };
+
+  const stepIndex = STEPS.findIndex(item => item.id === step);
+  const feeEstimate = estimateTransferFee(transferData.amount, transferData.transfer_type, feeSchedule);
+  const amountLimitError = getLimitError(transferData.amount, limits, { daily: !schedule });
+  const summary = step === 'review' || step === 'confirm' ? getSummary() : null;
+  const exceedsBalance = Boolean(summary && !schedule && selectedFromAccount &&
+    summary.total > parseFloat(selectedFromAccount.available_balance || selectedFromAccount.balance));
 
   return (
     <div className="container-fluid">
@@ -116,211 +490,487 @@ export default function Transfer() {
         <div className="col-lg-8">
           <h1 className="h2 fw-bold text-dark mb-4">Transfer Money</h1>
 
-          {/* Transfer Form */}
-          <div className="card card-banking">
-            <div className="card-body">
-              <form onSubmit={handleSubmit}>
-                {error && (
-                  <div className="alert alert-danger" role="alert">
-                    <i className="bi bi-exclamation-triangle me-2"></i>
-                    {error}
-                  </div>
-                )}
-                
-                {success && (
-                  <div className="alert alert-success" role="alert">
-                    <i className="bi bi-check-circle me-2"></i>
-                    {success}
-                  </div>
-                )}
-
-                <div className="row g-4">
-                  <div className="col-md-6">
-                    <label htmlFor="transfer_type" className="form-label fw-medium">
-                      Transfer Type
-                    </label>
-                    <select
-                      id="transfer_type"
-                      name="transfer_type"
-                      className="form-select"
-                      value={transferData.transfer_type}
-                      onChange={handleChange}
-                      required
-                    >
-                      <option value="internal">Between My Accounts</option>
-                      <option value="external">To Another Bank</option>
-                      <option value="beneficiary">To Saved Beneficiary</option>
-                    </select>
-                  </div>
+          <ul className="nav nav-tabs mb-4">
+            {MODES.map((item) => (
+              <li key={item.id} className="nav-item">
+                <button
+                  type="button"
+                  className={`nav-link ${mode === item.id ? 'active' : ''}`}
+                  onClick={() => selectMode(item.id)}
+                >
+                  <i className={`bi ${item.icon} me-2`}></i>
+                  {item.label}
+                </button>
+              </li>
+            ))}
+          </ul>
 
-                  <div className="col-md-6">
-                    <label htmlFor="from_account" className="form-label fw-medium">
-                      From Account
-                    </label>
-                    <select
-                      id="from_account"
-                      name="from_account"
-                      className="form-select"
-                      value={transferData.from_account}
-                      onChange={handleChange}
-                      required
-                    >
-                      <option value="">Select source account</option>
-                      {accounts.map((account) => (
-                        <option key={account.id} value={account.id}>
-                          {account.account_type_name} - ****{account.account_number.slice(-4)} 
-                          ({formatCurrency(account.available_balance)})
-                        </option>
-                      ))}
-                    </select>
-                  </div>
+          {mode === 'bulk' ? (
+            <BulkTransfer
+              accounts={accounts}
+              accountsLoading={accountsLoading}
+              onCompleted={fetchAccounts}
+            />
+          ) : (
+            <>
+              {/* Progress */}
+              <ol className="list-unstyled d-flex gap-2 mb-4">
+                {STEPS.map((item, index) => (
+                  <li key={item.id} className="flex-fill">
+                    <div className={`rounded-pill ${index <= stepIndex ? 'bg-primary' : 'bg-light'}`} style={{ height: '0.25rem' }}></div>
+                    <small className={index === stepIndex ? 'fw-semibold text-primary' : 'text-muted'}>
+                      {index + 1}. {item.label}
+                    </small>
+                  </li>
+                ))}
+              </ol>
 
-                  <div className="col-md-6">
-                    <label htmlFor="to_account" className="form-label fw-medium">
-                      {transferData.transfer_type === 'internal' ? 'To Account' : 'Recipient Account'}
-                    </label>
-                    {transferData.transfer_type === 'internal' ? (
-                      <select
-                        id="to_account"
-                        name="to_account"
-                        className="form-select"
-                        value={transferData.to_account}
-                        onChange={handleChange}
-                        required
-                      >
-                        <option value="">Select destination account</option>
-                        {accounts
-                          .filter(acc => acc.id.toString() !== transferData.from_account)
-                          .map((account) => (
-                            <option key={account.id} value={account.id}>
-                              {account.account_type_name} - ****{account.account_number.slice(-4)}
-                            </option>
-                          ))}
-                      </select>
-                    ) : (
-                      <input
-                        type="text"
-                        id="to_account"
-                        name="to_account"
-                        className="form-control"
-                        placeholder="Enter account number"
-                        value={transferData.to_account}
-                        onChange={handleChange}
-                        required
-                      />
-                    )}
-                  </div>
+              {/* Transfer Form */}
+              {step === 'details' && (
+                <div className="card card-banking">
+                  <div className="card-body">
+                    <form onSubmit={handleReview}>
+                      {error && (
+                        <div className="alert alert-danger" role="alert">
+                          <i className="bi bi-exclamation-triangle me-2"></i>
+                          {error}
+                        </div>
+                      )}
 
-                  <div className="col-md-6">
-                    <label htmlFor="amount" className="form-label fw-medium">
-                      Amount ({CURRENCY_CONFIG.symbol})
-                    </label>
-                    <div className="input-group">
-                      <span className="input-group-text">{CURRENCY_CONFIG.symbol}</span>
-                      <input
-                        type="number"
-                        id="amount"
-                        name="amount"
-                        className="form-control"
-                        placeholder="0.00"
-                        step="0.01"
-                        min="0.01"
-                        value={transferData.amount}
-                        onChange={handleChange}
-                        required
-                      />
-                    </div>
-                    {selectedFromAccount && transferData.amount && (
-                      <small className="text-muted">
-                        Available: {formatCurrency(selectedFromAccount.available_balance)}
-                      </small>
-                    )}
-                  </div>
+                      <div className="row g-4">
+                        <div className="col-md-6">
+                          <label htmlFor="transfer_type" className="form-label fw-medium">
+                            Transfer Type
+                          </label>
+                          <select
+                            id="transfer_type"
+                            name="transfer_type"
+                            className="form-select"
+                            value={transferData.transfer_type}
+                            onChange={handleChange}
+                            required
+                          >
+                            <option value="internal">Between My Accounts</option>
+                            <option value="external">To Another Bank</option>
+                            <option value="beneficiary">To Saved Beneficiary</option>
+                          </select>
+                        </div>
 
-                  <div className="col-12">
-                    <label htmlFor="description" className="form-label fw-medium">
-                      Description
-                    </label>
-                    <textarea
-                      id="description"
-                      name="description"
-                      className="form-control"
-                      rows="3"
-                      placeholder="Enter transfer description..."
-                      value={transferData.description}
-                      onChange={handleChange}
-                      required
-                    ></textarea>
-                  </div>
-                </div>
+                        <div className="col-md-6">
+                          <label htmlFor="from_account" className="form-label fw-medium">
+                            From Account
+                          </label>
+                          <select
+                            id="from_account"
+                            name="from_account"
+                            className="form-select"
+                            value={transferData.from_account}
+                            onChange={handleChange}
+                            disabled={accountsLoading}
+                            required
+                          >
+                            <option value="">{accountsLoading ? 'Loading accounts...' : 'Select source account'}</option>
+                            {accounts.map((account) => (
+                              <option key={account.id} value={account.id}>
+                                {accountLabel(account)} ({formatCurrency(account.available_balance)})
+                              </option>
+                            ))}
+                          </select>
+                        </div>
 
-                <hr className="my-4" />
+                        {transferData.transfer_type === 'external' && (
+                          <div className="col-md-6">
+                            <label htmlFor="bank_code" className="form-label fw-medium">
+                              Recipient Bank
+                            </label>
+                            <select
+                              id="bank_code"
+                              name="bank_code"
+                              className={`form-select ${banksError ? 'is-invalid' : ''}`}
+                              value={transferData.bank_code}
+                              onChange={handleChange}
+                              disabled={banksLoading}
+                              required
+                            >
+                              <option value="">{banksLoading ? 'Loading banks...' : 'Select bank'}</option>
+                              {banks.map((bank) => (
+                                <option key={bank.code} value={bank.code}>{bank.name}</option>
+                              ))}
+                            </select>
+                            {banksError && (
+                              <div className="invalid-feedback">{banksError}</div>
+                            )}
+                          </div>
+                        )}
 
-                <div className="d-flex justify-content-between align-items-center">
-                  <div>
-                    <h6 className="mb-1">Transfer Summary</h6>
-                    <small className="text-muted">Please review your transfer details</small>
-                  </div>
-                  <div className="text-end">
-                    <div className="fw-bold fs-4 text-primary">
-                      {transferData.amount ? formatCurrency(transferData.amount) : '₦0.00'}
-                    </div>
-                    <small className="text-muted">Transfer Amount</small>
+                        <div className="col-md-6">
+                          <label htmlFor="to_account" className="form-label fw-medium">
+                            {{ internal: 'To Account', beneficiary: 'Beneficiary' }[transferData.transfer_type] || 'Recipient Account'}
+                          </label>
+                          {transferData.transfer_type === 'internal' ? (
+                            <select
+                              id="to_account"
+                              name="to_account"
+                              className="form-select"
+                              value={transferData.to_account}
+                              onChange={handleChange}
+                              required
+                            >
+                              <option value="">Select destination account</option>
+                              {accounts
+                                .filter(acc => acc.id.toString() !== transferData.from_account)
+                                .map((account) => (
+                                  <option key={account.id} value={account.id}>
+                                    {accountLabel(account)}
+                                  </option>
+                                ))}
+                            </select>
+                          ) : transferData.transfer_type === 'beneficiary' ? (
+                            <BeneficiaryPicker
+                              selected={selectedBeneficiary}
+                              onSelect={handleBeneficiarySelect}
+                            />
+                          ) : (
+                            <>
+                              <input
+                                type="text"
+                                id="to_account"
+                                name="to_account"
+                                inputMode="numeric"
+                                maxLength={10}
+                                className={`form-control font-monospace ${lookup.status === 'failed' ? 'is-invalid' : ''}`}
+                                placeholder="10-digit account number"
+                                value={transferData.to_account}
+                                onChange={handleChange}
+                                required
+                              />
+                              {lookup.status === 'failed' && (
+                                <div className="invalid-feedback">{lookup.error}</div>
+                              )}
+                              {lookup.status === 'loading' && (
+                                <small className="text-muted">
+                                  <span className="spinner-border spinner-border-sm me-2" role="status" aria-hidden="true"></span>
+                                  Verifying account...
+                                </small>
+                              )}
+                              {lookup.status === 'resolved' && (
+                                <div className="alert alert-success py-2 small mt-2 mb-0">
+                                  <i className="bi bi-person-check me-2"></i>
+                                  {lookup.accountName}
+                                </div>
+                              )}
+                            </>
+                          )}
+                        </div>
+
+                        <div className="col-md-6">
+                          <label htmlFor="amount" className="form-label fw-medium">
+                            Amount ({CURRENCY_CONFIG.symbol})
+                          </label>
+                          <div className="input-group">
+                            <span className="input-group-text">{CURRENCY_CONFIG.symbol}</span>
+                            <input
+                              type="number"
+                              id="amount"
+                              name="amount"
+                              className="form-control"
+                              placeholder="0.00"
+                              step="0.01"
+                              min="0.01"
+                              value={transferData.amount}
+                              onChange={handleChange}
+                              required
+                            />
+                          </div>
+                          {amountLimitError && (
+                            <small className="text-danger d-block">
+                              {amountLimitError} <Link to="/profile?tab=security">Request a higher limit</Link>
+                            </small>
+                          )}
+                          {selectedFromAccount && transferData.amount && (
+                            <small className="text-muted">
+                              Available: {formatCurrency(selectedFromAccount.available_balance)}
+                            </small>
+                          )}
+                        </div>
+
+                        <div className="col-12">
+                          <label htmlFor="description" className="form-label fw-medium">
+                            Description
+                          </label>
+                          <textarea
+                            id="description"
+                            name="description"
+                            className="form-control"
+                            rows="3"
+                            placeholder="Enter transfer description..."
+                            value={transferData.description}
+                            onChange={handleChange}
+                            required
+                          ></textarea>
+                        </div>
+
+                        <div className="col-12">
+                          <span className="form-label fw-medium d-block mb-2">When</span>
+                          <div className="btn-group mb-3" role="group" aria-label="Transfer timing">
+                            <button
+                              type="button"
+                              className={`btn btn-sm ${schedule ? 'btn-outline-primary' : 'btn-primary'}`}
+                              onClick={() => setSchedule(null)}
+                            >
+                              <i className="bi bi-lightning me-2"></i>
+                              Send now
+                            </button>
+                            <button
+                              type="button"
+                              className={`btn btn-sm ${schedule ? 'btn-primary' : 'btn-outline-primary'}`}
+                              onClick={() => setSchedule(schedule || createDefaultSchedule())}
+                            >
+                              <i className="bi bi-calendar-event me-2"></i>
+                              Schedule
+                            </button>
+                          </div>
+                          {schedule && (
+                            <ScheduleFields schedule={schedule} onChange={handleScheduleChange} />
+                          )}
+                        </div>
+                      </div>
+
+                      <hr className="my-4" />
+
+                      <div className="d-flex justify-content-between align-items-center">
+                        <div>
+                          <h6 className="mb-1">Transfer Summary</h6>
+                          <small className="text-muted">
+                            {feeSchedule && transferData.amount
+                              ? `Estimated fee ${formatCurrency(feeEstimate.fee)}${feeEstimate.vat ? ` + ${formatCurrency(feeEstimate.vat)} VAT` : ''}`
+                              : 'Fees are shown on the next step'}
+                          </small>
+                        </div>
+                        <div className="text-end">
+                          <div className="fw-bold fs-4 text-primary">
+                            {formatCurrency(transferData.amount)}
+                          </div>
+                          <small className="text-muted">Transfer Amount</small>
+                        </div>
+                      </div>
+
+                      <div className="d-grid gap-2 d-md-flex justify-content-md-end mt-4">
+                        <button type="button" className="btn btn-outline-secondary" onClick={() => resetTransfer()}>
+                          Cancel
+                        </button>
+                        <button
+                          type="submit"
+                          className="btn btn-banking"
+                          disabled={loading || (transferData.transfer_type === 'external' && lookup.status !== 'resolved')}
+                        >
+                          {loading ? (
+                            <>
+                              <span className="spinner-border spinner-border-sm me-2" role="status" aria-hidden="true"></span>
+                              Checking...
+                            </>
+                          ) : (
+                            <>
+                              Review Transfer
+                              <i className="bi bi-arrow-right ms-2"></i>
+                            </>
+                          )}
+                        </button>
+                      </div>
+                    </form>
                   </div>
                 </div>
+              )}
+
+              {/* Review and confirm */}
+              {summary && (
+                <div className="card card-banking">
+                  <div className="card-body">
+                    {error && (
+                      <div className="alert alert-danger" role="alert">
+                        <i className="bi bi-exclamation-triangle me-2"></i>
+                        {error}
+                      </div>
+                    )}
+
+                    <h5 className="card-title mb-3">
+                      {step === 'review' ? 'Review Transfer' : 'Confirm Transfer'}
+                    </h5>
 
-                <div className="d-grid gap-2 d-md-flex justify-content-md-end mt-4">
-                  <button type="button" className="btn btn-outline-secondary">
-                    Cancel
-                  </button>
-                  <button 
-                    type="submit" 
-                    className="btn btn-banking"
-                    disabled={loading}
-                  >
-                    {loading ? (
-                      <>
-                        <span className="spinner-border spinner-border-sm me-2" role="status" aria-hidden="true"></span>
-                        Processing...
-                      </>
+                    <dl className="small mb-4">
+                      {[
+                        ['From', summary.from_label],
+                        ['To', summary.recipient_name || 'Name not available'],
+                        ['Account', summary.recipient_account],
+                        ['Bank', summary.bank_name],
+                        ['Amount', formatCurrency(summary.amount)],
+                        ['Fee', formatCurrency(summary.fee)],
+                        ['VAT', summary.vat ? formatCurrency(summary.vat) : ''],
+                        ['Description', summary.description],
+                        ['Schedule', summary.schedule_label],
+                      ].filter(([, value]) => value).map(([label, value]) => (
+                        <div key={label} className="d-flex justify-content-between border-bottom py-2">
+                          <dt className="text-muted fw-normal">{label}</dt>
+                          <dd className="mb-0 text-end ms-3">{value}</dd>
+                        </div>
+                      ))}
+                      <div className="d-flex justify-content-between align-items-center py-2">
+                        <dt>Total</dt>
+                        <dd className="mb-0 fw-bold fs-5 text-primary">{formatCurrency(summary.total)}</dd>
+                      </div>
+                    </dl>
+
+                    {exceedsBalance && (
+                      <div className="alert alert-warning small" role="alert">
+                        <i className="bi bi-exclamation-circle me-2"></i>
+                        The total including fees is more than your available balance of {formatCurrency(selectedFromAccount.available_balance)}.
+                      </div>
+                    )}
+
+                    {step === 'review' ? (
+                      <div className="d-grid gap-2 d-md-flex justify-content-md-end">
+                        <button
+                          type="button"
+                          className="btn btn-outline-secondary"
+                          onClick={() => { setError(''); setStep('details'); }}
+                        >
+                          <i className="bi bi-arrow-left me-2"></i>
+                          Edit Details
+                        </button>
+                        <button
+                          type="button"
+                          className="btn btn-banking"
+                          onClick={() => { setError(''); setStep('confirm'); }}
+                          disabled={exceedsBalance}
+                        >
+                          Continue
+                          <i className="bi bi-arrow-right ms-2"></i>
+                        </button>
+                      </div>
                     ) : (
-                      <>
-                        <i className="bi bi-send me-2"></i>
-                        Transfer Money
-                      </>
+                      <form onSubmit={handleConfirm}>
+                        <label htmlFor="transaction_pin" className="form-label fw-medium">
+                          Transaction PIN
+                        </label>
+                        <input
+                          type="password"
+                          id="transaction_pin"
+                          inputMode="numeric"
+                          autoComplete="off"
+                          maxLength={4}
+                          className="form-control font-monospace mb-2"
+                          style={{ maxWidth: '10rem' }}
+                          placeholder="••••"
+                          value={pin}
+                          onChange={(e) => setPin(e.target.value.replace(/\D/g, ''))}
+                          autoFocus
+                          required
+                        />
+                        <small className="text-muted d-block mb-4">
+                          You may also be asked for a one-time code sent to your phone or email.
+                        </small>
+                        <div className="d-grid gap-2 d-md-flex justify-content-md-end">
+                          <button
+                            type="button"
+                            className="btn btn-outline-secondary"
+                            onClick={() => { setError(''); setPin(''); setStep('review'); }}
+                            disabled={loading}
+                          >
+                            <i className="bi bi-arrow-left me-2"></i>
+                            Back
+                          </button>
+                          <button
+                            type="submit"
+                            className="btn btn-banking"
+                            disabled={loading || pin.length !== 4}
+                          >
+                            {loading ? (
+                              <>
+                                <span className="spinner-border spinner-border-sm me-2" role="status" aria-hidden="true"></span>
+                                Processing...
+                              </>
+                            ) : (
+                              <>
+                                <i className={`bi ${schedule ? 'bi-calendar-check' : 'bi-send'} me-2`}></i>
+                                {schedule ? 'Schedule' : 'Send'} {formatCurrency(summary.total)}
+                              </>
+                            )}
+                          </button>
+                        </div>
+                      </form>
                     )}
-                  </button>
+                  </div>
                 </div>
-              </form>
-            </div>
-          </div>
+              )}
+
+              {/* Result */}
+              {step === 'result' && receipt && (
+                <TransferReceipt
+                  receipt={receipt}
+                  onNewTransfer={() => resetTransfer()}
+                  onRetry={handleRetry}
+                >
+                  {receipt.status === 'pending' && (
+                    <div className="alert alert-warning py-2 small" role="status">
+                      <i className="bi bi-hourglass-split me-2"></i>
+                      This transfer is still being processed. Check <Link to="/transactions">Transactions</Link> for
+                      the final status before sending it again.
+                    </div>
+                  )}
+                  {receipt.status === 'scheduled' && (
+                    <p className="text-center small">
+                      <Link to="/transfers/scheduled">Manage your scheduled transfers</Link>
+                    </p>
+                  )}
+                  {recipientSaved && (
+                    <div className="alert alert-success py-2 small" role="status">
+                      <i className="bi bi-check-circle me-2"></i>
+                      {recipientSaved}
+                    </div>
+                  )}
+                  {saveRecipient && (
+                    <div className="alert alert-light border d-flex align-items-center justify-content-between" role="alert">
+                      <span className="small">
+                        <i className="bi bi-person-plus me-2"></i>
+                        Save <span className="font-monospace">{saveRecipient.account_number}</span> as a beneficiary?
+                      </span>
+                      <div className="d-flex gap-2">
+                        <button
+                          type="button"
+                          className="btn btn-outline-secondary btn-sm"
+                          onClick={() => setSaveRecipient(null)}
+                        >
+                          Not now
+                        </button>
+                        <button
+                          type="button"
+                          className="btn btn-banking btn-sm"
+                          onClick={() => setShowSaveRecipient(true)}
+                        >
+                          Save
+                        </button>
+                      </div>
+                    </div>
+                  )}
+                </TransferReceipt>
+              )}
+            </>
+          )}
         </div>
 
         <div className="col-lg-4">
           <div className="sticky-top" style={{ top: '2rem' }}>
             {/* Quick Transfer Options */}
-            <div className="card card-banking mb-4">
-              <div className="card-body">
-                <h5 className="card-title">
-                  <i className="bi bi-lightning me-2"></i>
-                  Quick Transfers
-                </h5>
-                <div className="d-grid gap-2">
-                  <button className="btn btn-outline-primary btn-sm">
-                    <i className="bi bi-arrow-repeat me-2"></i>
-                    Repeat Last Transfer
-                  </button>
-                  <button className="btn btn-outline-primary btn-sm">
-                    <i className="bi bi-people me-2"></i>
-                    Transfer to Beneficiary
-                  </button>
-                  <button className="btn btn-outline-primary btn-sm">
-                    <i className="bi bi-calendar-check me-2"></i>
-                    Schedule Transfer
-                  </button>
-                </div>
-              </div>
-            </div>
+            <QuickTransfers
+              accounts={accounts}
+              banks={banks}
+              onApply={applyTemplate}
+              onBeneficiary={() => resetTransfer({ transfer_type: 'beneficiary' })}
+              onSchedule={startScheduledTransfer}
+            />
+
+            {/* Limits and today's usage */}
+            <TransferLimitsCard limits={limits} loading={limitsLoading} error={limitsError} />
 
             {/* Security Notice */}
             <div className="card border-warning">
@@ -348,6 +998,32 @@ export default function Transfer() {
           </div>
         </div>
       </div>
+
+      <ConfirmModal
+        show={Boolean(duplicate)}
+        title="Possible Duplicate"
+        message={duplicate && `You ${duplicate.unconfirmed ? 'tried to send' : 'sent'} ${formatCurrency(duplicate.amount)} to ${duplicate.recipient_name || duplicate.to_account} ${minutesAgo(duplicate.sent_at)} minute${minutesAgo(duplicate.sent_at) === 1 ? '' : 's'} ago.`}
+        detail={duplicate?.sameRequest
+          ? "We haven't been able to confirm whether that transfer went through. Continuing submits the same payment again, and it will only be sent once."
+          : duplicate?.unconfirmed
+            ? "We haven't been able to confirm whether that transfer went through. This one differs from it, so it would be sent as a separate payment."
+            : 'Do you want to send the same amount again?'}
+        icon="bi-exclamation-circle"
+        confirmLabel={duplicate?.sameRequest ? 'Continue' : 'Send Again'}
+        confirmIcon="bi-send"
+        variant="warning"
+        onConfirm={handleDuplicateConfirm}
+        onCancel={() => setDuplicate(null)}
+      />
+
+      {showSaveRecipient && saveRecipient && (
+        <BeneficiaryFormModal
+          show={showSaveRecipient}
+          beneficiary={saveRecipient}
+          onSaved={handleRecipientSaved}
+          onClose={() => setShowSaveRecipient(false)}
+        />
+      )}
     </div>
   );
 }
@@ -1,21 +1,151 @@
 import axios from 'axios';
-import { API_URL, API_TIMEOUT, ENABLE_DEBUG } from '../config/environment.js';
+import { API_URL, API_TIMEOUT, ENABLE_DEBUG, AUTH_HEADER_PREFIX } from '../config/environment.js';
+import { getTokenStore, isCookieMode, getCsrfToken, setCsrfToken } from './tokenStorage.js';
+import { getUrlParams } from '../utils/helpers.js';
 
 // Create axios instance with environment configuration
 const api = axios.create({
   baseURL: API_URL,
   timeout: API_TIMEOUT,
+  withCredentials: isCookieMode(),
   headers: {
     'Content-Type': 'application/json',
   },
 });
 
+const UNSAFE_METHODS = ['post', 'put', 'patch', 'delete'];
+
+// Session token helpers shared by the interceptors and AuthContext
+export const getAccessToken = () => getTokenStore().getAccessToken();
+export const getRefreshToken = () => getTokenStore().getRefreshToken();
+export const setAuthTokens = (tokens) => getTokenStore().setTokens(tokens);
+export const clearAuthTokens = () => getTokenStore().clear();
+
+// Money-moving requests carry an Idempotency-Key so the server applies a retried request only once.
+// Callers keep the same key for every retry of one payment; a fresh key is generated if none is given.
+export const createIdempotencyKey = () => (
+  typeof crypto !== 'undefined' && crypto.randomUUID
+    ? crypto.randomUUID()
+    : `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}-${Math.random().toString(36).slice(2)}`
+);
+
+const idempotent = (idempotencyKey = createIdempotencyKey()) => ({
+  headers: { 'Idempotency-Key': idempotencyKey },
+});
+
+/**
+ * Whether a request failed without a server response (timeout or network drop),
+ * meaning the server may or may not have processed it
+ * @param {Error} error - Axios error
+ * @returns {boolean}
+ */
+export const isUncertainFailure = (error) => !error.response && !axios.isCancel(error);
+
+/**
+ * Fetch every page of a DRF-paginated list by following its `next` links
+ * @param {Function} fetchPage - Called with query params, resolves to an axios response
+ * @param {Object} params - Query params for the first page
+ * @param {Object} options - { onPage(loaded, meta) after each page, isCancelled() checked between pages }
+ * @returns {Promise<Object|null>} - { results, meta } with meta from the first page, or null if cancelled
+ */
+export const fetchAllPages = async (fetchPage, params, { onPage, isCancelled } = {}) => {
+  const results = [];
+  let meta = null;
+  let pageParams = params;
+
+  while (pageParams) {
+    const response = await fetchPage(pageParams);
+    if (isCancelled?.()) return null;
+
+    const { results: page, next = null, previous: _previous, ...pageMeta } = Array.isArray(response.data)
+      ? { results: response.data }
+      : response.data;
+    meta = meta || pageMeta;
+    results.push(...page);
+    onPage?.(results.length, meta);
+    pageParams = next ? getUrlParams(next) : null;
+  }
+
+  return { results, meta };
+};
+
+// Session event subscribers ('refreshed' after a silent refresh, 'expired' when it fails)
+const sessionListeners = new Set();
+
+export const onSessionEvent = (listener) => {
+  sessionListeners.add(listener);
+  return () => sessionListeners.delete(listener);
+};
+
+const emitSessionEvent = (type, payload = {}) => {
+  sessionListeners.forEach((listener) => listener(type, payload));
+};
+
+// Single in-flight refresh shared by every request that hits a 401
+let refreshPromise = null;
+
+export const refreshSession = () => {
+  if (!refreshPromise) {
+    refreshPromise = api
+      .post('/auth/token/refresh/', isCookieMode() ? {} : { refresh: getRefreshToken() }, { skipAuthRefresh: true })
+      .then((response) => {
+        const { access, refresh } = response.data;
+        setAuthTokens({ access, refresh });
+        emitSessionEvent('refreshed', { tokens: getTokenStore().snapshot() });
+        return access;
+      })
+      .finally(() => {
+        refreshPromise = null;
+      });
+  }
+  return refreshPromise;
+};
+
+const expireSession = () => {
+  clearAuthTokens();
+  emitSessionEvent('expired');
+};
+
+// Step-up verification: a mounted OTP dialog registers a handler that resolves with the entered code
+let challengeHandler = null;
+let challengeQueue = Promise.resolve();
+const MAX_CHALLENGE_ATTEMPTS = 3;
+
+export const setChallengeHandler = (handler) => {
+  challengeHandler = handler;
+  return () => {
+    if (challengeHandler === handler) {
+      challengeHandler = null;
+    }
+  };
+};
+
+const isChallengeResponse = (error) => error.response?.data?.code === 'challenge_required';
+
+// Prompts are shown one at a time even when several requests are challenged together
+const promptForChallenge = (challenge) => {
+  const prompt = challengeQueue.then(() => challengeHandler(challenge));
+  challengeQueue = prompt.catch(() => null);
+  return prompt;
+};
+
 // Request interceptor to add auth token
 api.interceptors.request.use(
-  (config) => {
-    const token = localStorage.getItem('authToken');
-    if (token) {
-      config.headers.Authorization = `Token ${token}`;
+  async (config) => {
+    // Hold new requests until a pending refresh settles so they carry the fresh token
+    if (refreshPromise && !config.skipAuthRefresh) {
+      await refreshPromise.catch(() => null);
+    }
+
+    const token = getAccessToken();
+    if (token && !config.skipAuthRefresh) {
+      config.headers.Authorization = `${AUTH_HEADER_PREFIX} ${token}`;
+    }
+
+    // Cookie sessions need a CSRF token on state-changing requests
+    const csrfToken = isCookieMode() && getCsrfToken();
+    if (csrfToken && UNSAFE_METHODS.includes(config.method)) {
+      config.headers['X-CSRFToken'] = csrfToken;
     }
     
     // Debug logging in development
@@ -41,6 +171,11 @@ api.interceptors.request.use(
 // Response interceptor to handle errors
 api.interceptors.response.use(
   (response) => {
+    // The backend rotates the CSRF token through a response header
+    if (response.headers?.['x-csrftoken']) {
+      setCsrfToken(response.headers['x-csrftoken']);
+    }
+
     // Debug logging in development
     if (ENABLE_DEBUG) {
       console.log('✅ API Response:', {
@@ -52,7 +187,7 @@ api.interceptors.response.use(
     }
     return response;
   },
-  (error) => {
+  async (error) => {
     // Debug logging in development
     if (ENABLE_DEBUG) {
       console.error('❌ API Response Error:', {
@@ -64,42 +199,168 @@ api.interceptors.response.use(
       });
     }
     
-    if (error.response?.status === 401) {
-      // Remove invalid token and redirect to login
-      localStorage.removeItem('authToken');
-      localStorage.removeItem('user');
-      window.location.href = '/login';
+    const originalRequest = error.config;
+
+    // Sensitive action needs a second factor: ask for the code and replay the request with it
+    if (isChallengeResponse(error) && originalRequest && challengeHandler) {
+      const attempts = originalRequest._challengeAttempts || 0;
+      if (attempts >= MAX_CHALLENGE_ATTEMPTS) {
+        return Promise.reject(error);
+      }
+
+      const { challenge_id, method, destination, detail } = error.response.data;
+      let otp;
+      try {
+        otp = await promptForChallenge({
+          challengeId: challenge_id,
+          method,
+          destination,
+          message: detail,
+          invalid: attempts > 0,
+        });
+      } catch {
+        error.challengeCancelled = true;
+        return Promise.reject(error);
+      }
+
+      originalRequest._challengeAttempts = attempts + 1;
+      originalRequest.headers['X-Challenge-ID'] = challenge_id;
+      originalRequest.headers['X-OTP-Code'] = otp;
+      return api(originalRequest);
+    }
+
+    if (error.response?.status !== 401 || !originalRequest || originalRequest.skipAuthRefresh) {
+      return Promise.reject(error);
+    }
+
+    // Another request already refreshed the token while this one was in flight
+    const sentToken = originalRequest.headers?.Authorization?.split(' ')[1];
+    const currentToken = getAccessToken();
+    if (!originalRequest._retry && currentToken && sentToken !== currentToken) {
+      originalRequest._retry = true;
+      originalRequest.headers.Authorization = `${AUTH_HEADER_PREFIX} ${currentToken}`;
+      return api(originalRequest);
+    }
+
+    if (!originalRequest._retry && getTokenStore().canRefresh()) {
+      originalRequest._retry = true;
+      try {
+        const access = await refreshSession();
+        if (access) {
+          originalRequest.headers.Authorization = `${AUTH_HEADER_PREFIX} ${access}`;
+        }
+        return api(originalRequest);
+      } catch (refreshError) {
+        if (ENABLE_DEBUG) {
+          console.error('❌ Token refresh failed:', refreshError);
+        }
+      }
     }
+
+    // Refresh unavailable or rejected: end the session and let the router redirect to login
+    expireSession();
     return Promise.reject(error);
   }
 );
 
 // Auth API calls
 export const authAPI = {
-  register: (userData) => api.post('/auth/register/', userData),
-  login: (credentials) => api.post('/auth/login/', credentials),
-  logout: () => api.post('/auth/logout/'),
+  register: (userData) => api.post('/auth/register/', userData, { skipAuthRefresh: true }),
+  login: (credentials) => api.post('/auth/login/', credentials, { skipAuthRefresh: true }),
+  logout: () => api.post('/auth/logout/', { refresh: getRefreshToken() }),
+  getCsrfToken: () => api.get('/auth/csrf/', { skipAuthRefresh: true }),
+  requestPasswordReset: (data) => api.post('/auth/password-reset/', data, { skipAuthRefresh: true }),
+  verifyPasswordResetOtp: (data) => api.post('/auth/password-reset/verify-otp/', data, { skipAuthRefresh: true }),
+  validatePasswordResetToken: (token) => api.get(`/auth/password-reset/${token}/`, { skipAuthRefresh: true }),
+  confirmPasswordReset: (token, data) => api.post(`/auth/password-reset/${token}/confirm/`, data, { skipAuthRefresh: true }),
+  // Also used mid-login, before there is a session to refresh; the challenge id identifies the user
+  resendChallenge: (challengeId) => api.post('/auth/challenge/resend/', { challenge_id: challengeId }, { skipAuthRefresh: true }),
+};
+
+// Passkey (WebAuthn) API calls
+export const passkeyAPI = {
+  getPasskeys: () => api.get('/auth/passkeys/'),
+  beginRegistration: () => api.post('/auth/passkeys/register/begin/'),
+  completeRegistration: (credential, name) => api.post('/auth/passkeys/register/complete/', { credential, name }),
+  renamePasskey: (id, name) => api.patch(`/auth/passkeys/${id}/`, { name }),
+  deletePasskey: (id) => api.delete(`/auth/passkeys/${id}/`),
+  beginLogin: (username = '') => api.post('/auth/passkeys/login/begin/', { username }, { skipAuthRefresh: true }),
+  completeLogin: (credential) => api.post('/auth/passkeys/login/complete/', { credential }, { skipAuthRefresh: true }),
 };
 
 // User API calls
 export const userAPI = {
-  getProfile: () => api.get('/user/profile/'),
+  getProfile: (config = {}) => api.get('/user/profile/', config),
   updateProfile: (userData) => api.put('/user/update_profile/', userData),
   changePassword: (passwordData) => api.post('/user/change_password/', passwordData),
+  sendContactVerification: (channel) => api.post('/user/send_verification/', { channel }),
+  verifyContact: (channel, code) => api.post('/user/verify_contact/', { channel, code }),
 };
 
 // Account API calls
 export const accountAPI = {
   getAccounts: () => api.get('/accounts/'),
   getAccount: (id) => api.get(`/accounts/${id}/`),
-  getAccountTransactions: (id) => api.get(`/accounts/${id}/transactions/`),
+  getAccountTransactions: (id, params = {}) => api.get(`/accounts/${id}/transactions/`, { params }),
   getAccountBalance: (id) => api.get(`/accounts/${id}/balance/`),
+  // Registers an official statement so third parties can verify it by reference and hash
+  createStatement: (id, statementData) => api.post(`/accounts/${id}/statements/`, statementData),
+  nameEnquiry: (accountNumber, bankCode) => api.get('/accounts/name-enquiry/', {
+    params: { account_number: accountNumber, bank_code: bankCode },
+  }),
 };
 
 // Transaction API calls
 export const transactionAPI = {
-  getTransactions: () => api.get('/transactions/'),
-  transfer: (transferData) => api.post('/transactions/transfer/', transferData),
+  getTransactions: (params = {}) => api.get('/transactions/', { params }),
+  getTransaction: (id) => api.get(`/transactions/${id}/`),
+  updateTransaction: (id, transactionData) => api.patch(`/transactions/${id}/`, transactionData),
+  // The instance defaults to JSON, which axios would otherwise use to serialize the FormData
+  uploadAttachment: (id, file) => {
+    const formData = new FormData();
+    formData.append('file', file);
+    return api.post(`/transactions/${id}/attachments/`, formData, {
+      headers: { 'Content-Type': 'multipart/form-data' },
+    });
+  },
+  deleteAttachment: (id, attachmentId) => api.delete(`/transactions/${id}/attachments/${attachmentId}/`),
+  previewTransfer: (transferData) => api.post('/transactions/transfer/preview/', transferData),
+  transfer: (transferData, { idempotencyKey } = {}) => (
+    api.post('/transactions/transfer/', transferData, idempotent(idempotencyKey))
+  ),
+  getTransferStatus: (idempotencyKey) => api.get('/transactions/transfer/status/', {
+    params: { idempotency_key: idempotencyKey },
+  }),
+  bulkTransfer: (batchData, { idempotencyKey } = {}) => (
+    api.post('/transactions/bulk/', batchData, idempotent(idempotencyKey))
+  ),
+  getBulkTransfer: (batchId) => api.get(`/transactions/bulk/${batchId}/`),
+  getBulkTransferStatus: (idempotencyKey) => api.get('/transactions/bulk/status/', {
+    params: { idempotency_key: idempotencyKey },
+  }),
+  getScheduledTransfers: (params = {}) => api.get('/transactions/scheduled/', { params }),
+  createScheduledTransfer: (scheduleData, { idempotencyKey } = {}) => (
+    api.post('/transactions/scheduled/', scheduleData, idempotent(idempotencyKey))
+  ),
+  updateScheduledTransfer: (id, scheduleData) => api.patch(`/transactions/scheduled/${id}/`, scheduleData),
+  pauseScheduledTransfer: (id) => api.post(`/transactions/scheduled/${id}/pause/`),
+  resumeScheduledTransfer: (id) => api.post(`/transactions/scheduled/${id}/resume/`),
+  cancelScheduledTransfer: (id) => api.delete(`/transactions/scheduled/${id}/`),
+};
+
+// Transfer limits, usage and fees
+export const transferLimitsAPI = {
+  getLimits: () => api.get('/transactions/limits/'),
+  getFeeSchedule: () => api.get('/transactions/fees/'),
+  getIncreaseRequests: () => api.get('/transactions/limits/increase-requests/'),
+  requestIncrease: (requestData) => api.post('/transactions/limits/increase-requests/', requestData),
+};
+
+// Saved transfer templates
+export const transferTemplateAPI = {
+  getTemplates: () => api.get('/transfer-templates/'),
+  createFromTransaction: (transactionId, name) => api.post('/transfer-templates/', { transaction: transactionId, name }),
+  deleteTemplate: (id) => api.delete(`/transfer-templates/${id}/`),
 };
 
 // Beneficiary API calls
@@ -130,6 +391,26 @@ export const cardAPI = {
 export const referenceAPI = {
   getAccountTypes: () => api.get('/account-types/'),
   getTransactionCategories: () => api.get('/transaction-categories/'),
+  getBanks: () => api.get('/banks/'),
+};
+
+// Monthly spending budgets per transaction category
+export const budgetAPI = {
+  getBudgets: () => api.get('/budgets/'),
+  createBudget: (budgetData) => api.post('/budgets/', budgetData),
+  updateBudget: (id, budgetData) => api.patch(`/budgets/${id}/`, budgetData),
+  deleteBudget: (id) => api.delete(`/budgets/${id}/`),
+};
+
+// Savings goals and the sweep rules that fund them
+export const savingsGoalAPI = {
+  getGoals: () => api.get('/savings-goals/'),
+  createGoal: (goalData) => api.post('/savings-goals/', goalData),
+  updateGoal: (id, goalData) => api.patch(`/savings-goals/${id}/`, goalData),
+  deleteGoal: (id) => api.delete(`/savings-goals/${id}/`),
+  addRule: (goalId, ruleData) => api.post(`/savings-goals/${goalId}/rules/`, ruleData),
+  updateRule: (goalId, ruleId, ruleData) => api.patch(`/savings-goals/${goalId}/rules/${ruleId}/`, ruleData),
+  deleteRule: (goalId, ruleId) => api.delete(`/savings-goals/${goalId}/rules/${ruleId}/`),
 };
 
 export default api;
@@ -0,0 +1,76 @@
+/**
+ * Token Storage
+ * Pluggable holders for session credentials. Nothing here writes tokens to Web Storage.
+ */
+import { TOKEN_STORAGE } from '../config/environment.js';
+
+// Default: tokens live only in this tab's memory and are handed to other tabs over BroadcastChannel
+export const createMemoryTokenStore = () => {
+  let accessToken = null;
+  let refreshToken = null;
+
+  return {
+    mode: 'memory',
+    getAccessToken: () => accessToken,
+    getRefreshToken: () => refreshToken,
+    setTokens: ({ access, refresh }) => {
+      accessToken = access || null;
+      if (refresh) {
+        refreshToken = refresh;
+      }
+    },
+    clear: () => {
+      accessToken = null;
+      refreshToken = null;
+    },
+    hasSession: () => Boolean(accessToken),
+    canRefresh: () => Boolean(refreshToken),
+    snapshot: () => (accessToken ? { access: accessToken, refresh: refreshToken } : null),
+  };
+};
+
+// Backend sets httpOnly access/refresh cookies; the browser sends them and JS never sees them
+export const createCookieTokenStore = () => ({
+  mode: 'cookie',
+  getAccessToken: () => null,
+  getRefreshToken: () => null,
+  setTokens: () => {},
+  clear: () => {},
+  hasSession: () => true,
+  canRefresh: () => true,
+  snapshot: () => null,
+});
+
+let tokenStore = TOKEN_STORAGE === 'cookie' ? createCookieTokenStore() : createMemoryTokenStore();
+
+export const getTokenStore = () => tokenStore;
+
+/**
+ * Swap the active token store (e.g. for a native wrapper with secure storage)
+ * @param {Object} store - Object implementing the token store interface above
+ */
+export const setTokenStore = (store) => {
+  tokenStore = store;
+};
+
+export const isCookieMode = () => tokenStore.mode === 'cookie';
+
+// CSRF token for cookie mode, issued by the backend since its cookie isn't readable cross-origin
+let csrfToken = null;
+
+export const getCsrfToken = () => {
+  if (csrfToken) return csrfToken;
+  const match = document.cookie.match(/(?:^|;\s*)csrftoken=([^;]+)/);
+  return match ? decodeURIComponent(match[1]) : null;
+};
+
+export const setCsrfToken = (token) => {
+  csrfToken = token || null;
+};
+
+// Earlier releases kept the token and profile in plain localStorage
+export const purgeLegacyCredentials = () => {
+  ['authToken', 'refreshToken', 'user'].forEach((key) => localStorage.removeItem(key));
+};
+
+export default getTokenStore;
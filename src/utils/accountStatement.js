@@ -0,0 +1,216 @@
+// Official account statements: period selection, content hash and the PDF itself
+import { formatDate, formatDateTime } from './helpers.js';
+import { toISODate, parseISODate, formatScheduleDate } from './schedule.js';
+import { withRunningBalances, pdfMoney, mapInChunks, BRAND_COLOR } from './transactionExport.js';
+import { APP_NAME, SUPPORT_EMAIL, SUPPORT_PHONE, CURRENCY_CONFIG } from '../config/environment.js';
+
+// Longer periods are split into several statements to keep each one a manageable size
+export const MAX_STATEMENT_DAYS = 366;
+
+/**
+ * The month before the current one, as YYYY-MM, the default statement period
+ * @param {Date} today - Reference date
+ * @returns {string} - Month value for a month input
+ */
+export const getDefaultStatementMonth = (today = new Date()) => {
+  const month = new Date(today.getFullYear(), today.getMonth() - 1, 1);
+  return `${month.getFullYear()}-${String(month.getMonth() + 1).padStart(2, '0')}`;
+};
+
+/**
+ * Date range for a statement request
+ * @param {Object} request - { type: 'month' | 'custom', month, date_from, date_to }
+ * @param {Date} today - Reference date
+ * @returns {Object} - { date_from, date_to } as YYYY-MM-DD; the current month ends today
+ */
+export const getStatementRange = ({ type, month, date_from, date_to }, today = new Date()) => {
+  if (type === 'custom') return { date_from, date_to };
+  const [year, monthNumber] = month.split('-').map(Number);
+  const end = new Date(year, monthNumber, 0);
+  return {
+    date_from: toISODate(new Date(year, monthNumber - 1, 1)),
+    date_to: toISODate(end > today ? today : end),
+  };
+};
+
+/**
+ * Check a statement range before generating it
+ * @param {Object} range - { date_from, date_to }
+ * @param {Date} today - Reference date
+ * @returns {string} - Error message, or empty when valid
+ */
+export const validateStatementRange = ({ date_from, date_to }, today = new Date()) => {
+  if (!date_from || !date_to) return 'Choose a start and end date.';
+  if (date_from > date_to) return 'The start date must be before the end date.';
+  if (date_to > toISODate(today)) return 'Statements can only cover dates up to today.';
+  const days = (parseISODate(date_to) - parseISODate(date_from)) / 86400000 + 1;
+  if (days > MAX_STATEMENT_DAYS) return 'Statements can cover up to one year. Choose a shorter period.';
+  return '';
+};
+
+/**
+ * Completed transactions in order with running balances, plus the period totals
+ * @param {Array<Object>} transactions - The account's transactions in the period
+ * @param {number|string} openingBalance - Balance at the start of the period, as reported by the server
+ * @returns {Object} - { rows, opening, closing, credits, debits }
+ */
+export const prepareStatement = (transactions, openingBalance) => {
+  const opening = parseFloat(openingBalance);
+  // Every figure on the statement follows from the opening balance, so it can never be guessed
+  if (Number.isNaN(opening)) {
+    throw new Error('A statement needs the opening balance for its period');
+  }
+  // Pending and failed transactions haven't moved the ledger, so they don't belong on an official statement
+  const rows = withRunningBalances(transactions.filter(transaction => transaction.status === 'COMPLETED'), opening);
+  const total = (type) => rows
+    .filter(transaction => transaction.transaction_type === type)
+    .reduce((sum, transaction) => sum + parseFloat(transaction.amount), 0);
+
+  return {
+    rows,
+    opening,
+    closing: rows.length ? rows[rows.length - 1].running_balance : opening,
+    credits: total('CREDIT'),
+    debits: total('DEBIT'),
+  };
+};
+
+/**
+ * SHA-256 over the statement's figures, so the backend can confirm a copy wasn't altered
+ * @param {Object} account - { account_number }
+ * @param {Object} range - { date_from, date_to }
+ * @param {Object} statement - From prepareStatement
+ * @returns {Promise<string>} - Lowercase hex digest
+ */
+export const hashStatement = async (account, range, statement) => {
+  // Fixed field order and two-decimal amounts keep the digest reproducible on the server
+  const canonical = JSON.stringify({
+    account_number: account.account_number,
+    date_from: range.date_from,
+    date_to: range.date_to,
+    opening_balance: statement.opening.toFixed(2),
+    closing_balance: statement.closing.toFixed(2),
+    transactions: statement.rows.map(transaction => [
+      transaction.reference_number,
+      transaction.created_at,
+      transaction.transaction_type,
+      parseFloat(transaction.amount).toFixed(2),
+      transaction.running_balance.toFixed(2),
+    ]),
+  });
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(canonical));
+  return [...new Uint8Array(digest)].map(byte => byte.toString(16).padStart(2, '0')).join('');
+};
+
+/**
+ * Build the official statement PDF on bank letterhead
+ * @param {Object} details - { account, holderName, range, statement, reference, hash, verificationUrl, generatedAt }
+ * @returns {Promise<Blob>} - PDF file
+ */
+export const buildStatementPdf = async ({
+  account,
+  holderName,
+  range,
+  statement,
+  reference,
+  hash,
+  verificationUrl,
+  generatedAt = new Date(),
+}) => {
+  // Loaded on demand so the PDF library stays out of the main bundle
+  const [{ jsPDF }, { autoTable }] = await Promise.all([import('jspdf'), import('jspdf-autotable')]);
+  const doc = new jsPDF({ unit: 'pt', format: 'a4' });
+  const pageWidth = doc.internal.pageSize.getWidth();
+  const pageHeight = doc.internal.pageSize.getHeight();
+  const period = `${formatScheduleDate(range.date_from)} - ${formatScheduleDate(range.date_to)}`;
+  // The reference and hash also go in the file's metadata, where they survive reprinting
+  doc.setProperties({ title: `${APP_NAME} statement ${reference}`, subject: reference, keywords: hash, creator: APP_NAME });
+
+  // Letterhead
+  doc.setFillColor(...BRAND_COLOR);
+  doc.rect(0, 0, pageWidth, 72, 'F');
+  doc.setTextColor(255, 255, 255);
+  doc.setFont('helvetica', 'bold');
+  doc.setFontSize(18);
+  doc.text(APP_NAME, 40, 38);
+  doc.setFont('helvetica', 'normal');
+  doc.setFontSize(9);
+  doc.text(`${SUPPORT_EMAIL}  |  ${SUPPORT_PHONE}`, 40, 56);
+  doc.setFontSize(12);
+  doc.text('Official Account Statement', pageWidth - 40, 44, { align: 'right' });
+
+  doc.setTextColor(33, 37, 41);
+  doc.setFontSize(10);
+  doc.setFont('helvetica', 'bold');
+  doc.text(holderName, 40, 100);
+  doc.setFont('helvetica', 'normal');
+  doc.text([
+    `Account number: ${account.account_number}`,
+    `Account type: ${account.account_type_name}`,
+    `Currency: ${CURRENCY_CONFIG.code}`,
+  ], 40, 116);
+  doc.text([
+    `Period: ${period}`,
+    `Issued: ${formatDateTime(generatedAt)}`,
+    `Reference: ${reference}`,
+  ], pageWidth - 40, 100, { align: 'right' });
+
+  // Summary
+  autoTable(doc, {
+    startY: 160,
+    head: [['Opening balance', 'Total credits', 'Total debits', 'Closing balance']],
+    body: [[
+      pdfMoney(statement.opening),
+      pdfMoney(statement.credits),
+      pdfMoney(statement.debits),
+      pdfMoney(statement.closing),
+    ]],
+    styles: { fontSize: 9, halign: 'center' },
+    headStyles: { fillColor: [241, 245, 249], textColor: [33, 37, 41] },
+    theme: 'grid',
+    margin: { left: 40, right: 40 },
+  });
+
+  const body = await mapInChunks(statement.rows, (transaction) => [
+    formatDate(transaction.created_at),
+    transaction.reference_number,
+    transaction.description,
+    transaction.transaction_type === 'DEBIT' ? pdfMoney(transaction.amount) : '',
+    transaction.transaction_type === 'CREDIT' ? pdfMoney(transaction.amount) : '',
+    pdfMoney(transaction.running_balance),
+  ]);
+
+  autoTable(doc, {
+    startY: doc.lastAutoTable.finalY + 20,
+    head: [['Date', 'Reference', 'Description', 'Debit', 'Credit', 'Balance']],
+    body: [
+      [formatScheduleDate(range.date_from), '', 'Opening balance', '', '', pdfMoney(statement.opening)],
+      ...body,
+      [formatScheduleDate(range.date_to), '', 'Closing balance', '', '', pdfMoney(statement.closing)],
+    ],
+    styles: { fontSize: 8, cellPadding: 4 },
+    headStyles: { fillColor: BRAND_COLOR },
+    alternateRowStyles: { fillColor: [248, 250, 252] },
+    columnStyles: { 3: { halign: 'right' }, 4: { halign: 'right' }, 5: { halign: 'right' } },
+    margin: { left: 40, right: 40, bottom: 80 },
+  });
+
+  // Verification block on every page, so any single page can be checked
+  const verifyLine = verificationUrl
+    ? `Verify this statement at ${verificationUrl}`
+    : `To verify this statement, quote its reference to ${SUPPORT_EMAIL}`;
+  const pageCount = doc.getNumberOfPages();
+  for (let page = 1; page <= pageCount; page++) {
+    doc.setPage(page);
+    doc.setDrawColor(222, 226, 230);
+    doc.line(40, pageHeight - 66, pageWidth - 40, pageHeight - 66);
+    doc.setFontSize(7);
+    doc.setTextColor(108, 117, 125);
+    doc.text(`Reference: ${reference}    SHA-256: ${hash}`, 40, pageHeight - 52);
+    doc.text(verifyLine, 40, pageHeight - 40);
+    doc.text(`Page ${page} of ${pageCount}`, pageWidth - 40, pageHeight - 24, { align: 'right' });
+    doc.text(`${APP_NAME} - computer-generated statement`, 40, pageHeight - 24);
+  }
+
+  return doc.output('blob');
+};
@@ -0,0 +1,48 @@
+// Daily balance history for one account, rebuilt from its transactions
+import { toISODate } from './schedule.js';
+
+export const BALANCE_HISTORY_PERIODS = [30, 90, 180];
+
+/**
+ * First day of a balance history window
+ * @param {number} days - Window length, including today
+ * @param {Date} today - Reference date
+ * @returns {string} - YYYY-MM-DD
+ */
+export const getHistoryStart = (days, today = new Date()) => (
+  toISODate(new Date(today.getFullYear(), today.getMonth(), today.getDate() - days + 1))
+);
+
+/**
+ * End-of-day balances, worked backwards from the current balance so gaps in history don't skew it
+ * @param {Array<Object>} transactions - The account's transactions in the window
+ * @param {number|string} currentBalance - Balance now
+ * @param {number} days - Window length, including today
+ * @param {Date} today - Reference date
+ * @returns {Array<Object>} - { date, label, balance }, oldest first
+ */
+export const getBalanceHistory = (transactions, currentBalance, days, today = new Date()) => {
+  // Only completed transactions have moved the balance
+  const netByDay = transactions
+    .filter(transaction => transaction.status === 'COMPLETED')
+    .reduce((totals, transaction) => {
+      const day = toISODate(new Date(transaction.created_at));
+      const amount = parseFloat(transaction.amount) || 0;
+      totals[day] = (totals[day] || 0) + (transaction.transaction_type === 'CREDIT' ? amount : -amount);
+      return totals;
+    }, {});
+
+  const points = [];
+  let balance = parseFloat(currentBalance) || 0;
+  for (let offset = 0; offset < days; offset++) {
+    const date = new Date(today.getFullYear(), today.getMonth(), today.getDate() - offset);
+    const day = toISODate(date);
+    points.unshift({
+      date: day,
+      label: date.toLocaleDateString('en-US', { month: 'short', day: 'numeric' }),
+      balance,
+    });
+    balance -= netByDay[day] || 0;
+  }
+  return points;
+};
@@ -0,0 +1,102 @@
+// Monthly category budgets: progress, month-end projection and overspend alerts
+import { getSecureItem, setSecureItem } from './secureStorage.js';
+import { getMonthRange, isSpending } from './insights.js';
+import { toISODate } from './schedule.js';
+
+// Share of a budget at which an alert is raised
+export const BUDGET_ALERT_THRESHOLDS = [0.8, 1];
+
+// Progress bar colour per budget status
+export const BUDGET_STATUS_CLASSES = {
+  ok: 'bg-success',
+  warning: 'bg-warning',
+  over: 'bg-danger',
+};
+
+const DISMISSED_KEY = 'dismissed_budget_alerts';
+
+const currentMonth = (today) => `${today.getFullYear()}-${String(today.getMonth() + 1).padStart(2, '0')}`;
+
+/**
+ * Date range from the first of this month to today, for fetching the spend budgets are measured against
+ * @param {Date} today - Reference date
+ * @returns {Object} - { date_from, date_to } as YYYY-MM-DD
+ */
+export const getBudgetPeriod = (today = new Date()) => ({
+  date_from: getMonthRange(currentMonth(today)).date_from,
+  date_to: toISODate(today),
+});
+
+/**
+ * Spend at month end if the current daily pace continues
+ * @param {number} spent - Spent so far this month
+ * @param {Date} today - Reference date
+ * @returns {number} - Projected month-end spend
+ */
+export const getProjectedSpend = (spent, today = new Date()) => {
+  const daysInMonth = new Date(today.getFullYear(), today.getMonth() + 1, 0).getDate();
+  return (spent / today.getDate()) * daysInMonth;
+};
+
+/**
+ * Match this month's completed debits to each budget's category
+ * @param {Array<Object>} budgets - From budgetAPI.getBudgets
+ * @param {Array<Object>} transactions - This month's transactions
+ * @param {Date} today - Reference date
+ * @returns {Array<Object>} - Budgets with spent, remaining, ratio, projected and status ('ok' | 'warning' | 'over')
+ */
+export const getBudgetProgress = (budgets, transactions, today = new Date()) => {
+  const spentByCategory = transactions
+    .filter(transaction => isSpending(transaction) && transaction.category)
+    .reduce((totals, transaction) => {
+      const key = String(transaction.category);
+      totals[key] = (totals[key] || 0) + (parseFloat(transaction.amount) || 0);
+      return totals;
+    }, {});
+
+  return budgets
+    .map((budget) => {
+      const limit = parseFloat(budget.amount) || 0;
+      const spent = spentByCategory[String(budget.category)] || 0;
+      const ratio = limit ? spent / limit : 0;
+      return {
+        ...budget,
+        spent,
+        remaining: Math.max(0, limit - spent),
+        ratio,
+        projected: getProjectedSpend(spent, today),
+        status: ratio >= 1 ? 'over' : ratio >= BUDGET_ALERT_THRESHOLDS[0] ? 'warning' : 'ok',
+      };
+    })
+    .sort((a, b) => b.ratio - a.ratio);
+};
+
+const alertId = (budget, threshold, today) => `${budget.id}:${currentMonth(today)}:${threshold}`;
+
+/**
+ * Alerts for budgets that have crossed a threshold this month and not been dismissed
+ * @param {Array<Object>} progress - From getBudgetProgress
+ * @param {Date} today - Reference date
+ * @returns {Promise<Array<Object>>} - { id, budget, threshold }, one per budget for its highest threshold
+ */
+export const getBudgetAlerts = async (progress, today = new Date()) => {
+  const dismissed = (await getSecureItem(DISMISSED_KEY)) || [];
+  return progress
+    .map((budget) => {
+      const threshold = [...BUDGET_ALERT_THRESHOLDS].reverse().find(value => budget.ratio >= value);
+      return threshold && { id: alertId(budget, threshold, today), budget, threshold };
+    })
+    .filter(alert => alert && !dismissed.includes(alert.id));
+};
+
+/**
+ * Stop showing an alert for the rest of the month; crossing the next threshold raises a new one
+ * @param {string} id - Alert id from getBudgetAlerts
+ * @param {Date} today - Reference date
+ */
+export const dismissBudgetAlert = async (id, today = new Date()) => {
+  const dismissed = (await getSecureItem(DISMISSED_KEY)) || [];
+  // Drop dismissals from earlier months so the list doesn't grow forever
+  const month = currentMonth(today);
+  await setSecureItem(DISMISSED_KEY, [...dismissed.filter(entry => entry.split(':')[1] === month), id]);
+};
@@ -0,0 +1,167 @@
+// Bulk transfer file parsing and validation
+import { isValidNuban } from './helpers.js';
+
+// Header spellings accepted for each column, compared case-insensitively
+const COLUMN_ALIASES = {
+  name: ['name', 'recipient', 'recipient name', 'account name', 'beneficiary'],
+  account_number: ['account number', 'account_number', 'account', 'account no', 'nuban'],
+  bank_code: ['bank code', 'bank_code', 'bank', 'sort code'],
+  amount: ['amount', 'value'],
+  description: ['description', 'narration', 'reference', 'memo'],
+};
+
+const REQUIRED_COLUMNS = ['account_number', 'bank_code', 'amount'];
+
+export const MAX_BATCH_ROWS = 500;
+
+export const BATCH_TEMPLATE_CSV = [
+  'name,account_number,bank_code,amount,description',
+  'Ada Obi,0123456785,058,150000.00,October salary',
+].join('\n');
+
+/**
+ * Parse CSV text into rows of cells, handling quoted fields and escaped quotes
+ * @param {string} text - CSV file contents
+ * @returns {string[][]} - Rows of cell values
+ */
+export const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell || row.length) {
+    row.push(cell);
+    rows.push(row);
+  }
+  return rows;
+};
+
+/**
+ * Read an uploaded CSV or XLSX file into rows of cells
+ * @param {File} file - Uploaded file
+ * @returns {Promise<Array<Array>>} - Rows of cell values, header row first
+ */
+export const readBatchFile = async (file) => {
+  const extension = file.name.split('.').pop().toLowerCase();
+  if (extension === 'csv') {
+    // Strip the byte order mark Excel adds when saving CSV as UTF-8
+    return parseCsv((await file.text()).replace(/^\uFEFF/, ''));
+  }
+  if (extension === 'xlsx') {
+    // Loaded on demand so the spreadsheet reader stays out of the main bundle
+    const { readSheet } = await import('read-excel-file/browser');
+    return readSheet(file);
+  }
+  throw new Error('Upload a .csv or .xlsx file.');
+};
+
+/**
+ * Turn a header row plus data rows into recipient objects
+ * @param {Array<Array>} rows - Rows from readBatchFile
+ * @returns {Array<Object>} - { row, name, account_number, bank_code, amount, description }
+ */
+export const mapBatchRows = (rows) => {
+  const [header = [], ...lines] = rows;
+  // Row numbers match what the user sees in their spreadsheet, blank lines included
+  const data = lines
+    .map((values, index) => ({ values, row: index + 2 }))
+    .filter(({ values }) => values.some(value => String(value ?? '').trim()));
+  const columns = {};
+  header.forEach((title, index) => {
+    const key = Object.keys(COLUMN_ALIASES)
+      .find(field => COLUMN_ALIASES[field].includes(String(title ?? '').trim().toLowerCase()));
+    if (key && columns[key] === undefined) columns[key] = index;
+  });
+
+  const missing = REQUIRED_COLUMNS.filter(field => columns[field] === undefined);
+  if (missing.length) {
+    throw new Error(`Missing column${missing.length > 1 ? 's' : ''}: ${missing.join(', ')}. Download the template for the expected layout.`);
+  }
+  if (data.length === 0) {
+    throw new Error('The file has no payment rows.');
+  }
+  if (data.length > MAX_BATCH_ROWS) {
+    throw new Error(`A batch can contain at most ${MAX_BATCH_ROWS} payments.`);
+  }
+
+  const cell = (values, field) => (columns[field] === undefined ? '' : String(values[columns[field]] ?? '').trim());
+
+  // Spreadsheets store codes as numbers and drop their leading zeros, so restore them
+  const codeCell = (values, field, length) => {
+    const value = values[columns[field]];
+    return typeof value === 'number'
+      ? String(value).padStart(length, '0')
+      : cell(values, field).replace(/\s/g, '');
+  };
+
+  return data.map(({ values, row }) => ({
+    row,
+    name: cell(values, 'name'),
+    account_number: codeCell(values, 'account_number', 10),
+    bank_code: codeCell(values, 'bank_code', 3),
+    amount: cell(values, 'amount').replace(/,/g, ''),
+    description: cell(values, 'description'),
+  }));
+};
+
+/**
+ * Validate each recipient and flag repeated payments to the same account
+ * @param {Array<Object>} items - Recipients from mapBatchRows
+ * @param {Array<Object>} banks - Known banks with code and name
+ * @returns {Array<Object>} - Items with an errors array
+ */
+export const validateBatchItems = (items, banks) => {
+  const seen = new Map();
+  items.forEach((item) => {
+    const key = `${item.bank_code}:${item.account_number}`;
+    seen.set(key, (seen.get(key) || 0) + 1);
+  });
+
+  return items.map((item) => {
+    const errors = [];
+    const knownBank = banks.some(bank => bank.code === item.bank_code);
+    if (!/^\d{10}$/.test(item.account_number)) {
+      errors.push('Account number must be 10 digits');
+    } else if (knownBank && !isValidNuban(item.account_number, item.bank_code)) {
+      errors.push('Account number is not valid for this bank');
+    }
+    if (!knownBank) {
+      errors.push('Unknown bank code');
+    }
+    if (!/^\d+(\.\d{1,2})?$/.test(item.amount) || parseFloat(item.amount) <= 0) {
+      errors.push('Amount must be a positive number with at most 2 decimals');
+    }
+    if (seen.get(`${item.bank_code}:${item.account_number}`) > 1) {
+      errors.push('Duplicate recipient');
+    }
+    return { ...item, errors };
+  });
+};
@@ -76,3 +76,84 @@ export const getInitials = (firstName, lastName, username) => {
   }
   return 'U';
 };
+
+/**
+ * Strength hints shown by PasswordStrengthMeter. Advisory only: the backend's
+ * password validators decide what is accepted, and forms surface their errors.
+ */
+export const PASSWORD_RULES = [
+  { id: 'length', label: 'At least 8 characters', test: (value) => value.length >= 8 },
+  { id: 'upper', label: 'One uppercase letter', test: (value) => /[A-Z]/.test(value) },
+  { id: 'lower', label: 'One lowercase letter', test: (value) => /[a-z]/.test(value) },
+  { id: 'number', label: 'One number', test: (value) => /\d/.test(value) },
+  { id: 'symbol', label: 'One special character', test: (value) => /[^A-Za-z0-9]/.test(value) },
+];
+
+/**
+ * Score a password against the strength hints
+ * @param {string} password - Password to check
+ * @returns {Object} - { score, failed } where failed lists unmet hint labels
+ */
+export const checkPasswordStrength = (password = '') => {
+  const failed = PASSWORD_RULES.filter(rule => !rule.test(password)).map(rule => rule.label);
+  return {
+    score: PASSWORD_RULES.length - failed.length,
+    failed,
+  };
+};
+
+// CBN NUBAN weights, applied to the 6-digit institution code followed by the 9-digit serial
+const NUBAN_WEIGHTS = [3, 7, 3, 3, 7, 3, 3, 7, 3, 3, 7, 3, 3, 7, 3];
+
+/**
+ * Check a 10-digit NUBAN account number against its bank's check digit
+ * @param {string} accountNumber - 10-digit account number
+ * @param {string} bankCode - 3-digit (commercial) or 6-digit (other institution) bank code
+ * @returns {boolean} - True if the check digit matches
+ */
+export const isValidNuban = (accountNumber, bankCode) => {
+  if (!/^\d{10}$/.test(accountNumber || '') || !/^\d{3,6}$/.test(bankCode || '')) return false;
+
+  const digits = `${bankCode.padStart(6, '0')}${accountNumber.slice(0, 9)}`;
+  const sum = NUBAN_WEIGHTS.reduce((total, weight, index) => total + weight * Number(digits[index]), 0);
+  return (10 - (sum % 10)) % 10 === Number(accountNumber[9]);
+};
+
+/**
+ * Read the wait time from a rate-limited (429) API response
+ * @param {Error} error - Axios error
+ * @returns {number} - Seconds to wait, or 0 if the request wasn't rate limited
+ */
+export const getRetryAfterSeconds = (error) => {
+  if (error?.response?.status !== 429) return 0;
+  const header = parseInt(error.response.headers?.['retry-after'], 10);
+  if (!isNaN(header)) return header;
+  // DRF throttling message: "Request was throttled. Expected available in 42 seconds."
+  const match = error.response.data?.detail?.match(/(\d+) seconds?/);
+  return match ? parseInt(match[1], 10) : 60;
+};
+
+/**
+ * Save generated content as a file download
+ * @param {Blob|string} content - File contents
+ * @param {string} filename - Suggested file name
+ * @param {string} type - MIME type, used when content is a string
+ */
+export const downloadFile = (content, filename, type = 'text/plain;charset=utf-8') => {
+  const blob = content instanceof Blob ? content : new Blob([content], { type });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+};
+
+/**
+ * Read the query params of a URL, such as a DRF `next` page link
+ * @param {string} url - Absolute or relative URL
+ * @returns {Object} - Param names mapped to values
+ */
+export const getUrlParams = (url) => Object.fromEntries(new URL(url, window.location.origin).searchParams);
@@ -0,0 +1,157 @@
+// Spending insights: aggregate transactions into monthly, category and counterparty totals
+import { toISODate } from './schedule.js';
+
+export const INSIGHT_PERIODS = [3, 6, 12];
+
+// Category colours, reused in order; the last is for "Other"
+export const CHART_COLORS = ['#2563eb', '#16a34a', '#f59e0b', '#dc2626', '#7c3aed', '#0891b2', '#db2777', '#65a30d', '#94a3b8'];
+
+const MAX_CATEGORY_SLICES = 8;
+
+const amountOf = (transaction) => parseFloat(transaction.amount) || 0;
+
+// Pending, failed and reversed transactions never moved any money, so they count as neither
+export const isIncome = (transaction) => transaction.status === 'COMPLETED' && transaction.transaction_type === 'CREDIT';
+export const isSpending = (transaction) => transaction.status === 'COMPLETED' && transaction.transaction_type === 'DEBIT';
+
+const monthKey = (date) => `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
+
+/**
+ * First and last day of a month, for drilling into the Transactions list
+ * @param {string} key - Month as YYYY-MM
+ * @returns {Object} - { date_from, date_to } as YYYY-MM-DD
+ */
+export const getMonthRange = (key) => {
+  const [year, month] = key.split('-').map(Number);
+  return {
+    date_from: toISODate(new Date(year, month - 1, 1)),
+    date_to: toISODate(new Date(year, month, 0)),
+  };
+};
+
+/**
+ * Date range covering the last N calendar months, including the current one
+ * @param {number} months - Number of months
+ * @param {Date} today - Reference date
+ * @returns {Object} - { date_from, date_to } as YYYY-MM-DD
+ */
+export const getInsightRange = (months, today = new Date()) => ({
+  date_from: toISODate(new Date(today.getFullYear(), today.getMonth() - months + 1, 1)),
+  date_to: toISODate(today),
+});
+
+/**
+ * Income and spending per month, with empty months included so the chart has no gaps
+ * @param {Array<Object>} transactions - Transactions in the period
+ * @param {number} months - Number of months ending with the current one
+ * @param {Date} today - Reference date
+ * @returns {Array<Object>} - { month, label, income, spending, net }, oldest first
+ */
+export const getMonthlyTotals = (transactions, months, today = new Date()) => {
+  const totals = new Map();
+  for (let offset = months - 1; offset >= 0; offset--) {
+    const date = new Date(today.getFullYear(), today.getMonth() - offset, 1);
+    totals.set(monthKey(date), {
+      month: monthKey(date),
+      label: date.toLocaleDateString('en-US', { month: 'short', year: months > 6 ? '2-digit' : undefined }),
+      income: 0,
+      spending: 0,
+    });
+  }
+
+  transactions.forEach((transaction) => {
+    const entry = totals.get(monthKey(new Date(transaction.created_at)));
+    if (!entry) return;
+    if (isIncome(transaction)) entry.income += amountOf(transaction);
+    else if (isSpending(transaction)) entry.spending += amountOf(transaction);
+  });
+
+  return [...totals.values()].map(entry => ({ ...entry, net: entry.income - entry.spending }));
+};
+
+/**
+ * Spending per category, largest first, with the long tail grouped as "Other"
+ * @param {Array<Object>} transactions - Transactions in the period
+ * @param {Array<Object>} categories - From referenceAPI.getTransactionCategories
+ * @returns {Array<Object>} - { key, id, name, total, share, color, isOther }; id is null for uncategorised spending
+ * and for the aggregated "Other" slice, which alone has isOther set
+ */
+export const getCategoryBreakdown = (transactions, categories) => {
+  const names = new Map(categories.map(category => [String(category.id), category.name]));
+  const totals = new Map();
+
+  transactions
+    .filter(isSpending)
+    .forEach((transaction) => {
+      const id = transaction.category ? String(transaction.category) : null;
+      const key = id || 'uncategorized';
+      const entry = totals.get(key) || {
+        key,
+        id,
+        name: names.get(id) || transaction.category_name || 'Uncategorized',
+        total: 0,
+      };
+      entry.total += amountOf(transaction);
+      totals.set(key, entry);
+    });
+
+  const sorted = [...totals.values()].sort((a, b) => b.total - a.total);
+  const grandTotal = sorted.reduce((sum, entry) => sum + entry.total, 0);
+  const slices = sorted.length > MAX_CATEGORY_SLICES
+    ? [
+      ...sorted.slice(0, MAX_CATEGORY_SLICES - 1),
+      {
+        key: 'other',
+        id: null,
+        name: 'Other',
+        isOther: true,
+        total: sorted.slice(MAX_CATEGORY_SLICES - 1).reduce((sum, entry) => sum + entry.total, 0),
+      },
+    ]
+    : sorted;
+
+  return slices.map((entry, index) => ({
+    ...entry,
+    share: grandTotal ? entry.total / grandTotal : 0,
+    color: entry.isOther ? CHART_COLORS[CHART_COLORS.length - 1] : CHART_COLORS[index % (CHART_COLORS.length - 1)],
+  }));
+};
+
+/**
+ * Who the money went to, by total spent
+ * @param {Array<Object>} transactions - Transactions in the period
+ * @param {number} limit - Number of counterparties to return
+ * @returns {Array<Object>} - { name, total, count }, largest first
+ */
+export const getTopCounterparties = (transactions, limit = 5) => {
+  const totals = new Map();
+  transactions
+    .filter(isSpending)
+    .forEach((transaction) => {
+      const name = (transaction.counterparty_name || transaction.description || '').trim();
+      if (!name) return;
+      const key = name.toLowerCase();
+      const entry = totals.get(key) || { name, total: 0, count: 0 };
+      entry.total += amountOf(transaction);
+      entry.count += 1;
+      totals.set(key, entry);
+    });
+
+  return [...totals.values()].sort((a, b) => b.total - a.total).slice(0, limit);
+};
+
+/**
+ * Compare the current month with the previous one
+ * @param {Array<Object>} monthly - From getMonthlyTotals
+ * @returns {Object} - { income, spending, net }, each { current, previous, change } where change is a fraction or null
+ */
+export const getMonthOverMonth = (monthly) => {
+  const current = monthly[monthly.length - 1] || { income: 0, spending: 0, net: 0 };
+  const previous = monthly[monthly.length - 2] || { income: 0, spending: 0, net: 0 };
+  const compare = (field) => ({
+    current: current[field],
+    previous: previous[field],
+    change: previous[field] ? (current[field] - previous[field]) / Math.abs(previous[field]) : null,
+  });
+  return { income: compare('income'), spending: compare('spending'), net: compare('net') };
+};
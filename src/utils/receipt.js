@@ -0,0 +1,108 @@
+// Transfer receipt helpers (share, print, download)
+import { formatCurrency, formatDateTime, downloadFile } from './helpers.js';
+import { APP_NAME } from '../config/environment.js';
+
+const STATUS_LABELS = {
+  success: 'Successful',
+  scheduled: 'Scheduled',
+  pending: 'Processing',
+  failed: 'Failed',
+};
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * Build the label/value rows shown on a transfer receipt
+ * @param {Object} receipt - Transfer result from the Transfer page
+ * @returns {Array<[string, string]>} - Receipt rows, skipping empty values
+ */
+export const getReceiptRows = (receipt) => [
+  ['Status', STATUS_LABELS[receipt.status]],
+  ['Reference', receipt.reference_number],
+  ['Date', receipt.timestamp && formatDateTime(receipt.timestamp)],
+  ['Schedule', receipt.schedule_label],
+  ['From', receipt.from_label],
+  ['To', receipt.recipient_name],
+  ['Recipient Account', receipt.recipient_account],
+  ['Bank', receipt.bank_name],
+  ['Amount', formatCurrency(receipt.amount)],
+  ['Fee', formatCurrency(receipt.fee)],
+  ['VAT', receipt.vat ? formatCurrency(receipt.vat) : ''],
+  ['Total Debited', formatCurrency(receipt.total)],
+  ['Description', receipt.description],
+  ['Reason', receipt.failure_reason],
+].filter(([, value]) => value);
+
+/**
+ * Format a receipt as plain text
+ * @param {Object} receipt - Transfer result
+ * @returns {string} - Receipt text
+ */
+export const formatReceiptText = (receipt) => {
+  const rows = getReceiptRows(receipt).map(([label, value]) => `${label}: ${value}`);
+  return [`${APP_NAME} - Transfer Receipt`, '', ...rows].join('\n');
+};
+
+/**
+ * Share a receipt with the Web Share API, falling back to the clipboard
+ * @param {Object} receipt - Transfer result
+ * @returns {Promise<string>} - 'shared' or 'copied'
+ */
+export const shareReceipt = async (receipt) => {
+  const text = formatReceiptText(receipt);
+  if (navigator.share) {
+    await navigator.share({ title: `${APP_NAME} Transfer Receipt`, text });
+    return 'shared';
+  }
+  await navigator.clipboard.writeText(text);
+  return 'copied';
+};
+
+/**
+ * Download a receipt as a text file
+ * @param {Object} receipt - Transfer result
+ */
+export const downloadReceipt = (receipt) => {
+  downloadFile(formatReceiptText(receipt), `receipt-${receipt.reference_number || 'transfer'}.txt`);
+};
+
+/**
+ * Open a print-friendly receipt in a new window and print it
+ * @param {Object} receipt - Transfer result
+ * @returns {boolean} - False if the browser blocked the print window
+ */
+export const printReceipt = (receipt) => {
+  const printWindow = window.open('', '_blank', 'width=480,height=640');
+  if (!printWindow) return false;
+
+  const rows = getReceiptRows(receipt)
+    .map(([label, value]) => `<tr><th>${escapeHtml(label)}</th><td>${escapeHtml(value)}</td></tr>`)
+    .join('');
+
+  printWindow.document.write(`<!doctype html>
+<html>
+  <head>
+    <title>Transfer Receipt ${escapeHtml(receipt.reference_number)}</title>
+    <style>
+      body { font-family: system-ui, sans-serif; padding: 24px; color: #212529; }
+      h1 { font-size: 18px; margin-bottom: 16px; }
+      table { width: 100%; border-collapse: collapse; font-size: 14px; }
+      th, td { padding: 8px 0; border-bottom: 1px solid #dee2e6; text-align: left; }
+      th { color: #6c757d; font-weight: 500; width: 40%; }
+    </style>
+  </head>
+  <body>
+    <h1>${escapeHtml(APP_NAME)} &mdash; Transfer Receipt</h1>
+    <table>${rows}</table>
+  </body>
+</html>`);
+  printWindow.document.close();
+  printWindow.focus();
+  printWindow.print();
+  printWindow.close();
+  return true;
+};
@@ -0,0 +1,82 @@
+// Recently sent transfers, kept (encrypted) for the session to catch accidental repeat payments
+import { getSecureItem, setSecureItem } from './secureStorage.js';
+import { DUPLICATE_TRANSFER_WINDOW } from '../config/environment.js';
+
+const STORAGE_KEY = 'recent_transfers';
+
+const windowStart = () => Date.now() - DUPLICATE_TRANSFER_WINDOW * 60 * 1000;
+
+const isSamePayment = (a, b) => (
+  String(a.to_account) === String(b.to_account) &&
+  (a.bank_code || '') === (b.bank_code || '') &&
+  Number(a.amount) === Number(b.amount)
+);
+
+// Reusing an attempt's idempotency key is only safe when the server would receive the same request body
+const isSameRequest = (a, b) => (
+  isSamePayment(a, b) &&
+  String(a.from_account) === String(b.from_account) &&
+  (a.description || '') === (b.description || '')
+);
+
+/**
+ * Whether a recorded attempt whose outcome is unknown can be retried under its own idempotency key
+ * @param {Object} entry - From findRecentDuplicate
+ * @param {Object} transfer - { from_account, to_account, bank_code, amount, description }
+ * @returns {boolean}
+ */
+export const canReuseAttemptKey = (entry, transfer) => Boolean(
+  entry?.unconfirmed && entry.idempotency_key && isSameRequest(entry, transfer)
+);
+
+const readRecent = async () => {
+  const stored = await getSecureItem(STORAGE_KEY);
+  return Array.isArray(stored) ? stored.filter(entry => entry.sent_at >= windowStart()) : [];
+};
+
+/**
+ * Remember a transfer that was just sent, or whose outcome isn't known yet
+ * @param {Object} transfer - { from_account, to_account, bank_code, amount, description, recipient_name, idempotency_key }
+ * @param {Object} options - { unconfirmed: true } when the request got no response
+ */
+export const recordRecentTransfer = async (transfer, { unconfirmed = false } = {}) => {
+  const recent = await readRecent();
+  // A later outcome for the same attempt replaces the earlier entry
+  const others = transfer.idempotency_key
+    ? recent.filter(entry => entry.idempotency_key !== transfer.idempotency_key)
+    : recent;
+  await setSecureItem(STORAGE_KEY, [
+    ...others,
+    {
+      from_account: transfer.from_account,
+      to_account: transfer.to_account,
+      bank_code: transfer.bank_code || '',
+      amount: Number(transfer.amount),
+      description: transfer.description || '',
+      recipient_name: transfer.recipient_name || '',
+      idempotency_key: transfer.idempotency_key || '',
+      unconfirmed,
+      sent_at: Date.now(),
+    },
+  ]);
+};
+
+/**
+ * Drop an attempt the server says never went through
+ * @param {string} idempotencyKey - Key the attempt was submitted with
+ */
+export const forgetRecentTransfer = async (idempotencyKey) => {
+  if (!idempotencyKey) return;
+  const recent = await readRecent();
+  await setSecureItem(STORAGE_KEY, recent.filter(entry => entry.idempotency_key !== idempotencyKey));
+};
+
+/**
+ * Find a transfer to the same recipient for the same amount within the duplicate window
+ * @param {Object} transfer - { to_account, bank_code, amount }
+ * @returns {Promise<Object|null>} - The earlier transfer, with sent_at, or null
+ */
+export const findRecentDuplicate = async (transfer) => {
+  const recent = await readRecent();
+  return recent.reverse().find(entry => isSamePayment(entry, transfer)) || null;
+};
@@ -0,0 +1,99 @@
+// Savings goals: progress, required contributions and sweep rule descriptions
+import { formatCurrency } from './helpers.js';
+import { parseISODate, formatScheduleDate } from './schedule.js';
+
+export const SWEEP_RULE_TYPES = [
+  {
+    id: 'round_up',
+    label: 'Round up card purchases',
+    icon: 'bi-arrow-up-circle',
+    hint: 'Save the spare change from every card purchase.',
+  },
+  {
+    id: 'salary_percentage',
+    label: 'Save a share of salary',
+    icon: 'bi-cash-coin',
+    hint: 'Move a percentage of every salary credit as it arrives.',
+  },
+];
+
+// Card purchases are rounded up to the next multiple of one of these
+export const ROUND_UP_OPTIONS = [100, 500, 1000];
+
+export const GOAL_STATUS_LABELS = {
+  achieved: { label: 'Achieved', className: 'bg-success' },
+  on_track: { label: 'On track', className: 'bg-primary' },
+  behind: { label: 'Behind', className: 'bg-warning text-dark' },
+  overdue: { label: 'Past deadline', className: 'bg-danger' },
+};
+
+// Goals are held in a savings account; other account types can't be linked
+export const isSavingsAccount = (account) => /saving/i.test(account.account_type_name || '');
+
+const monthsBetween = (from, to) => (
+  (to.getFullYear() - from.getFullYear()) * 12 + to.getMonth() - from.getMonth() + (to.getDate() >= from.getDate() ? 0 : -1)
+);
+
+/**
+ * How far a goal has come and what it still needs
+ * @param {Object} goal - { target_amount, current_amount, deadline, created_at }
+ * @param {Date} today - Reference date
+ * @returns {Object} - { saved, target, ratio, remaining, monthsLeft, monthlyRequired, status }
+ */
+export const getGoalProgress = (goal, today = new Date()) => {
+  const target = parseFloat(goal.target_amount) || 0;
+  const saved = parseFloat(goal.current_amount) || 0;
+  const remaining = Math.max(0, target - saved);
+  const deadline = parseISODate(goal.deadline);
+  const overdue = deadline < new Date(today.getFullYear(), today.getMonth(), today.getDate());
+  // A deadline later this month still leaves this month's contribution to make
+  const monthsLeft = overdue ? 0 : Math.max(1, monthsBetween(today, deadline));
+
+  // Progress expected by now if saving evenly from the day the goal was created
+  const start = new Date(goal.created_at);
+  const elapsed = deadline > start ? (today - start) / (deadline - start) : 1;
+  const expected = target * Math.min(1, Math.max(0, elapsed));
+
+  let status = 'on_track';
+  if (remaining === 0) status = 'achieved';
+  else if (overdue) status = 'overdue';
+  else if (saved < expected) status = 'behind';
+
+  return {
+    saved,
+    target,
+    ratio: target ? Math.min(1, saved / target) : 0,
+    remaining,
+    monthsLeft,
+    monthlyRequired: overdue ? remaining : remaining / monthsLeft,
+    status,
+  };
+};
+
+/**
+ * One-line summary of a sweep rule, e.g. "Round up card purchases to the nearest ₦500"
+ * @param {Object} rule - { rule_type, round_to, percentage }
+ * @returns {string} - Description
+ */
+export const describeSweepRule = (rule) => {
+  if (rule.rule_type === 'round_up') {
+    return `Round up card purchases to the nearest ${formatCurrency(rule.round_to).replace(/\.00$/, '')}`;
+  }
+  if (rule.rule_type === 'salary_percentage') {
+    return `Move ${parseFloat(rule.percentage)}% of every salary credit`;
+  }
+  return rule.rule_type;
+};
+
+/**
+ * Human readable deadline with the time left, e.g. "Dec 31, 2026 (3 months left)"
+ * @param {Object} goal - { deadline }
+ * @param {Object} progress - From getGoalProgress
+ * @returns {string} - Description
+ */
+export const describeDeadline = (goal, progress) => {
+  const date = formatScheduleDate(goal.deadline);
+  if (progress.status === 'achieved') return date;
+  if (progress.status === 'overdue') return `${date} (passed)`;
+  return `${date} (${progress.monthsLeft} month${progress.monthsLeft === 1 ? '' : 's'} left)`;
+};
@@ -0,0 +1,185 @@
+// Scheduled (standing order) transfer helpers
+import { formatDate } from './helpers.js';
+
+export const FREQUENCIES = [
+  { value: 'once', label: 'One time' },
+  { value: 'daily', label: 'Daily' },
+  { value: 'weekly', label: 'Weekly' },
+  { value: 'monthly', label: 'Monthly' },
+];
+
+// Safety net so an open-ended order with no `until` can't produce an unbounded list
+const MAX_RUNS = 400;
+
+/**
+ * Format a Date as a local YYYY-MM-DD string
+ * @param {Date} date - Date to format
+ * @returns {string} - ISO calendar date
+ */
+export const toISODate = (date) => {
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+};
+
+/**
+ * Parse a YYYY-MM-DD string as a local date
+ * @param {string} value - ISO calendar date
+ * @returns {Date} - Local midnight on that date
+ */
+export const parseISODate = (value) => {
+  const [year, month, day] = value.split('-').map(Number);
+  return new Date(year, month - 1, day);
+};
+
+/**
+ * Format a YYYY-MM-DD string for display without shifting it across time zones
+ * @param {string} value - ISO calendar date
+ * @returns {string} - Formatted date string
+ */
+export const formatScheduleDate = (value) => formatDate(parseISODate(value));
+
+const addDays = (value, days) => {
+  const date = parseISODate(value);
+  date.setDate(date.getDate() + days);
+  return toISODate(date);
+};
+
+/**
+ * Default schedule for a new standing order: once, starting tomorrow
+ * @returns {Object} - Schedule form values
+ */
+export const createDefaultSchedule = () => ({
+  start_date: addDays(toISODate(new Date()), 1),
+  frequency: 'once',
+  end_type: 'never',
+  end_date: '',
+  occurrences: '',
+});
+
+// Monthly runs keep the start day, falling back to the last day of shorter months
+const getRunDate = (startDate, frequency, index) => {
+  if (frequency === 'daily') return addDays(startDate, index);
+  if (frequency === 'weekly') return addDays(startDate, index * 7);
+
+  const start = parseISODate(startDate);
+  const target = new Date(start.getFullYear(), start.getMonth() + index, 1);
+  const lastDay = new Date(target.getFullYear(), target.getMonth() + 1, 0).getDate();
+  target.setDate(Math.min(start.getDate(), lastDay));
+  return toISODate(target);
+};
+
+/**
+ * List the dates a schedule will run on
+ * @param {Object} schedule - { start_date, frequency, end_type, end_date, occurrences, status }
+ * @param {Object} options - { from, until } as YYYY-MM-DD strings
+ * @returns {string[]} - Run dates in order
+ */
+export const getScheduleRuns = (schedule, { from = toISODate(new Date()), until } = {}) => {
+  if (!schedule?.start_date || (schedule.status && schedule.status !== 'active')) return [];
+
+  const runs = [];
+  let limit = until ? Infinity : MAX_RUNS;
+  if (schedule.frequency === 'once') limit = 1;
+  else if (schedule.end_type === 'count') limit = parseInt(schedule.occurrences, 10) || 0;
+
+  for (let index = 0; index < limit; index++) {
+    const date = schedule.frequency === 'once'
+      ? schedule.start_date
+      : getRunDate(schedule.start_date, schedule.frequency, index);
+    if (schedule.end_type === 'date' && schedule.end_date && date > schedule.end_date) break;
+    if (until && date > until) break;
+    if (date >= from) runs.push(date);
+  }
+  return runs;
+};
+
+/**
+ * Check schedule form values before a standing order is created or saved
+ * @param {Object} schedule - Schedule form values
+ * @param {Object} options - { originalStart } lets an existing order keep a start date that has passed
+ * @returns {string} - Error message, or an empty string when valid
+ */
+export const validateSchedule = (schedule, { originalStart } = {}) => {
+  const today = toISODate(new Date());
+  const keepsStart = originalStart && schedule.start_date === originalStart;
+  if (!schedule.start_date || (!keepsStart && schedule.start_date <= today)) {
+    return 'Scheduled transfers must start on a future date.';
+  }
+  if (schedule.frequency === 'once') return '';
+  if (schedule.end_type === 'date' && (!schedule.end_date || schedule.end_date < schedule.start_date)) {
+    return 'The end date must be on or after the start date.';
+  }
+  if (schedule.end_type === 'count' && !(parseInt(schedule.occurrences, 10) >= 1)) {
+    return 'Enter how many payments to make.';
+  }
+  return '';
+};
+
+/**
+ * Schedule fields in the shape the API expects
+ * @param {Object} schedule - Schedule form values
+ * @returns {Object} - API payload fragment
+ */
+export const toSchedulePayload = (schedule) => {
+  const recurring = schedule.frequency !== 'once';
+  return {
+    start_date: schedule.start_date,
+    frequency: schedule.frequency,
+    end_type: recurring ? schedule.end_type : 'count',
+    end_date: recurring && schedule.end_type === 'date' ? schedule.end_date : null,
+    occurrences: recurring
+      ? (schedule.end_type === 'count' ? parseInt(schedule.occurrences, 10) : null)
+      : 1,
+  };
+};
+
+/**
+ * Human readable summary, e.g. "Monthly from Oct 20, 2026, 6 payments"
+ * @param {Object} schedule - Schedule values
+ * @returns {string} - Description
+ */
+export const describeSchedule = (schedule) => {
+  if (schedule.frequency === 'once') return `Once on ${formatScheduleDate(schedule.start_date)}`;
+
+  const label = FREQUENCIES.find(item => item.value === schedule.frequency)?.label || schedule.frequency;
+  const base = `${label} from ${formatScheduleDate(schedule.start_date)}`;
+  if (schedule.end_type === 'date' && schedule.end_date) return `${base} until ${formatScheduleDate(schedule.end_date)}`;
+  if (schedule.end_type === 'count' && schedule.occurrences) return `${base}, ${schedule.occurrences} payments`;
+  return `${base}, until cancelled`;
+};
+
+/**
+ * Project each account's balance over the coming days from its active standing orders
+ * @param {Array} accounts - Accounts with id and available_balance
+ * @param {Array} schedules - Scheduled transfers with from_account and amount
+ * @param {number} days - Projection window in days
+ * @returns {Array} - { account, payments: [{ date, schedule, balanceAfter }], total, projected, shortfallDate }
+ */
+export const projectBalances = (accounts, schedules, days = 30) => {
+  const from = toISODate(new Date());
+  const until = addDays(from, days);
+
+  return accounts.map((account) => {
+    const payments = schedules
+      .filter(schedule => String(schedule.from_account) === String(account.id))
+      .flatMap(schedule => getScheduleRuns(schedule, { from, until }).map(date => ({ date, schedule })))
+      .sort((a, b) => a.date.localeCompare(b.date));
+
+    let balance = parseFloat(account.available_balance ?? account.balance) || 0;
+    let shortfallDate = null;
+    const projected = payments.map((payment) => {
+      balance -= parseFloat(payment.schedule.amount) || 0;
+      if (balance < 0 && !shortfallDate) shortfallDate = payment.date;
+      return { ...payment, balanceAfter: balance };
+    });
+
+    return {
+      account,
+      payments: projected,
+      total: projected.reduce((sum, payment) => sum + (parseFloat(payment.schedule.amount) || 0), 0),
+      projected: balance,
+      shortfallDate,
+    };
+  });
+};
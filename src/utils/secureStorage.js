@@ -0,0 +1,114 @@
+// Encrypted sessionStorage for non-token session data such as the user profile.
+// Values are sealed with AES-GCM; the non-extractable key lives in IndexedDB.
+
+const DB_NAME = 'securecipher-keys';
+const STORE_NAME = 'keys';
+const KEY_ID = 'session-storage';
+const PREFIX = 'sc:';
+
+const isSupported = () =>
+  typeof window !== 'undefined' && window.crypto?.subtle && window.indexedDB && window.sessionStorage;
+
+const openKeyDatabase = () =>
+  new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, 1);
+    request.onupgradeneeded = () => request.result.createObjectStore(STORE_NAME);
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+
+const runKeyTransaction = async (mode, operation) => {
+  const db = await openKeyDatabase();
+  try {
+    return await new Promise((resolve, reject) => {
+      const request = operation(db.transaction(STORE_NAME, mode).objectStore(STORE_NAME));
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  } finally {
+    db.close();
+  }
+};
+
+let keyPromise = null;
+
+const getKey = () => {
+  if (!keyPromise) {
+    keyPromise = (async () => {
+      const existing = await runKeyTransaction('readonly', (store) => store.get(KEY_ID));
+      if (existing) return existing;
+
+      const key = await crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, false, ['encrypt', 'decrypt']);
+      await runKeyTransaction('readwrite', (store) => store.put(key, KEY_ID));
+      return key;
+    })().catch((error) => {
+      keyPromise = null;
+      throw error;
+    });
+  }
+  return keyPromise;
+};
+
+const toBase64 = (buffer) => btoa(String.fromCharCode(...new Uint8Array(buffer)));
+const fromBase64 = (value) => Uint8Array.from(atob(value), (char) => char.charCodeAt(0));
+
+/**
+ * Encrypt and store a value for the lifetime of the tab
+ * @param {string} name - Storage key
+ * @param {*} value - JSON-serializable value
+ */
+export const setSecureItem = async (name, value) => {
+  if (!isSupported()) return;
+  try {
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const encoded = new TextEncoder().encode(JSON.stringify(value));
+    const cipher = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, await getKey(), encoded);
+    sessionStorage.setItem(PREFIX + name, JSON.stringify({ iv: toBase64(iv), data: toBase64(cipher) }));
+  } catch (error) {
+    console.error('Error encrypting session data:', error);
+  }
+};
+
+/**
+ * Read and decrypt a stored value
+ * @param {string} name - Storage key
+ * @returns {Promise<*>} - The stored value, or null if missing or unreadable
+ */
+export const getSecureItem = async (name) => {
+  if (!isSupported()) return null;
+  const stored = sessionStorage.getItem(PREFIX + name);
+  if (!stored) return null;
+
+  try {
+    const { iv, data } = JSON.parse(stored);
+    const plain = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: fromBase64(iv) }, await getKey(), fromBase64(data));
+    return JSON.parse(new TextDecoder().decode(plain));
+  } catch (error) {
+    console.error('Error decrypting session data:', error);
+    sessionStorage.removeItem(PREFIX + name);
+    return null;
+  }
+};
+
+export const removeSecureItem = (name) => {
+  if (typeof window !== 'undefined' && window.sessionStorage) {
+    sessionStorage.removeItem(PREFIX + name);
+  }
+};
+
+/**
+ * Remove all encrypted values and destroy the key so old ciphertext can't be read
+ */
+export const clearSecureStorage = async () => {
+  if (!isSupported()) return;
+  Object.keys(sessionStorage)
+    .filter((key) => key.startsWith(PREFIX))
+    .forEach((key) => sessionStorage.removeItem(key));
+
+  try {
+    keyPromise = null;
+    await runKeyTransaction('readwrite', (store) => store.delete(KEY_ID));
+  } catch (error) {
+    console.error('Error clearing session key:', error);
+  }
+};
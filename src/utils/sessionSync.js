@@ -0,0 +1,103 @@
+// Cross-tab session messaging (BroadcastChannel with a storage-event fallback)
+
+const CHANNEL_NAME = 'securecipher-session';
+const STORAGE_KEY = 'securecipher-session-event';
+
+const listeners = new Set();
+let channel = null;
+let initialized = false;
+
+const notify = (message) => {
+  if (!message?.type) return;
+  listeners.forEach((listener) => listener(message.type, message.payload || {}));
+};
+
+const handleStorage = (event) => {
+  if (event.key !== STORAGE_KEY || !event.newValue) return;
+  try {
+    notify(JSON.parse(event.newValue));
+  } catch (error) {
+    console.error('Error parsing session sync message:', error);
+  }
+};
+
+// A single channel instance is used for sending and receiving so a tab never hears its own messages
+const init = () => {
+  if (initialized) return;
+  initialized = true;
+
+  if (typeof BroadcastChannel !== 'undefined') {
+    channel = new BroadcastChannel(CHANNEL_NAME);
+    channel.onmessage = (event) => notify(event.data);
+  } else {
+    window.addEventListener('storage', handleStorage);
+  }
+};
+
+/**
+ * Send a session event to every other open tab
+ * @param {string} type - Event type (login, logout, refreshed, user_updated, activity)
+ * @param {Object} payload - Serializable event data
+ * @param {Object} options - { sensitive: true } payloads are never written to localStorage
+ */
+export const broadcastSessionEvent = (type, payload = {}, { sensitive = false } = {}) => {
+  init();
+  const message = { type, payload, timestamp: Date.now() };
+
+  if (channel) {
+    channel.postMessage(message);
+    return;
+  }
+
+  // The storage fallback would persist credentials or profile data, so only the event type goes out
+  if (sensitive) {
+    message.payload = {};
+  }
+
+  // Writing then removing the key fires a storage event in other tabs only
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(message));
+    localStorage.removeItem(STORAGE_KEY);
+  } catch (error) {
+    console.error('Error broadcasting session event:', error);
+  }
+};
+
+/**
+ * Listen for session events sent from other tabs
+ * @param {Function} listener - Called with (type, payload)
+ * @returns {Function} - Unsubscribe function
+ */
+export const subscribeToSessionSync = (listener) => {
+  init();
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+/**
+ * Ask an already signed-in tab to hand over its in-memory session
+ * @param {number} timeout - Milliseconds to wait for a reply
+ * @returns {Promise<Object|null>} - { tokens, user } or null when no tab answers;
+ * tokens are null in cookie mode, where the browser already holds the session
+ */
+export const requestSessionFromOtherTabs = (timeout = 500) => {
+  init();
+  if (!channel) return Promise.resolve(null);
+
+  return new Promise((resolve) => {
+    const timer = setTimeout(() => {
+      unsubscribe();
+      resolve(null);
+    }, timeout);
+
+    const unsubscribe = subscribeToSessionSync((type, payload) => {
+      if (type === 'session_share' && payload.user) {
+        clearTimeout(timer);
+        unsubscribe();
+        resolve(payload);
+      }
+    });
+
+    broadcastSessionEvent('session_request');
+  });
+};
@@ -0,0 +1,284 @@
+// Transaction export builders (CSV, PDF statement, OFX, QIF)
+import { formatCurrency, formatDate, formatDateTime } from './helpers.js';
+import { APP_NAME, SUPPORT_EMAIL, SUPPORT_PHONE, CURRENCY_CONFIG } from '../config/environment.js';
+
+export const EXPORT_FORMATS = [
+  { id: 'csv', label: 'CSV', icon: 'bi-filetype-csv', hint: 'Excel, Google Sheets', mimeType: 'text/csv;charset=utf-8' },
+  { id: 'pdf', label: 'PDF Statement', icon: 'bi-file-earmark-pdf', hint: 'Printable statement', mimeType: 'application/pdf' },
+  { id: 'ofx', label: 'OFX', icon: 'bi-bank', hint: 'QuickBooks, Xero, Sage', mimeType: 'application/x-ofx' },
+  { id: 'qif', label: 'QIF', icon: 'bi-file-earmark-text', hint: 'Quicken, GnuCash', mimeType: 'application/qif' },
+];
+
+// Rows are formatted in chunks, yielding to the browser in between so a large export doesn't freeze the page
+const CHUNK_SIZE = 500;
+export const BRAND_COLOR = [37, 99, 235];
+
+const yieldToBrowser = () => new Promise(resolve => setTimeout(resolve, 0));
+
+export const mapInChunks = async (items, mapper) => {
+  const output = [];
+  for (let start = 0; start < items.length; start += CHUNK_SIZE) {
+    items.slice(start, start + CHUNK_SIZE).forEach(item => output.push(mapper(item)));
+    await yieldToBrowser();
+  }
+  return output;
+};
+
+// Only completed transactions have been posted; pending, failed and reversed ones never moved money
+const isPosted = (transaction) => transaction.status === 'COMPLETED';
+
+const signedAmount = (transaction) => (
+  (transaction.transaction_type === 'CREDIT' ? 1 : -1) * parseFloat(transaction.amount)
+);
+
+/**
+ * Sort transactions oldest first and attach a running balance per account
+ * @param {Array<Object>} transactions - Transactions in any order
+ * @param {number|string|null} openingBalance - Balance before the first transaction, or null when unknown
+ * @returns {Array<Object>} - Transactions with running_balance, null where it can't be known
+ */
+export const withRunningBalances = (transactions, openingBalance = null) => {
+  const balances = {};
+  return [...transactions]
+    .sort((a, b) => new Date(a.created_at) - new Date(b.created_at))
+    .map((transaction) => {
+      const account = transaction.account_number || '';
+      const previous = balances[account] ?? (openingBalance === null ? null : parseFloat(openingBalance));
+      // The server's post-transaction balance is authoritative; otherwise keep a running total
+      // that only completed transactions move
+      let balance = null;
+      if (transaction.balance_after !== undefined && transaction.balance_after !== null) {
+        balance = parseFloat(transaction.balance_after);
+      } else if (previous !== null) {
+        balance = previous + (isPosted(transaction) ? signedAmount(transaction) : 0);
+      }
+      balances[account] = balance;
+      return { ...transaction, running_balance: balance };
+    });
+};
+
+// A balance column is only printed when every row has a real balance
+const hasBalances = (rows) => rows.length > 0 && rows.every(row => row.running_balance !== null);
+
+const csvCell = (value) => {
+  const text = String(value ?? '');
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Build a CSV export
+ * @param {Array<Object>} rows - From withRunningBalances
+ * @returns {Promise<string>} - CSV text
+ */
+export const buildCsv = async (rows) => {
+  const showBalance = hasBalances(rows);
+  const header = ['Date', 'Reference', 'Description', 'Category', 'Account', 'Type', 'Debit', 'Credit', ...(showBalance ? ['Balance'] : []), 'Status'];
+  const lines = await mapInChunks(rows, (transaction) => [
+    formatDateTime(transaction.created_at),
+    transaction.reference_number,
+    transaction.description,
+    transaction.category_name,
+    transaction.account_number,
+    transaction.transaction_type,
+    transaction.transaction_type === 'DEBIT' ? formatCurrency(transaction.amount) : '',
+    transaction.transaction_type === 'CREDIT' ? formatCurrency(transaction.amount) : '',
+    ...(showBalance ? [formatCurrency(transaction.running_balance)] : []),
+    transaction.status,
+  ].map(csvCell).join(','));
+  // Leading BOM so Excel reads the currency symbol as UTF-8
+  return `\uFEFF${[header.join(','), ...lines].join('\r\n')}`;
+};
+
+// The PDF's built-in fonts have no glyph for symbols like ₦, so amounts lead with the ISO code instead
+export const pdfMoney = (amount) => `${CURRENCY_CONFIG.code} ${formatCurrency(amount).replace(/[^\d.,-]/g, '')}`;
+
+/**
+ * Build a branded PDF statement
+ * @param {Array<Object>} rows - From withRunningBalances
+ * @param {Object} details - { period, accountLabel, generatedAt }
+ * @returns {Promise<Blob>} - PDF file
+ */
+export const buildPdf = async (rows, { period, accountLabel, generatedAt = new Date() }) => {
+  // Loaded on demand so the PDF library stays out of the main bundle
+  const [{ jsPDF }, { autoTable }] = await Promise.all([import('jspdf'), import('jspdf-autotable')]);
+  const doc = new jsPDF({ orientation: 'landscape', unit: 'pt', format: 'a4' });
+  const pageWidth = doc.internal.pageSize.getWidth();
+  const pageHeight = doc.internal.pageSize.getHeight();
+
+  // Totals agree with the running balance: unposted rows are listed but not counted
+  const posted = rows.filter(isPosted);
+  const credits = posted.filter(t => t.transaction_type === 'CREDIT').reduce((sum, t) => sum + parseFloat(t.amount), 0);
+  const debits = posted.filter(t => t.transaction_type === 'DEBIT').reduce((sum, t) => sum + parseFloat(t.amount), 0);
+
+  doc.setFillColor(...BRAND_COLOR);
+  doc.rect(0, 0, pageWidth, 64, 'F');
+  doc.setTextColor(255, 255, 255);
+  doc.setFont('helvetica', 'bold');
+  doc.setFontSize(18);
+  doc.text(APP_NAME, 40, 40);
+  doc.setFontSize(11);
+  doc.setFont('helvetica', 'normal');
+  doc.text('Transaction Statement', pageWidth - 40, 40, { align: 'right' });
+
+  doc.setTextColor(33, 37, 41);
+  doc.setFontSize(10);
+  doc.text([
+    `Period: ${period}`,
+    `Account: ${accountLabel}`,
+    `Generated: ${formatDateTime(generatedAt)}`,
+  ], 40, 90);
+  doc.text([
+    `Transactions: ${rows.length}`,
+    `Total credits: ${pdfMoney(credits)}`,
+    `Total debits: ${pdfMoney(debits)}`,
+  ], pageWidth - 40, 90, { align: 'right' });
+
+  const showBalance = hasBalances(rows);
+  const body = await mapInChunks(rows, (transaction) => [
+    formatDate(transaction.created_at),
+    transaction.reference_number,
+    isPosted(transaction) ? transaction.description : `${transaction.description} (${transaction.status} - not posted)`,
+    transaction.category_name || '',
+    transaction.transaction_type === 'DEBIT' ? pdfMoney(transaction.amount) : '',
+    transaction.transaction_type === 'CREDIT' ? pdfMoney(transaction.amount) : '',
+    ...(showBalance ? [pdfMoney(transaction.running_balance)] : []),
+  ]);
+
+  autoTable(doc, {
+    startY: 140,
+    head: [['Date', 'Reference', 'Description', 'Category', 'Debit', 'Credit', ...(showBalance ? ['Balance'] : [])]],
+    body,
+    styles: { fontSize: 8, cellPadding: 4 },
+    headStyles: { fillColor: BRAND_COLOR },
+    alternateRowStyles: { fillColor: [248, 250, 252] },
+    columnStyles: { 4: { halign: 'right' }, 5: { halign: 'right' }, 6: { halign: 'right' } },
+    margin: { left: 40, right: 40, bottom: 50 },
+  });
+
+  const pageCount = doc.getNumberOfPages();
+  for (let page = 1; page <= pageCount; page++) {
+    doc.setPage(page);
+    doc.setFontSize(8);
+    doc.setTextColor(108, 117, 125);
+    doc.text(`${APP_NAME} · ${SUPPORT_EMAIL} · ${SUPPORT_PHONE}`, 40, pageHeight - 24);
+    doc.text(`Page ${page} of ${pageCount}`, pageWidth - 40, pageHeight - 24, { align: 'right' });
+  }
+
+  return doc.output('blob');
+};
+
+const groupByAccount = (rows) => rows.reduce((groups, transaction) => {
+  const account = transaction.account_number || 'UNKNOWN';
+  (groups[account] = groups[account] || []).push(transaction);
+  return groups;
+}, {});
+
+const ofxDate = (value) => {
+  const date = new Date(value);
+  const pad = (number) => String(number).padStart(2, '0');
+  return `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}${pad(date.getHours())}${pad(date.getMinutes())}${pad(date.getSeconds())}`;
+};
+
+const ofxText = (value, maxLength) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .slice(0, maxLength);
+
+/**
+ * Build an OFX 1.02 file with one statement per account, completed transactions only
+ * @param {Array<Object>} rows - From withRunningBalances
+ * @returns {Promise<string>} - OFX (SGML) text
+ */
+export const buildOfx = async (rows) => {
+  const now = ofxDate(new Date());
+  const statements = [];
+
+  // Accounting packages treat every entry as posted, so only completed transactions go in
+  for (const [account, transactions] of Object.entries(groupByAccount(rows.filter(isPosted)))) {
+    const entries = await mapInChunks(transactions, (transaction) => [
+      '<STMTTRN>',
+      `<TRNTYPE>${transaction.transaction_type === 'CREDIT' ? 'CREDIT' : 'DEBIT'}`,
+      `<DTPOSTED>${ofxDate(transaction.created_at)}`,
+      `<TRNAMT>${signedAmount(transaction).toFixed(2)}`,
+      `<FITID>${ofxText(transaction.reference_number || transaction.id, 255)}`,
+      `<NAME>${ofxText(transaction.description, 32)}`,
+      `<MEMO>${ofxText(transaction.description, 255)}`,
+      '</STMTTRN>',
+    ].join('\n'));
+    const last = transactions[transactions.length - 1];
+
+    statements.push([
+      '<STMTTRNRS>',
+      `<TRNUID>${account}`,
+      '<STATUS><CODE>0<SEVERITY>INFO</STATUS>',
+      '<STMTRS>',
+      `<CURDEF>${CURRENCY_CONFIG.code}`,
+      `<BANKACCTFROM><BANKID>${ofxText(last.bank_code || '000', 9)}<ACCTID>${account}<ACCTTYPE>CHECKING</BANKACCTFROM>`,
+      '<BANKTRANLIST>',
+      `<DTSTART>${ofxDate(transactions[0].created_at)}`,
+      `<DTEND>${ofxDate(last.created_at)}`,
+      ...entries,
+      '</BANKTRANLIST>',
+      ...(hasBalances(transactions)
+        ? [`<LEDGERBAL><BALAMT>${last.running_balance.toFixed(2)}<DTASOF>${ofxDate(last.created_at)}</LEDGERBAL>`]
+        : []),
+      '</STMTRS>',
+      '</STMTTRNRS>',
+    ].join('\n'));
+  }
+
+  return [
+    'OFXHEADER:100',
+    'DATA:OFXSGML',
+    'VERSION:102',
+    'SECURITY:NONE',
+    'ENCODING:USASCII',
+    'CHARSET:1252',
+    'COMPRESSION:NONE',
+    'OLDFILEUID:NONE',
+    'NEWFILEUID:NONE',
+    '',
+    '<OFX>',
+    `<SIGNONMSGSRSV1><SONRS><STATUS><CODE>0<SEVERITY>INFO</STATUS><DTSERVER>${now}<LANGUAGE>ENG</SONRS></SIGNONMSGSRSV1>`,
+    '<BANKMSGSRSV1>',
+    ...statements,
+    '</BANKMSGSRSV1>',
+    '</OFX>',
+    '',
+  ].join('\n');
+};
+
+const qifDate = (value) => {
+  const date = new Date(value);
+  return `${String(date.getMonth() + 1).padStart(2, '0')}/${String(date.getDate()).padStart(2, '0')}/${date.getFullYear()}`;
+};
+
+/**
+ * Build a QIF file of completed transactions, with an account header per account when there is more than one
+ * @param {Array<Object>} rows - From withRunningBalances
+ * @returns {Promise<string>} - QIF text
+ */
+export const buildQif = async (rows) => {
+  const groups = Object.entries(groupByAccount(rows.filter(isPosted)));
+  const sections = [];
+
+  for (const [account, transactions] of groups) {
+    const entries = await mapInChunks(transactions, (transaction) => [
+      `D${qifDate(transaction.created_at)}`,
+      `T${signedAmount(transaction).toFixed(2)}`,
+      `N${transaction.reference_number || ''}`,
+      `P${transaction.description || ''}`,
+      transaction.category_name ? `L${transaction.category_name}` : null,
+      '^',
+    ].filter(Boolean).join('\n'));
+
+    sections.push([
+      ...(groups.length > 1 ? ['!Account', `N${account}`, 'TBank', '^'] : []),
+      '!Type:Bank',
+      ...entries,
+    ].join('\n'));
+  }
+
+  return `${sections.join('\n')}\n`;
+};
@@ -0,0 +1,96 @@
+// Transaction list filters, kept in the URL and turned into API query params
+import { toISODate } from './schedule.js';
+
+export const DATE_PRESETS = [
+  { value: 'all', label: 'All Time' },
+  { value: 'today', label: 'Today' },
+  { value: 'week', label: 'This Week' },
+  { value: 'month', label: 'This Month' },
+  { value: 'custom', label: 'Custom Range' },
+];
+
+// Category filter value for transactions without a category
+export const UNCATEGORIZED = 'none';
+
+// URL search param names; ordering is handled by the table itself
+export const FILTER_KEYS = [
+  'search',
+  'type',
+  'period',
+  'date_from',
+  'date_to',
+  'min_amount',
+  'max_amount',
+  'category',
+  'account',
+];
+
+/**
+ * Read the transaction filters from the page's URL
+ * @param {URLSearchParams} searchParams - Current search params
+ * @returns {Object} - One string per FILTER_KEYS entry, empty when unset
+ */
+export const readTransactionFilters = (searchParams) => {
+  const filters = Object.fromEntries(FILTER_KEYS.map(key => [key, searchParams.get(key) || '']));
+  // A shared link with explicit dates but no period is a custom range
+  if (!DATE_PRESETS.some(preset => preset.value === filters.period)) {
+    filters.period = filters.date_from || filters.date_to ? 'custom' : 'all';
+  }
+  return filters;
+};
+
+/**
+ * Resolve a date preset to a from/to range, so a bookmarked "This Week" stays relative
+ * @param {string} preset - DATE_PRESETS value
+ * @param {Date} today - Reference date
+ * @returns {Object} - { date_from, date_to } as YYYY-MM-DD, empty for 'all'
+ */
+export const getPresetRange = (preset, today = new Date()) => {
+  const end = toISODate(today);
+  if (preset === 'today') {
+    return { date_from: end, date_to: end };
+  }
+  if (preset === 'week') {
+    // Weeks start on Monday
+    const start = new Date(today);
+    start.setDate(today.getDate() - ((today.getDay() + 6) % 7));
+    return { date_from: toISODate(start), date_to: end };
+  }
+  if (preset === 'month') {
+    return { date_from: toISODate(new Date(today.getFullYear(), today.getMonth(), 1)), date_to: end };
+  }
+  return { date_from: '', date_to: '' };
+};
+
+/**
+ * Build the API query params for a set of filters
+ * @param {Object} filters - From readTransactionFilters
+ * @returns {Object} - Query params with empty values left out
+ */
+export const toTransactionQuery = (filters) => {
+  const range = filters.period === 'custom'
+    ? { date_from: filters.date_from, date_to: filters.date_to }
+    : getPresetRange(filters.period);
+
+  const query = {
+    search: filters.search,
+    transaction_type: filters.type.toUpperCase(),
+    ...range,
+    min_amount: filters.min_amount,
+    max_amount: filters.max_amount,
+    category: filters.category === UNCATEGORIZED ? '' : filters.category,
+    category__isnull: filters.category === UNCATEGORIZED ? 'true' : '',
+    account: filters.account,
+  };
+  return Object.fromEntries(Object.entries(query).filter(([, value]) => value));
+};
+
+/**
+ * Count the filters that narrow the list, for the "Clear filters" control
+ * @param {Object} filters - From readTransactionFilters
+ * @returns {number}
+ */
+export const countActiveFilters = (filters) => (
+  FILTER_KEYS.filter(key => !['period', 'date_from', 'date_to'].includes(key) && filters[key]).length +
+  (filters.period !== 'all' ? 1 : 0)
+);
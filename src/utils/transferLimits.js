@@ -0,0 +1,47 @@
+// Transfer limit checks and fee estimates
+import { formatCurrency } from './helpers.js';
+
+/**
+ * Estimate the fee and VAT for a transfer from the bank's fee schedule
+ * @param {number|string} amount - Transfer amount
+ * @param {string} transferType - 'internal', 'external' or 'beneficiary'
+ * @param {Object} feeSchedule - { vat_rate, tiers: { [transferType]: [{ up_to, fee }] } }, tiers ordered by up_to with null for "and above"
+ * @returns {Object} - { fee, vat, total }
+ */
+export const estimateTransferFee = (amount, transferType, feeSchedule) => {
+  const value = parseFloat(amount) || 0;
+  const tiers = feeSchedule?.tiers?.[transferType] || [];
+  const tier = tiers.find(item => item.up_to === null || value <= parseFloat(item.up_to));
+  const fee = value > 0 && tier ? parseFloat(tier.fee) : 0;
+  const vat = Math.round(fee * parseFloat(feeSchedule?.vat_rate || 0) * 100) / 100;
+  return { fee, vat, total: value + fee + vat };
+};
+
+/**
+ * How much can still be sent today
+ * @param {Object} limits - { per_transaction, daily, used_today }
+ * @returns {number} - Remaining daily allowance, never negative
+ */
+export const getRemainingToday = (limits) => (
+  Math.max(0, parseFloat(limits.daily) - parseFloat(limits.used_today || 0))
+);
+
+/**
+ * Check an amount against the user's transfer limits
+ * @param {number|string} amount - Total to be debited
+ * @param {Object} limits - { per_transaction, daily, used_today }, or null while loading
+ * @param {Object} options - { daily } set to false to skip the daily check (e.g. for future-dated transfers)
+ * @returns {string} - Error message, or an empty string if within limits
+ */
+export const getLimitError = (amount, limits, { daily = true } = {}) => {
+  const value = parseFloat(amount);
+  if (!limits || !value) return '';
+
+  if (limits.per_transaction && value > parseFloat(limits.per_transaction)) {
+    return `The most you can send in one transfer is ${formatCurrency(limits.per_transaction)}.`;
+  }
+  if (daily && limits.daily && value > getRemainingToday(limits)) {
+    return `This exceeds your daily limit. You can send ${formatCurrency(getRemainingToday(limits))} more today.`;
+  }
+  return '';
+};
@@ -0,0 +1,114 @@
+// WebAuthn (passkey) helpers: the backend speaks JSON with base64url-encoded binary fields
+
+const toBase64Url = (buffer) =>
+  btoa(String.fromCharCode(...new Uint8Array(buffer)))
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_')
+    .replace(/=+$/, '');
+
+const fromBase64Url = (value) => {
+  const base64 = value.replace(/-/g, '+').replace(/_/g, '/');
+  const padded = base64 + '='.repeat((4 - (base64.length % 4)) % 4);
+  return Uint8Array.from(atob(padded), (char) => char.charCodeAt(0)).buffer;
+};
+
+/**
+ * Check whether the browser can create and use passkeys
+ * @returns {boolean}
+ */
+export const isWebAuthnSupported = () =>
+  typeof window !== 'undefined' && Boolean(window.PublicKeyCredential && navigator.credentials);
+
+/**
+ * Check whether passkeys can be offered in the username field's autofill
+ * @returns {Promise<boolean>}
+ */
+export const isConditionalMediationAvailable = async () => {
+  if (!isWebAuthnSupported() || !PublicKeyCredential.isConditionalMediationAvailable) {
+    return false;
+  }
+  try {
+    return await PublicKeyCredential.isConditionalMediationAvailable();
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Convert registration options from the server into navigator.credentials.create() input
+ * @param {Object} options - PublicKeyCredentialCreationOptions JSON
+ * @returns {Object} - Options with binary fields decoded
+ */
+export const toCreationOptions = (options) => ({
+  ...options,
+  challenge: fromBase64Url(options.challenge),
+  user: { ...options.user, id: fromBase64Url(options.user.id) },
+  excludeCredentials: (options.excludeCredentials || []).map((credential) => ({
+    ...credential,
+    id: fromBase64Url(credential.id),
+  })),
+});
+
+/**
+ * Convert authentication options from the server into navigator.credentials.get() input
+ * @param {Object} options - PublicKeyCredentialRequestOptions JSON
+ * @returns {Object} - Options with binary fields decoded
+ */
+export const toRequestOptions = (options) => ({
+  ...options,
+  challenge: fromBase64Url(options.challenge),
+  allowCredentials: (options.allowCredentials || []).map((credential) => ({
+    ...credential,
+    id: fromBase64Url(credential.id),
+  })),
+});
+
+/**
+ * Serialize a PublicKeyCredential (registration or assertion) for the server
+ * @param {PublicKeyCredential} credential - Result of create() or get()
+ * @returns {Object} - JSON-safe credential
+ */
+export const serializeCredential = (credential) => {
+  const { response } = credential;
+  const serialized = {
+    id: credential.id,
+    rawId: toBase64Url(credential.rawId),
+    type: credential.type,
+    authenticatorAttachment: credential.authenticatorAttachment || null,
+    clientExtensionResults: credential.getClientExtensionResults?.() || {},
+    response: {
+      clientDataJSON: toBase64Url(response.clientDataJSON),
+    },
+  };
+
+  if (response.attestationObject) {
+    serialized.response.attestationObject = toBase64Url(response.attestationObject);
+    serialized.response.transports = response.getTransports?.() || [];
+  } else {
+    serialized.response.authenticatorData = toBase64Url(response.authenticatorData);
+    serialized.response.signature = toBase64Url(response.signature);
+    serialized.response.userHandle = response.userHandle ? toBase64Url(response.userHandle) : null;
+  }
+
+  return serialized;
+};
+
+/**
+ * Turn a WebAuthn DOMException into a user-facing message
+ * @param {Error} error - Error thrown by navigator.credentials or the API
+ * @param {string} fallback - Message for unexpected failures
+ * @returns {string|null} - Message, or null when the user simply dismissed the prompt
+ */
+export const getWebAuthnErrorMessage = (error, fallback = 'Passkey request failed. Please try again.') => {
+  switch (error?.name) {
+    case 'NotAllowedError':
+    case 'AbortError':
+      return null;
+    case 'InvalidStateError':
+      return 'This passkey is already registered to your account.';
+    case 'SecurityError':
+      return 'Passkeys are not available on this site.';
+    default:
+      return error?.response?.data?.detail || fallback;
+  }
+};